@@ -0,0 +1,175 @@
+const dataset = require('./data/comuni-italiani.json');
+
+/**
+ * Testo in minuscolo, senza accenti, apostrofi e trattini, usato per
+ * confrontare nomi di province e comuni scritti in modi diversi.
+ */
+function simplify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Toglie da un testo la parte tra parentesi, ad esempio la sigla in
+ * "Milano (MI)".
+ */
+function withoutParentheses(value) {
+  return String(value || '').replace(/\(.*?\)/g, '').trim();
+}
+
+// Province per sigla e per nome (o nome alternativo) semplificato
+const PROVINCE_BY_SIGLA = new Map(dataset.province.map((provincia) => [provincia.sigla, provincia]));
+const PROVINCE_BY_NAME = new Map();
+for (const provincia of dataset.province) {
+  for (const name of [provincia.nome, ...provincia.alias]) {
+    if (!PROVINCE_BY_NAME.has(simplify(name))) PROVINCE_BY_NAME.set(simplify(name), provincia);
+  }
+}
+// Comuni per nome semplificato (più comuni per i nomi ripetuti in
+// province diverse, come Calliano AT e TN)
+const COMUNI_BY_NAME = new Map();
+for (const comune of dataset.comuni) {
+  const key = simplify(comune.nome);
+  COMUNI_BY_NAME.set(key, [...(COMUNI_BY_NAME.get(key) || []), comune]);
+}
+
+/**
+ * Controllo offline degli indirizzi italiani con l'elenco delle province
+ * (sigla, nome e prefissi di CAP) e dei comuni distribuito con
+ * l'applicazione in data/comuni-italiani.json.  Verifica che CAP,
+ * provincia e località siano coerenti, propone le correzioni e riporta
+ * la provincia alla sigla di due lettere.
+ *
+ * L'elenco comprende tutti i comuni ISTAT con il primo e l'ultimo CAP di
+ * ciascuno (dal pacchetto comuni-json, aggiornato al 2020).  Una località
+ * che non vi compare viene segnalata, e ne viene controllata solo la
+ * coerenza tra CAP e provincia.
+ */
+class AddressValidator {
+  /**
+   * Sigla di due lettere di una provincia scritta come sigla (anche
+   * minuscola o tra parentesi), nome o nome alternativo.  Le sigle delle
+   * province soppresse vengono lasciate invariate: è validate che propone
+   * quella attuale.
+   *
+   * @returns {string|null} Sigla, oppure null se la provincia non è riconosciuta
+   */
+  normalizeProvincia(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    const inParentheses = text.match(/\(\s*([A-Za-z]{2})\s*\)/);
+    const code = (inParentheses ? inParentheses[1] : text.replace(/\./g, '')).toUpperCase();
+    if (PROVINCE_BY_SIGLA.has(code) || dataset.soppresse[code]) return code;
+    const provincia = PROVINCE_BY_NAME.get(simplify(withoutParentheses(text)));
+    return provincia ? provincia.sigla : null;
+  }
+
+  /**
+   * Comuni dell'elenco con il nome indicato (la parte tra parentesi viene
+   * ignorata): di solito uno, nessuno se il nome non è un comune.
+   */
+  findComuni(localita) {
+    return COMUNI_BY_NAME.get(simplify(withoutParentheses(localita))) || [];
+  }
+
+  /**
+   * Tra i comuni con lo stesso nome, quello della provincia indicata o, in
+   * mancanza, quello a cui appartiene il CAP.  Null se resta incerto.
+   */
+  chooseComune(comuni, sigla, cap) {
+    if (comuni.length === 1) return comuni[0];
+    return comuni.find((comune) => comune.provincia === sigla)
+      || comuni.find((comune) => /^\d{5}$/.test(cap) && cap >= comune.cap[0] && cap <= comune.cap[1])
+      || null;
+  }
+
+  /**
+   * Sigle delle province a cui appartiene un CAP.
+   */
+  provincesForCap(cap) {
+    return dataset.province
+      .filter((provincia) => provincia.cap.some((prefix) => cap.startsWith(prefix)))
+      .map((provincia) => provincia.sigla);
+  }
+
+  /**
+   * Controlla CAP, provincia e località di un record.
+   *
+   * @param {Object} record Record con i campi cap, provincia e localita
+   * @returns {{issues: Array<{field, message}>, suggestions: Object}}
+   *   Incoerenze trovate e valori proposti per i campi da correggere (la
+   *   sola riscrittura della provincia come sigla non è un'incoerenza)
+   */
+  validate(record) {
+    const issues = [];
+    const suggestions = {};
+    const cap = String(record.cap || '').trim();
+    const provinciaText = String(record.provincia || '').trim();
+    const localita = String(record.localita || '').trim();
+    const comuni = localita ? this.findComuni(localita) : [];
+    if (localita && comuni.length === 0) {
+      issues.push({ field: 'localita', message: `Località non presente nell'elenco dei comuni: "${localita}"` });
+    }
+
+    let sigla = null;
+    if (provinciaText) {
+      sigla = this.normalizeProvincia(provinciaText);
+      if (!sigla) {
+        issues.push({ field: 'provincia', message: `Provincia sconosciuta: "${provinciaText}"` });
+      } else if (dataset.soppresse[sigla]) {
+        const attuale = dataset.soppresse[sigla];
+        issues.push({ field: 'provincia', message: `La provincia ${sigla} è stata soppressa: ora è ${attuale}` });
+        sigla = attuale;
+        suggestions.provincia = attuale;
+      } else if (sigla !== provinciaText) {
+        suggestions.provincia = sigla;
+      }
+    }
+
+    let capProvinces = [];
+    if (cap) {
+      if (!/^\d{5}$/.test(cap)) {
+        issues.push({ field: 'cap', message: `CAP non valido: "${cap}"` });
+      } else {
+        capProvinces = this.provincesForCap(cap);
+        if (capProvinces.length === 0) {
+          issues.push({ field: 'cap', message: `CAP inesistente: ${cap}` });
+        }
+      }
+    }
+
+    const comune = comuni.length > 0 ? this.chooseComune(comuni, sigla, cap) : null;
+    if (comune) {
+      const [from, to] = comune.cap;
+      if (sigla && sigla !== comune.provincia) {
+        issues.push({ field: 'provincia', message: `${comune.nome} è in provincia di ${comune.provincia}, non ${sigla}` });
+        suggestions.provincia = comune.provincia;
+      } else if (!provinciaText) {
+        suggestions.provincia = comune.provincia;
+      }
+      if (/^\d{5}$/.test(cap) && (cap < from || cap > to)) {
+        const range = from === to ? `è ${from}` : `va da ${from} a ${to}`;
+        issues.push({ field: 'cap', message: `Il CAP di ${comune.nome} ${range}, non ${cap}` });
+        if (from === to) suggestions.cap = from;
+      } else if (!cap && from === to) {
+        suggestions.cap = from;
+      }
+    } else if (sigla && capProvinces.length > 0 && !capProvinces.includes(sigla)) {
+      issues.push({
+        field: 'provincia',
+        message: `Il CAP ${cap} non è della provincia di ${sigla} ma di ${capProvinces.join(' o ')}`,
+      });
+      if (capProvinces.length === 1) suggestions.provincia = capProvinces[0];
+    } else if (!provinciaText && capProvinces.length === 1) {
+      suggestions.provincia = capProvinces[0];
+    }
+
+    return { issues, suggestions };
+  }
+}
+
+module.exports = new AddressValidator();
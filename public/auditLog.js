@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// File (nella cartella dati) che contiene il registro delle modifiche,
+// una voce JSON per riga così da poter aggiungere voci senza riscriverlo.
+const AUDIT_FILE = 'audit.jsonl';
+// Campi tecnici aggiornati ad ogni salvataggio: non vengono registrati.
+const IGNORED_FIELDS = ['lastUpdate', 'createdAt', 'eliminatoIl', 'version'];
+
+/**
+ * Rende confrontabile un valore (array e oggetti vengono serializzati).
+ */
+function comparable(value) {
+  if (value === undefined) return null;
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Nome dell'utente del sistema operativo che esegue l'applicazione.
+ */
+function currentUser() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Record clienti e partner archiviati nelle campagne, da confrontare come
+ * quelli attuali: l'ID comprende anno della campagna e tipo di dati
+ * (ad esempio `2024/clienti/42`).
+ */
+function campaignRecords(campaigns) {
+  return (Array.isArray(campaigns) ? campaigns : []).flatMap((campaign) =>
+    ['clienti', 'partner'].flatMap((dataType) =>
+      (campaign[dataType] || []).map((record) => ({ ...record, id: `${campaign.anno}/${dataType}/${record.id}` }))
+    )
+  );
+}
+
+/**
+ * Etichetta leggibile di un record, usata nell'elenco delle attività.
+ */
+function recordLabel(record) {
+  if (!record) return '';
+  return record.azienda || record.nome || '';
+}
+
+/**
+ * AuditLog registra ogni modifica a clienti, partner, eliminati e
+ * impostazioni.  Ogni voce indica data e ora, utente, tipo di dati,
+ * record, campo, valore precedente e nuovo valore e l'origine della
+ * modifica (dialog, bulk, import, delete, restore, settings, ...).
+ * Le funzioni pubbliche ritornano un oggetto {success, data|error}.
+ */
+class AuditLog {
+  /**
+   * Confronta due versioni dei dati di un tipo e produce le voci di
+   * registro corrispondenti.  Per i record vengono registrate creazioni,
+   * rimozioni e ogni campo modificato, anche per i record archiviati
+   * nelle campagne; per le impostazioni ogni campo modificato.
+   *
+   * @param {string} dataType    Tipo di dati
+   * @param {Array|Object} before Dati prima della modifica
+   * @param {Array|Object} after  Dati dopo la modifica
+   * @param {string} origin       Origine della modifica
+   * @returns {Array} Voci da registrare
+   */
+  diff(dataType, before, after, origin) {
+    const base = {
+      timestamp: Date.now(),
+      utente: currentUser(),
+      dataType,
+      origin,
+    };
+    if (dataType === 'campagne') {
+      before = campaignRecords(before);
+      after = campaignRecords(after);
+    }
+    if (!Array.isArray(before) || !Array.isArray(after)) {
+      return this.diffFields(before || {}, after || {}).map((change) => ({
+        ...base,
+        recordId: dataType,
+        recordLabel: '',
+        ...change,
+      }));
+    }
+    const entries = [];
+    // Record precedenti per ID; gli ID ripetuti (ad esempio prima della
+    // riparazione dei doppioni) vengono abbinati nell'ordine
+    const beforeById = new Map();
+    for (const record of before) {
+      const key = String(record.id);
+      beforeById.set(key, [...(beforeById.get(key) || []), record]);
+    }
+    for (const record of after) {
+      const matches = beforeById.get(String(record.id)) || [];
+      const previous = matches.shift();
+      if (!previous) {
+        entries.push({
+          ...base,
+          recordId: record.id,
+          recordLabel: recordLabel(record),
+          azione: 'creazione',
+          field: null,
+          oldValue: null,
+          newValue: null,
+        });
+        continue;
+      }
+      for (const change of this.diffFields(previous, record)) {
+        entries.push({ ...base, recordId: record.id, recordLabel: recordLabel(record), ...change });
+      }
+    }
+    for (const record of [...beforeById.values()].flat()) {
+      entries.push({
+        ...base,
+        recordId: record.id,
+        recordLabel: recordLabel(record),
+        azione: 'rimozione',
+        field: null,
+        oldValue: null,
+        newValue: null,
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Elenca i campi modificati tra due oggetti.
+   */
+  diffFields(previous, current) {
+    const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+    const changes = [];
+    for (const field of fields) {
+      if (IGNORED_FIELDS.includes(field)) continue;
+      const oldValue = comparable(previous[field]);
+      const newValue = comparable(current[field]);
+      if (oldValue === newValue) continue;
+      // Un campo assente ed uno vuoto sono equivalenti
+      if ((oldValue === null || oldValue === '') && (newValue === null || newValue === '')) continue;
+      changes.push({ azione: 'modifica', field, oldValue, newValue });
+    }
+    return changes;
+  }
+
+  /**
+   * Aggiunge le voci al registro.
+   *
+   * @param {Array} entries Voci prodotte da diff
+   */
+  async append(entries, dataFolderPath) {
+    try {
+      if (entries.length > 0) {
+        const lines = entries.map((entry) => JSON.stringify(entry)).join('\n') + '\n';
+        await fs.promises.appendFile(path.join(dataFolderPath, AUDIT_FILE), lines, 'utf8');
+      }
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Carica le voci del registro, dalla più recente, applicando i filtri.
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.dataType] Tipo di dati
+   * @param {string} [filters.origin]   Origine della modifica
+   * @param {string} [filters.text]     Testo cercato in record, campo, valori e utente
+   * @param {number} [filters.from]     Timestamp minimo
+   * @param {number} [filters.to]       Timestamp massimo
+   */
+  async load(dataFolderPath, filters = {}) {
+    try {
+      const filePath = path.join(dataFolderPath, AUDIT_FILE);
+      if (!fs.existsSync(filePath)) {
+        return { success: true, data: [] };
+      }
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      const entries = [];
+      for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // Riga incompleta (ad esempio per un'interruzione): viene ignorata
+        }
+      }
+      const text = (filters.text || '').toLowerCase();
+      const filtered = entries.filter((entry) => {
+        if (filters.dataType && entry.dataType !== filters.dataType) return false;
+        if (filters.origin && entry.origin !== filters.origin) return false;
+        if (filters.from && entry.timestamp < filters.from) return false;
+        if (filters.to && entry.timestamp > filters.to) return false;
+        if (text) {
+          const haystack = [entry.recordId, entry.recordLabel, entry.field, entry.oldValue, entry.newValue, entry.utente]
+            .map((value) => (value === null || value === undefined ? '' : String(value).toLowerCase()))
+            .join(' ');
+          if (!haystack.includes(text)) return false;
+        }
+        return true;
+      });
+      filtered.reverse();
+      return { success: true, data: filtered };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,98 @@
+// Prefisso internazionale dei numeri senza prefisso
+const DEFAULT_COUNTRY_CODE = '39';
+// Numeri italiani dopo il +39: fissi (0...), cellulari (3...) e numeri
+// verdi o a tariffa speciale (8...)
+const ITALIAN_NUMBER = /^(0\d{5,10}|3\d{8,9}|8\d{5,9})$/;
+// Cifre di un numero internazionale secondo E.164
+const MIN_E164_DIGITS = 8;
+const MAX_E164_DIGITS = 15;
+const EMAIL_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*\.[a-z]{2,}$/;
+
+/**
+ * Normalizzazione e controllo di telefoni ed email dei record.  I
+ * telefoni vengono scritti in forma E.164 (+39 seguito dal numero, senza
+ * spazi né separatori: "0432/123456" diventa "+390432123456"), le email
+ * in minuscolo e senza spazi.
+ */
+class ContactValidator {
+  /**
+   * Telefono in forma E.164.  Accetta spazi, punti, trattini, barre e
+   * parentesi come separatori, il prefisso internazionale scritto come
+   * + o 00 e un'eventuale etichetta iniziale ("Tel.", "Cell:").  Ai
+   * numeri senza prefisso viene aggiunto +39.
+   *
+   * @returns {string|null} Numero normalizzato, oppure null se non valido
+   */
+  normalizePhone(value) {
+    const text = String(value || '')
+      .trim()
+      .replace(/^(tel|telefono|cell|cellulare|mob)\.?:?\s*/i, '');
+    const compact = text.replace(/[\s.\-/()]/g, '');
+    if (!/^(\+|00)?\d+$/.test(compact)) return null;
+    let digits;
+    if (compact.startsWith('+')) {
+      digits = compact.slice(1);
+    } else if (compact.startsWith('00')) {
+      digits = compact.slice(2);
+    } else if (compact.length <= 11) {
+      digits = DEFAULT_COUNTRY_CODE + compact;
+    } else if (compact.startsWith(DEFAULT_COUNTRY_CODE)) {
+      // Prefisso scritto senza +
+      digits = compact;
+    } else {
+      return null;
+    }
+    if (digits.startsWith(DEFAULT_COUNTRY_CODE)) {
+      return ITALIAN_NUMBER.test(digits.slice(DEFAULT_COUNTRY_CODE.length)) ? `+${digits}` : null;
+    }
+    if (digits.startsWith('0') || digits.length < MIN_E164_DIGITS || digits.length > MAX_E164_DIGITS) {
+      return null;
+    }
+    return `+${digits}`;
+  }
+
+  /**
+   * Email in minuscolo, senza spazi, "mailto:" e parentesi angolari.
+   *
+   * @returns {string|null} Email normalizzata, oppure null se non valida
+   */
+  normalizeEmail(value) {
+    const email = String(value || '')
+      .trim()
+      .replace(/^mailto:/i, '')
+      .replace(/^<(.*)>$/, '$1')
+      .replace(/\s+/g, '')
+      .toLowerCase();
+    return EMAIL_PATTERN.test(email) ? email : null;
+  }
+
+  /**
+   * Controlla telefono ed email di un record.
+   *
+   * @param {Object} record Record con i campi telefono ed email
+   * @returns {{issues: Array<{field, message}>, normalized: Object}}
+   *   Valori non validi e, per quelli validi ma scritti diversamente, la
+   *   forma normalizzata
+   */
+  validate(record) {
+    const issues = [];
+    const normalized = {};
+    const checks = [
+      ['telefono', this.normalizePhone.bind(this), 'Telefono non valido'],
+      ['email', this.normalizeEmail.bind(this), 'Email non valida'],
+    ];
+    for (const [field, normalize, message] of checks) {
+      const text = String(record[field] || '').trim();
+      if (!text) continue;
+      const value = normalize(text);
+      if (!value) {
+        issues.push({ field, message: `${message}: "${text}"` });
+      } else if (value !== record[field]) {
+        normalized[field] = value;
+      }
+    }
+    return { issues, normalized };
+  }
+}
+
+module.exports = new ContactValidator();
@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+// File (nel profilo utente) che ricorda la cartella dati scelta.
+const CONFIG_FILE = 'config.json';
+// Lock creato nella cartella dati durante ogni scrittura, così che più
+// postazioni che condividono la cartella non scrivano contemporaneamente.
+const LOCK_FILE = '.crm-natale.lock';
+// Marcatore aggiornato ad ogni scrittura: indica alle altre postazioni
+// chi ha fatto l'ultima modifica.
+const REVISION_FILE = '.crm-natale.revision';
+// Un lock non aggiornato da così tanto tempo è considerato abbandonato
+// (crash, rete interrotta) e viene rimosso.  Chi tiene il lock lo
+// aggiorna ogni LOCK_REFRESH_MS, anche durante le modifiche più lunghe
+// (importazioni, annullamenti).
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_REFRESH_MS = 5 * 1000;
+// Tempo massimo di attesa per ottenere il lock.
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_RETRY_MS = 200;
+// Intervallo del controllo periodico delle modifiche, che si affianca
+// alle notifiche del file system perché queste non sono affidabili sulle
+// cartelle di rete.
+const WATCH_INTERVAL_MS = 5 * 1000;
+// Attesa dopo una notifica del file system, per raggruppare le scritture
+// ravvicinate di uno stesso salvataggio.
+const WATCH_DEBOUNCE_MS = 300;
+// File dati controllati e tipi di dati che contengono.  Il database
+// SQLite (vedi sqliteStore) contiene tutti i record.
+const WATCHED_FILES = {
+  'clienti.json': ['clienti'],
+  'partner.json': ['partner'],
+  'eliminati.json': ['eliminati'],
+  'settings.json': ['settings'],
+  'campagne.json': ['campagne'],
+  'importazioni.json': ['importazioni'],
+  'crm-natale.sqlite': ['clienti', 'partner', 'eliminati'],
+};
+// File che non fanno parte dei dati e non vengono spostati.
+const IGNORED_FILES = [LOCK_FILE, REVISION_FILE];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Identifica questa istanza dell'applicazione nei lock e nei marcatori.
+ */
+function currentOwner() {
+  let utente = '';
+  try {
+    utente = os.userInfo().username;
+  } catch (error) {
+    // Utente non disponibile: resta vuoto
+  }
+  return { host: os.hostname(), utente, pid: process.pid };
+}
+
+/**
+ * DataFolder gestisce la posizione della cartella dati (scelta
+ * dall'utente e ricordata nel profilo) e la sua condivisione tra più
+ * postazioni: lock durante le scritture e rilevamento delle modifiche
+ * fatte da altre postazioni o da altri programmi.
+ */
+class DataFolder {
+  constructor() {
+    this.lastRevision = null;
+    this.watchTimer = null;
+    this.watcher = null;
+    this.debounceTimer = null;
+    this.watchedPath = null;
+    this.onChange = null;
+    // Dimensione e data di modifica dei file dati all'ultimo controllo
+    this.signatures = {};
+    // Scritture in corso da parte di questa istanza, da non segnalare
+    this.writing = 0;
+    this.checking = false;
+  }
+
+  /**
+   * Legge la configurazione salvata nel profilo utente (vuota se assente).
+   *
+   * @param {string} configDir Cartella del profilo (app.getPath('userData'))
+   */
+  readConfig(configDir) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(path.join(configDir, CONFIG_FILE), 'utf8'));
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Salva la cartella dati scelta nella configurazione del profilo.
+   */
+  async saveFolder(configDir, dataFolderPath) {
+    await fs.promises.mkdir(configDir, { recursive: true });
+    const config = { ...this.readConfig(configDir), dataFolderPath };
+    await fs.promises.writeFile(path.join(configDir, CONFIG_FILE), JSON.stringify(config, null, 2), 'utf8');
+  }
+
+  /**
+   * Determina la cartella dati da usare: quella scelta dall'utente, se
+   * presente; altrimenti la cartella storica accanto all'eseguibile se
+   * contiene già dei dati; altrimenti la cartella predefinita nel profilo.
+   *
+   * @param {string} configDir   Cartella del profilo utente
+   * @param {string} legacyPath  Cartella `data` accanto all'eseguibile
+   * @param {string} defaultPath Cartella predefinita per le nuove installazioni
+   * @returns {{dataFolderPath: string, configured: boolean}}
+   */
+  resolve(configDir, legacyPath, defaultPath) {
+    const config = this.readConfig(configDir);
+    if (config.dataFolderPath) {
+      return { dataFolderPath: config.dataFolderPath, configured: true };
+    }
+    if (this.hasData(legacyPath)) {
+      return { dataFolderPath: legacyPath, configured: false };
+    }
+    return { dataFolderPath: defaultPath, configured: false };
+  }
+
+  /**
+   * Indica se una cartella esiste ed è raggiungibile e scrivibile.
+   */
+  isAvailable(dataFolderPath) {
+    try {
+      fs.accessSync(dataFolderPath, fs.constants.R_OK | fs.constants.W_OK);
+      return fs.statSync(dataFolderPath).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Indica se una cartella contiene dei dati (file diversi da lock e
+   * marcatori).
+   */
+  hasData(dataFolderPath) {
+    try {
+      return fs.readdirSync(dataFolderPath).some((name) => !IGNORED_FILES.includes(name));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Sposta tutti i dati (file, backup, database) in un'altra cartella.  I
+   * file vengono prima copiati e solo a copia completata rimossi
+   * dall'origine.  La destinazione non deve contenere altri dati.
+   *
+   * @param {string} fromPath Cartella dati attuale
+   * @param {string} toPath   Nuova cartella dati
+   */
+  async moveData(fromPath, toPath) {
+    if (path.resolve(fromPath) === path.resolve(toPath)) return;
+    if (this.hasData(toPath)) {
+      throw new Error(`La cartella ${toPath} contiene già dei dati`);
+    }
+    await fs.promises.mkdir(toPath, { recursive: true });
+    const entries = (await fs.promises.readdir(fromPath)).filter((name) => !IGNORED_FILES.includes(name));
+    for (const name of entries) {
+      await fs.promises.cp(path.join(fromPath, name), path.join(toPath, name), {
+        recursive: true,
+        errorOnExist: true,
+        force: false,
+      });
+    }
+    for (const name of entries) {
+      await fs.promises.rm(path.join(fromPath, name), { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Ottiene il lock di scrittura della cartella dati, attendendo al più
+   * LOCK_TIMEOUT_MS se un'altra postazione sta scrivendo.  Il lock
+   * contiene un identificativo univoco e viene aggiornato periodicamente
+   * finché non viene rilasciato con releaseLock.
+   *
+   * @returns {Promise<Object>} Lock ottenuto, da passare a releaseLock
+   */
+  async acquireLock(dataFolderPath) {
+    const lockPath = path.join(dataFolderPath, LOCK_FILE);
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        await fs.promises.writeFile(lockPath, JSON.stringify({ ...currentOwner(), token, at: Date.now() }), { flag: 'wx' });
+        const lock = { lockPath, token, timer: null };
+        lock.timer = setInterval(() => this.refreshLock(lock), LOCK_REFRESH_MS);
+        return lock;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      const holder = await this.readLock(lockPath);
+      if (holder && Date.now() - holder.at > LOCK_STALE_MS) {
+        // Lock abbandonato: viene rimosso, se nel frattempo non è stato
+        // ripreso o aggiornato, e si riprova subito
+        const current = await this.readLock(lockPath);
+        if (current && current.token === holder.token && current.at === holder.at) {
+          await fs.promises.unlink(lockPath).catch(() => {});
+        }
+        continue;
+      }
+      if (!holder) continue;
+      if (Date.now() > deadline) {
+        throw new Error(`I dati sono in fase di modifica da ${holder.utente || 'un altro utente'} su ${holder.host || 'un\'altra postazione'}. Riprova tra poco.`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * Legge il contenuto di un lock (null se assente).  Un lock vuoto o
+   * illeggibile, ad esempio appena creato da un'altra postazione che non
+   * ha ancora finito di scriverlo, è considerato tenuto da chi l'ha creato
+   * e invecchia con la data di modifica del file.
+   */
+  async readLock(lockPath) {
+    let stat;
+    try {
+      stat = await fs.promises.stat(lockPath);
+    } catch (error) {
+      return null;
+    }
+    try {
+      const holder = JSON.parse(await fs.promises.readFile(lockPath, 'utf8'));
+      if (holder && Number.isFinite(holder.at)) return holder;
+    } catch (error) {
+      // Contenuto non ancora scritto o danneggiato
+    }
+    return { token: null, at: stat.mtimeMs };
+  }
+
+  /**
+   * Aggiorna la data del lock, se è ancora di questa istanza, così che le
+   * altre postazioni non lo considerino abbandonato.
+   */
+  async refreshLock(lock) {
+    const holder = await this.readLock(lock.lockPath);
+    if (!holder || holder.token !== lock.token) return;
+    await fs.promises
+      .writeFile(lock.lockPath, JSON.stringify({ ...currentOwner(), token: lock.token, at: Date.now() }))
+      .catch(() => {});
+  }
+
+  /**
+   * Rilascia il lock di scrittura ottenuto con acquireLock.  Il file viene
+   * rimosso solo se contiene ancora l'identificativo di questo lock.
+   */
+  async releaseLock(lock) {
+    clearInterval(lock.timer);
+    const holder = await this.readLock(lock.lockPath);
+    if (holder && holder.token === lock.token) {
+      await fs.promises.unlink(lock.lockPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Esegue una modifica ai dati tenendo il lock di scrittura.  Se la
+   * modifica riesce viene aggiornato il marcatore delle modifiche, così
+   * che le altre postazioni se ne accorgano.
+   *
+   * @param {Function} mutation Funzione asincrona che ritorna {success, ...}
+   */
+  async withLock(dataFolderPath, mutation) {
+    const lock = await this.acquireLock(dataFolderPath);
+    this.writing++;
+    try {
+      const result = await mutation();
+      if (result && result.success) {
+        await this.writeRevision(dataFolderPath);
+      }
+      // Le modifiche appena fatte non vanno segnalate come esterne
+      if (dataFolderPath === this.watchedPath) {
+        this.signatures = await this.readSignatures(dataFolderPath);
+      }
+      return result;
+    } finally {
+      this.writing--;
+      await this.releaseLock(lock);
+    }
+  }
+
+  /**
+   * Aggiorna il marcatore delle modifiche con un nuovo identificativo.
+   */
+  async writeRevision(dataFolderPath) {
+    const revision = { ...currentOwner(), id: `${Date.now()}-${process.pid}-${Math.random().toString(36).slice(2)}`, at: Date.now() };
+    await fs.promises.writeFile(path.join(dataFolderPath, REVISION_FILE), JSON.stringify(revision), 'utf8');
+    this.lastRevision = revision.id;
+  }
+
+  /**
+   * Legge il marcatore delle modifiche (null se assente).
+   */
+  async readRevision(dataFolderPath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(dataFolderPath, REVISION_FILE), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Legge dimensione e data di modifica dei file dati presenti.
+   */
+  async readSignatures(dataFolderPath) {
+    const signatures = {};
+    for (const name of Object.keys(WATCHED_FILES)) {
+      try {
+        const stat = await fs.promises.stat(path.join(dataFolderPath, name));
+        signatures[name] = `${stat.mtimeMs}:${stat.size}`;
+      } catch (error) {
+        // File assente
+      }
+    }
+    return signatures;
+  }
+
+  /**
+   * Controlla i file dati e chiama `onChange` quando sono stati modificati
+   * da un'altra postazione o da un altro programma.  La notifica contiene
+   * i tipi di dati cambiati e, se la modifica è stata fatta da questa
+   * applicazione su un'altra postazione, chi l'ha fatta.
+   *
+   * @param {Function} onChange Riceve {dataTypes, host, utente, at}
+   */
+  async watch(dataFolderPath, onChange) {
+    this.unwatch();
+    this.watchedPath = dataFolderPath;
+    this.onChange = onChange;
+    this.signatures = await this.readSignatures(dataFolderPath);
+    const initial = await this.readRevision(dataFolderPath);
+    this.lastRevision = initial ? initial.id : null;
+    this.watchTimer = setInterval(() => this.checkChanges(), WATCH_INTERVAL_MS);
+    try {
+      this.watcher = fs.watch(dataFolderPath, () => {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.checkChanges(), WATCH_DEBOUNCE_MS);
+      });
+      this.watcher.on('error', () => {});
+    } catch (error) {
+      // Notifiche non disponibili (alcune cartelle di rete): resta il controllo periodico
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Confronta i file dati con l'ultimo controllo e segnala i tipi di dati
+   * cambiati.  Durante le scritture di questa istanza il controllo viene
+   * saltato.
+   */
+  async checkChanges() {
+    const dataFolderPath = this.watchedPath;
+    if (!dataFolderPath || this.writing > 0 || this.checking) return;
+    this.checking = true;
+    try {
+      const signatures = await this.readSignatures(dataFolderPath);
+      if (this.writing > 0 || dataFolderPath !== this.watchedPath) return;
+      const dataTypes = new Set();
+      for (const name of Object.keys(WATCHED_FILES)) {
+        if (signatures[name] !== this.signatures[name]) {
+          WATCHED_FILES[name].forEach((dataType) => dataTypes.add(dataType));
+        }
+      }
+      this.signatures = signatures;
+      if (dataTypes.size === 0) return;
+      const revision = await this.readRevision(dataFolderPath);
+      const author = revision && revision.id !== this.lastRevision ? revision : {};
+      if (revision) this.lastRevision = revision.id;
+      this.onChange({
+        dataTypes: [...dataTypes],
+        host: author.host || '',
+        utente: author.utente || '',
+        at: author.at || Date.now(),
+      });
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Interrompe il controllo delle modifiche.
+   */
+  unwatch() {
+    if (this.watchTimer) {
+      clearInterval(this.watchTimer);
+      this.watchTimer = null;
+    }
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    clearTimeout(this.debounceTimer);
+    this.watchedPath = null;
+    this.onChange = null;
+  }
+}
+
+module.exports = new DataFolder();
@@ -1,15 +1,905 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const excelImporter = require('./excelimporter');
+const duplicateFinder = require('./duplicateFinder');
+const contactValidator = require('./contactValidator');
+const sqliteStore = require('./sqliteStore');
+
+// Cartella (dentro la cartella dati) che contiene i backup a rotazione,
+// suddivisi in una sottocartella per ogni tipo di dati.
+const BACKUP_FOLDER = 'backup';
+// Archivi disponibili per i record di clienti, partner ed eliminati.  Le
+// impostazioni, le campagne archiviate e i resoconti restano in file JSON.
+const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Restituisce le impostazioni di default dell'applicazione.
+ */
+function getDefaultSettings() {
+  return {
+    regaloCorrente: 'Grappa',
+    annoCorrente: new Date().getFullYear(),
+    consegnatari: ['Andrea Gosgnach', 'Marco Crasnich', 'Massimo Cendron', 'Matteo Rocchetto'],
+    // Nomi dei regali. Il primo è il regalo principale, il secondo la categoria "extra/altro"
+    // ed il terzo rappresenta l'assenza di regalo. Questi valori possono essere
+    // personalizzati tramite la pagina Impostazioni.
+    giftNames: ['Grappa', 'Extra/Altro', 'Nessuno'],
+    // Numero di backup conservati per ogni tipo di dati.
+    backupRetention: 10,
+    // Minuti minimi tra due backup automatici dello stesso tipo di dati (0 =
+    // backup a ogni salvataggio): evita che una serie di salvataggi
+    // ravvicinati consumi tutta la rotazione.
+    backupInterval: 5,
+    // Archivio dei record di clienti, partner ed eliminati: 'json' o 'sqlite'.
+    storageBackend: 'json',
+    // Sinonimi delle intestazioni e ordine delle colonne senza intestazione
+    // usati dall'importazione (vedi excelImporter.normalizeDictionary).
+    importDictionary: excelImporter.defaultDictionary(),
+  };
+}
+
+/**
+ * Genera l'ID di un nuovo record.  È l'unico punto in cui vengono creati
+ * gli ID: gli UUID casuali non possono collidere neanche tra record creati
+ * nello stesso istante o da postazioni diverse sulla stessa cartella dati.
+ * I record esistenti mantengono il proprio ID, anche se numerico.
+ */
+function generateId() {
+  return crypto.randomUUID();
+}
 
 /**
- * DataManager gestisce la persistenza dei dati su disco usando file JSON.
+ * Converte il numero di backup da conservare in un intero positivo,
+ * ricadendo sul default se il valore non è valido.
+ */
+function normalizeRetention(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Converte l'intervallo tra due backup in un numero intero di minuti, zero
+ * compreso, ricadendo sul default se il valore non è valido.
+ */
+function normalizeBackupInterval(value, fallback) {
+  const n = Number(value);
+  return value !== '' && value !== null && Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Restituisce l'archivio dei record indicato, ricadendo su JSON se il
+ * valore non è valido.
+ */
+function normalizeStorageBackend(value) {
+  return STORAGE_BACKENDS.includes(value) ? value : 'json';
+}
+
+/**
+ * Genera il nome del file di backup a partire dalla data, ad esempio
+ * `clienti_2024-12-03T10-15-30-123Z.json`.  Il formato è ordinabile
+ * alfabeticamente.
+ */
+function backupFileName(dataType, date) {
+  return `${dataType}_${date.toISOString().replace(/[:.]/g, '-')}.json`;
+}
+
+/**
+ * Ricava la data di creazione dal nome di un file di backup.  Restituisce
+ * null se il nome non rispetta il formato atteso.
+ */
+function parseBackupDate(fileName) {
+  const match = fileName.match(/_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/);
+  if (!match) return null;
+  return new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`).getTime();
+}
+
+// Versione corrente del formato dei file dati.  I file vengono salvati
+// come `{ schemaVersion, data }`; i file senza intestazione (semplici
+// array o oggetti) sono considerati versione 1.
+const SCHEMA_VERSION = 3;
+// Tipi di dati che contengono record di clienti/partner.
+const RECORD_TYPES = ['clienti', 'partner', 'eliminati'];
+// Tipi di dati aggiornati all'avvio dalla migrazione dei file.
+const MIGRATED_TYPES = [...RECORD_TYPES, 'settings', 'campagne'];
+// Scelte di una campagna natalizia per un contatto, con il valore che
+// indica "nessuna scelta".
+const CAMPAIGN_FIELDS = {
+  grappa: false,
+  extraAltro: false,
+  consegnaSpedizione: '',
+  gls: false,
+};
+// File che conserva i resoconti delle migrazioni eseguite.
+const MIGRATION_REPORT_FILE = 'migrazioni.json';
+// Tipo di dati (file mappature.json) delle corrispondenze tra colonne e
+// campi salvate dall'importazione guidata.
+const IMPORT_MAPPINGS_TYPE = 'mappature';
+// Tipo di dati (file importazioni.json) dello storico delle importazioni,
+// che permette di annullarle.
+const IMPORT_BATCHES_TYPE = 'importazioni';
+
+const BOOLEAN_FIELDS = ['grappa', 'extraAltro', 'gls', 'eliminato'];
+const TIMESTAMP_FIELDS = ['createdAt', 'lastUpdate', 'eliminatoIl'];
+// Stringhe che, nei dati salvati, indicano esplicitamente un valore falso.
+const FALSE_STRINGS = ['0', 'no', 'n', 'false', 'falso'];
+
+/**
+ * Converte in booleano un flag salvato in uno dei formati storici
+ * (`'1'`, `1`, `true`, `'x'`, `''`...).  Come già facevano le pagine,
+ * qualsiasi testo non vuoto che non indichi esplicitamente "no" è vero.
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (!trimmed) return false;
+    return excelImporter.normalizeBoolean(trimmed) || !FALSE_STRINGS.includes(trimmed.toLowerCase());
+  }
+  return Boolean(value);
+}
+
+/**
+ * Converte una data (numero, stringa numerica o ISO, Date) in millisecondi
+ * dall'epoca.  Restituisce undefined se il valore non è interpretabile.
+ */
+function toTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? undefined : value.getTime();
+  if (typeof value === 'string' && value.trim()) {
+    if (/^\d+$/.test(value.trim())) return Number(value.trim());
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? undefined : parsed;
+  }
+  return undefined;
+}
+
+/**
+ * Porta un record nella forma canonica: flag booleani veri, id numerici
+ * quando possibile, date in millisecondi e `tipo` valorizzato per
+ * clienti e partner.
+ */
+function normalizeRecord(record, dataType) {
+  const normalized = { ...record };
+  for (const field of BOOLEAN_FIELDS) {
+    normalized[field] = toBoolean(record[field]);
+  }
+  for (const field of TIMESTAMP_FIELDS) {
+    if (record[field] === undefined || record[field] === null || record[field] === '') {
+      delete normalized[field];
+      continue;
+    }
+    const timestamp = toTimestamp(record[field]);
+    if (timestamp === undefined) delete normalized[field];
+    else normalized[field] = timestamp;
+  }
+  if (typeof record.id === 'string' && /^\d+$/.test(record.id.trim())) {
+    normalized.id = Number(record.id.trim());
+  }
+  if (dataType !== 'eliminati' && !normalized.tipo) {
+    normalized.tipo = dataType;
+  }
+  return normalized;
+}
+
+/**
+ * Indica se un record ha già un ID.
+ */
+function hasId(record) {
+  return record.id !== undefined && record.id !== null && record.id !== '';
+}
+
+/**
+ * Elenco ordinato delle migrazioni.  Ogni migrazione porta i dati di un
+ * tipo alla propria `version` e restituisce i dati aggiornati insieme al
+ * numero di record modificati.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Normalizzazione di flag booleani, id e date',
+    migrate(data, dataType) {
+      if (!RECORD_TYPES.includes(dataType) || !Array.isArray(data)) {
+        return { data, changed: 0 };
+      }
+      let changed = 0;
+      const migrated = data.map((record) => {
+        const normalized = normalizeRecord(record, dataType);
+        if (!hasId(normalized)) {
+          normalized.id = generateId();
+        }
+        if (JSON.stringify(normalized) !== JSON.stringify(record)) changed++;
+        return normalized;
+      });
+      return { data: migrated, changed };
+    },
+  },
+  {
+    version: 3,
+    description: 'Numero di versione dei record per il controllo delle modifiche concorrenti',
+    migrate(data, dataType) {
+      if (!RECORD_TYPES.includes(dataType) || !Array.isArray(data)) {
+        return { data, changed: 0 };
+      }
+      let changed = 0;
+      const migrated = data.map((record) => {
+        if (Number.isInteger(record.version) && record.version > 0) return record;
+        changed++;
+        return { ...record, version: 1 };
+      });
+      return { data: migrated, changed };
+    },
+  },
+];
+
+/**
+ * Rappresentazione del contenuto di un record indipendente dall'ordine
+ * dei campi e dai metadati di versione, usata per capire se un record è
+ * cambiato rispetto a quello salvato.
+ */
+function contentSignature(record) {
+  return JSON.stringify(
+    Object.keys(record)
+      .filter((key) => key !== 'version' && key !== 'lastUpdate')
+      .sort()
+      .map((key) => [key, record[key]])
+  );
+}
+
+/**
+ * Record da salvare con la versione corretta rispetto a quello salvato:
+ * invariata se il contenuto non è cambiato, incrementata altrimenti, 1
+ * per i record nuovi.
+ */
+function versionedRecord(previous, record) {
+  // Record nuovo o salvato prima dell'introduzione delle versioni
+  if (!previous || !Number.isInteger(previous.version)) {
+    return { ...record, version: Number.isInteger(record.version) && record.version > 0 ? record.version : 1 };
+  }
+  if (contentSignature(previous) === contentSignature(record)) {
+    return { ...record, version: previous.version };
+  }
+  return { ...record, version: previous.version + 1 };
+}
+
+/**
+ * Errore restituito quando un record è stato modificato da qualcun altro
+ * dopo che la pagina lo ha caricato.  `data` contiene la versione attuale.
+ */
+function conflictResult(record) {
+  return {
+    success: false,
+    conflict: true,
+    error: 'Il record è stato modificato nel frattempo da un\'altra finestra o postazione. Ricarica i dati e riprova.',
+    data: record,
+  };
+}
+
+// Problemi rilevati dalla verifica dei dati, con la riparazione proposta
+// (null se il problema non è riparabile automaticamente).  L'ordine è
+// quello in cui vengono mostrati e riparati.
+const INTEGRITY_ISSUES = {
+  unreadable: {
+    title: 'File illeggibili',
+    repair: null,
+  },
+  wrongTipo: {
+    title: 'Tipo non corrispondente al file',
+    repair: 'Il tipo del record viene corretto in base al file che lo contiene',
+  },
+  duplicateIds: {
+    title: 'ID duplicati',
+    repair: 'Ai record duplicati viene assegnato un nuovo ID, riportato sulle loro copie negli eliminati e nelle campagne archiviate; negli eliminati viene tenuta solo la copia più recente',
+  },
+  missingTipo: {
+    title: 'Eliminati senza tipo',
+    repair: 'Il tipo viene ricavato dal file di origine del record (clienti se non determinabile)',
+  },
+  activeAndDeleted: {
+    title: 'Record attivi presenti anche negli eliminati',
+    repair: 'Il record attivo viene tolto dagli eliminati',
+  },
+  deletedNotListed: {
+    title: 'Record eliminati assenti dagli eliminati',
+    repair: 'Il record viene aggiunto agli eliminati, da dove può essere ripristinato',
+  },
+};
+// Tipi di dati che possono contenere record attivi.
+const SOURCE_TYPES = ['clienti', 'partner'];
+
+/**
+ * Voce dell'elenco dei record interessati da un problema.
+ */
+function issueRecord(dataType, record, detail) {
+  return {
+    dataType,
+    id: record.id,
+    label: record.azienda || record.nome || '',
+    detail,
+  };
+}
+
+/**
+ * Cerca i problemi di coerenza tra clienti, partner ed eliminati.
+ *
+ * @param {Object} datasets Record di ogni tipo ({clienti, partner, eliminati}), eliminati inclusi
+ * @returns {Object} Record interessati, per codice del problema
+ */
+function findIntegrityIssues(datasets) {
+  const found = {};
+  const add = (code, entry) => {
+    (found[code] = found[code] || []).push(entry);
+  };
+  const firstSource = new Map();
+  for (const dataType of SOURCE_TYPES) {
+    for (const record of datasets[dataType]) {
+      const key = String(record.id);
+      if (firstSource.has(key)) {
+        add('duplicateIds', issueRecord(dataType, record, `ID già usato in ${firstSource.get(key)}`));
+      } else {
+        firstSource.set(key, dataType);
+      }
+      if (record.tipo !== dataType) {
+        add('wrongTipo', issueRecord(dataType, record, `tipo "${record.tipo || ''}"`));
+      }
+    }
+  }
+  const eliminatiIds = new Set();
+  for (const record of datasets.eliminati) {
+    const key = String(record.id);
+    if (eliminatiIds.has(key)) {
+      add('duplicateIds', issueRecord('eliminati', record, 'Copia ripetuta dello stesso record'));
+    }
+    eliminatiIds.add(key);
+    if (!SOURCE_TYPES.includes(record.tipo)) {
+      add('missingTipo', issueRecord('eliminati', record, record.tipo ? `tipo "${record.tipo}"` : 'tipo assente'));
+    }
+  }
+  for (const dataType of SOURCE_TYPES) {
+    for (const record of datasets[dataType]) {
+      const listed = eliminatiIds.has(String(record.id));
+      if (!record.eliminato && listed) {
+        add('activeAndDeleted', issueRecord(dataType, record, 'Presente anche negli eliminati'));
+      } else if (record.eliminato && !listed) {
+        add('deletedNotListed', issueRecord(dataType, record, 'Non visibile né nell\'elenco né negli eliminati'));
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Chiave con cui una copia di un record (negli eliminati o in una
+ * campagna archiviata) viene ricondotta al record originale.
+ */
+function copyKey(dataType, id, record) {
+  const identity = `${record.nome || ''}|${record.azienda || ''}`.trim().toLowerCase();
+  return `${dataType}|${String(id)}|${identity}`;
+}
+
+/**
+ * Assegna un nuovo ID ai record di clienti e partner il cui ID è già
+ * usato da un record precedente (il primo mantiene il proprio) e
+ * aggiorna allo stesso modo le copie di quei record negli eliminati e
+ * nelle campagne archiviate, riconosciute da tipo, vecchio ID, nome e
+ * azienda.  Le copie che non si possono attribuire con certezza (stesso
+ * nome e azienda del record che mantiene l'ID) restano invariate.
+ *
+ * @param {Object} datasets Record di clienti, partner ed eliminati e, se
+ *                          presenti, campagne archiviate; modificati sul posto
+ * @returns {{changed: number, dataTypes: Set<string>}} Record con nuovo ID e tipi di dati da salvare
+ */
+function reassignDuplicateIds(datasets) {
+  const dataTypes = new Set();
+  const seen = new Set();
+  const occurrences = new Map();
+  const newIds = new Map();
+  let changed = 0;
+  for (const dataType of SOURCE_TYPES) {
+    for (const record of datasets[dataType]) {
+      const key = copyKey(dataType, record.id, record);
+      occurrences.set(key, (occurrences.get(key) || 0) + 1);
+    }
+  }
+  for (const dataType of SOURCE_TYPES) {
+    const records = datasets[dataType];
+    for (let index = 0; index < records.length; index++) {
+      const record = records[index];
+      if (!seen.has(String(record.id))) {
+        seen.add(String(record.id));
+        continue;
+      }
+      const id = generateId();
+      const key = copyKey(dataType, record.id, record);
+      if (occurrences.get(key) === 1) newIds.set(key, id);
+      records[index] = { ...record, id };
+      dataTypes.add(dataType);
+      changed++;
+    }
+  }
+  if (changed === 0) return { changed, dataTypes };
+  // Una copia prende il nuovo ID solo se corrisponde a un unico record
+  const remap = (dataType, record) => {
+    const id = newIds.get(copyKey(dataType, record.id, record));
+    return id === undefined ? record : { ...record, id };
+  };
+  datasets.eliminati = datasets.eliminati.map((record) => {
+    const updated = remap(record.tipo, record);
+    if (updated !== record) dataTypes.add('eliminati');
+    return updated;
+  });
+  if (Array.isArray(datasets.campagne)) {
+    datasets.campagne = datasets.campagne.map((campaign) => {
+      const updated = { ...campaign };
+      for (const dataType of SOURCE_TYPES) {
+        updated[dataType] = (campaign[dataType] || []).map((record) => remap(dataType, record));
+        if (updated[dataType].some((record, index) => record !== campaign[dataType][index])) {
+          dataTypes.add('campagne');
+        }
+      }
+      return updated;
+    });
+  }
+  return { changed, dataTypes };
+}
+
+/**
+ * Applica le riparazioni indicate ai dati, nell'ordine di
+ * INTEGRITY_ISSUES, e restituisce i tipi di dati modificati.
+ *
+ * @param {Object} datasets Record di ogni tipo e campagne archiviate, modificati sul posto
+ * @param {Array<string>} codes Codici dei problemi da riparare
+ * @returns {Set<string>} Tipi di dati da salvare
+ */
+function applyIntegrityRepairs(datasets, codes) {
+  const changed = new Set();
+  const selected = Object.keys(INTEGRITY_ISSUES).filter((code) => codes.includes(code));
+  for (const code of selected) {
+    if (code === 'wrongTipo') {
+      for (const dataType of SOURCE_TYPES) {
+        datasets[dataType] = datasets[dataType].map((record) => {
+          if (record.tipo === dataType) return record;
+          changed.add(dataType);
+          return { ...record, tipo: dataType };
+        });
+      }
+    } else if (code === 'duplicateIds') {
+      reassignDuplicateIds(datasets).dataTypes.forEach((dataType) => changed.add(dataType));
+      // Negli eliminati si tiene la copia eliminata per ultima
+      const latest = new Map();
+      for (const record of datasets.eliminati) {
+        const key = String(record.id);
+        const previous = latest.get(key);
+        if (!previous || (record.eliminatoIl || 0) >= (previous.eliminatoIl || 0)) latest.set(key, record);
+      }
+      if (latest.size !== datasets.eliminati.length) {
+        datasets.eliminati = datasets.eliminati.filter((record) => latest.get(String(record.id)) === record);
+        changed.add('eliminati');
+      }
+    } else if (code === 'missingTipo') {
+      datasets.eliminati = datasets.eliminati.map((record) => {
+        if (SOURCE_TYPES.includes(record.tipo)) return record;
+        const source = SOURCE_TYPES.find((dataType) =>
+          datasets[dataType].some((item) => String(item.id) === String(record.id))
+        );
+        changed.add('eliminati');
+        return { ...record, tipo: source || 'clienti' };
+      });
+    } else if (code === 'activeAndDeleted') {
+      const active = new Set(
+        SOURCE_TYPES.flatMap((dataType) =>
+          datasets[dataType].filter((record) => !record.eliminato).map((record) => String(record.id))
+        )
+      );
+      const kept = datasets.eliminati.filter((record) => !active.has(String(record.id)));
+      if (kept.length !== datasets.eliminati.length) {
+        datasets.eliminati = kept;
+        changed.add('eliminati');
+      }
+    } else if (code === 'deletedNotListed') {
+      const listed = new Set(datasets.eliminati.map((record) => String(record.id)));
+      for (const dataType of SOURCE_TYPES) {
+        for (const record of datasets[dataType]) {
+          if (!record.eliminato || listed.has(String(record.id))) continue;
+          datasets.eliminati.push({ ...record, tipo: dataType, eliminatoIl: record.eliminatoIl || Date.now() });
+          listed.add(String(record.id));
+          changed.add('eliminati');
+        }
+      }
+    }
+  }
+  return changed;
+}
+
+// Campi che l'unione di due doppioni non copia dal record rimosso: i
+// metadati restano quelli del record che viene conservato.
+const MERGE_IGNORED_FIELDS = ['id', 'tipo', 'eliminato', 'eliminatoIl', 'createdAt', 'lastUpdate', 'version', 'mergedIds'];
+
+// Campi di un record importato che non vengono confrontati né copiati su
+// un record esistente.
+const IMPORT_IGNORED_FIELDS = ['id', 'tipo', 'eliminato', 'eliminatoIl', 'createdAt', 'lastUpdate', 'version'];
+// Record simili proposti per collegare una riga senza corrispondenza, e
+// somiglianza minima per proporli.
+const LINK_CANDIDATES = 5;
+const LINK_MIN_SCORE = 40;
+// Le chiavi condivise da più record di così (parole come "srl" o nomi
+// molto diffusi) non restringono la ricerca e vengono ignorate.
+const LINK_MAX_BLOCK = 200;
+// Ogni quante righe confrontate viene segnalato l'avanzamento
+// dell'importazione.
+const IMPORT_PROGRESS_STEP = 500;
+
+// Modi di unire una riga a un record esistente: sovrascrivere i campi
+// diversi, solo aggiungere i record nuovi, completare solo i campi vuoti
+// o sovrascrivere solo i campi scelti.
+const IMPORT_STRATEGIES = ['overwrite', 'addOnly', 'fillEmpty', 'selectedFields'];
+
+// Chiavi con cui una riga viene riconosciuta tra i record esistenti, senza
+// distinzione tra maiuscole e minuscole: nome e azienda insieme, email,
+// telefono (confrontati in forma normalizzata) o un codice esterno letto
+// da una colonna del file (`codeField`).  Ogni funzione restituisce null
+// se il record non ha il valore.
+const IMPORT_MATCH_KEYS = {
+  nomeAzienda: (record) => (record.nome && record.azienda
+    ? `${String(record.nome).toLowerCase()}|${String(record.azienda).toLowerCase()}`
+    : null),
+  email: (record) => contactValidator.normalizeEmail(record.email),
+  telefono: (record) => contactValidator.normalizePhone(record.telefono),
+  codice: (record, codeField) => {
+    const value = String(record[codeField] === undefined || record[codeField] === null ? '' : record[codeField]).trim();
+    return value ? value.toLowerCase() : null;
+  },
+};
+
+/**
+ * Controlla la strategia e la chiave scelte per un'importazione.
+ * @throws {Error} Se non sono valide
+ */
+function checkMergeOptions({ strategy = 'overwrite', matchKey = 'nomeAzienda', codeField, fields } = {}) {
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Strategia di importazione non valida: ${strategy}`);
+  }
+  if (!IMPORT_MATCH_KEYS[matchKey]) {
+    throw new Error(`Chiave di riconoscimento non valida: ${matchKey}`);
+  }
+  if (matchKey === 'codice' && !codeField) {
+    throw new Error('Indicare la colonna con il codice esterno');
+  }
+  if (strategy === 'selectedFields' && (!Array.isArray(fields) || fields.length === 0)) {
+    throw new Error('Indicare i campi da sovrascrivere');
+  }
+}
+
+/**
+ * Indica se due valori di un campo sono equivalenti ai fini
+ * dell'importazione (un campo assente equivale a uno vuoto).
+ */
+function sameImportValue(a, b) {
+  const empty = (value) => value === undefined || value === null || value === '';
+  if (empty(a) || empty(b)) return empty(a) && empty(b);
+  return String(a) === String(b);
+}
+
+/**
+ * Unisce ai record attuali le righe lette da un file.  Una riga aggiorna
+ * il record non eliminato indicato da `targetId` (collegamento manuale o
+ * stesso record in una campagna archiviata) o, in mancanza, il primo con
+ * la stessa chiave (vedi IMPORT_MATCH_KEYS), copiando i campi diversi
+ * secondo la strategia scelta, altrimenti diventa un nuovo record.  Le
+ * righe vengono applicate in ordine, così che una riga possa aggiornare
+ * un record creato da una riga precedente dello stesso file.
+ *
+ * @param {Array} current Record attuali, eliminati inclusi
+ * @param {Array<{row, record, warnings, targetId}>} rows Righe da importare
+ * @param {Object} [options]
+ * @param {string} [options.strategy] Una di IMPORT_STRATEGIES (overwrite se assente)
+ * @param {string} [options.matchKey] Una di IMPORT_MATCH_KEYS (nomeAzienda se assente)
+ * @param {string} [options.codeField] Campo con il codice esterno, per matchKey 'codice'
+ * @param {Array<string>} [options.fields] Soli campi da copiare (tutti se assente)
+ * @param {boolean} [options.createMissing] Crea i record senza corrispondenza;
+ *   se falso le righe restano in `unmatched`
+ * @param {Function} [options.onProgress] Chiamata ogni IMPORT_PROGRESS_STEP
+ *   righe con { phase: 'match', done, total }
+ * @returns {{data, created, updated, skipped, unmatched}} Record risultanti
+ *   e, per ogni riga, l'esito: nuovo record, aggiornamento con le
+ *   modifiche campo per campo, riga ignorata con il motivo oppure senza
+ *   corrispondenza; nuovi record e aggiornamenti riportano gli avvisi
+ *   della riga
+ */
+function mergeImportedRows(current, rows, {
+  strategy = 'overwrite', matchKey = 'nomeAzienda', codeField, fields = null, createMissing = true, onProgress = () => {},
+} = {}) {
+  const importMatchKey = (record) => IMPORT_MATCH_KEYS[matchKey](record, codeField);
+  const data = current.slice();
+  const created = [];
+  const updated = [];
+  const skipped = [];
+  const unmatched = [];
+  const indexByKey = new Map();
+  const indexById = new Map();
+  data.forEach((record, index) => {
+    const key = importMatchKey(record);
+    if (key && !record.eliminato && !indexByKey.has(key)) indexByKey.set(key, index);
+    if (!record.eliminato) indexById.set(String(record.id), index);
+  });
+  for (const [position, { row, record, warnings = [], targetId }] of rows.entries()) {
+    if (position % IMPORT_PROGRESS_STEP === 0) {
+      onProgress({ phase: 'match', done: position, total: rows.length });
+    }
+    const key = importMatchKey(record);
+    let index = targetId === undefined ? undefined : indexById.get(String(targetId));
+    if (index === undefined && key !== null) index = indexByKey.get(key);
+    if (index === undefined && !createMissing) {
+      unmatched.push({ row, record, warnings });
+      continue;
+    }
+    if (index === undefined) {
+      // L'ID viene assegnato subito per poter annullare l'importazione
+      const newRecord = { ...record, id: generateId() };
+      data.push(newRecord);
+      if (key !== null) indexByKey.set(key, data.length - 1);
+      created.push({ row, record: newRecord, warnings });
+      continue;
+    }
+    const existing = data[index];
+    if (strategy === 'addOnly') {
+      skipped.push({ row, record, reason: 'Già presente, si aggiungono solo i record nuovi' });
+      continue;
+    }
+    const differences = Object.keys(record)
+      .filter((field) => !IMPORT_IGNORED_FIELDS.includes(field) && (!fields || fields.includes(field)))
+      .filter((field) => !sameImportValue(existing[field], record[field]));
+    const changes = differences
+      .filter((field) => strategy !== 'fillEmpty' || sameImportValue(existing[field], ''))
+      .map((field) => ({
+        field,
+        oldValue: existing[field] === undefined ? null : existing[field],
+        newValue: record[field],
+      }));
+    if (changes.length === 0) {
+      skipped.push({
+        row,
+        record,
+        reason: differences.length === 0
+          ? 'Già presente, senza differenze'
+          : 'Già presente, nessun campo da aggiornare con la strategia scelta',
+      });
+      continue;
+    }
+    const patch = {};
+    changes.forEach(({ field, newValue }) => {
+      patch[field] = newValue;
+    });
+    data[index] = { ...existing, ...patch, lastUpdate: Date.now() };
+    updated.push({ row, id: existing.id, record: data[index], changes, warnings });
+  }
+  onProgress({ phase: 'match', done: rows.length, total: rows.length });
+  return { data, created, updated, skipped, unmatched };
+}
+
+/**
+ * Record attuali non eliminati tra cui cercare quelli da proporre per le
+ * righe senza corrispondenza, indicizzati con le chiavi di
+ * duplicateFinder.blockingKeys così che ogni riga venga confrontata solo
+ * con i record che ne condividono almeno una.
+ *
+ * @param {Array} current Record attuali, eliminati inclusi
+ * @returns {{entries: Array<{item, described}>, blocks: Map}}
+ */
+function linkPool(current) {
+  const entries = current
+    .filter((item) => !item.eliminato)
+    .map((item) => ({ item, described: duplicateFinder.describe(item) }));
+  const blocks = new Map();
+  entries.forEach(({ described }, index) => {
+    for (const key of duplicateFinder.blockingKeys(described)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    }
+  });
+  return { entries, blocks };
+}
+
+/**
+ * Record attuali che somigliano di più a una riga rimasta senza
+ * corrispondenza, da proporre per il collegamento manuale.
+ *
+ * @param {Object} pool Record attuali indicizzati (vedi linkPool)
+ * @param {Object} record Record letto dalla riga
+ * @returns {Array<{id, label, score}>} Al più LINK_CANDIDATES record, dal più simile
+ */
+function linkCandidates(pool, record) {
+  const described = duplicateFinder.describe(record);
+  const indexes = new Set();
+  for (const key of duplicateFinder.blockingKeys(described)) {
+    const block = pool.blocks.get(key) || [];
+    if (block.length <= LINK_MAX_BLOCK) block.forEach((index) => indexes.add(index));
+  }
+  return [...indexes]
+    .map((index) => pool.entries[index])
+    .map(({ item, described: other }) => ({
+      id: item.id,
+      label: [item.azienda, item.nome].filter(Boolean).join(' - '),
+      score: duplicateFinder.score(described, other).score,
+    }))
+    .filter((item) => item.score >= LINK_MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, LINK_CANDIDATES);
+}
+
+/**
+ * Esito di ogni riga del file in un'importazione, in ordine di riga, per
+ * il report da restituire a chi ha inviato il file.  Le righe importate o
+ * aggiornate che hanno avvisi hanno lo stato `warning`.
+ *
+ * @param {Object} merge Esito di mergeImportedRows
+ * @param {Array<{row, record, reason}>} discarded Righe scartate prima dell'unione
+ * @returns {Array<{row, status, nome, azienda, reason}>}
+ */
+function importReport(merge, discarded) {
+  const entry = (item, status, reason) => ({
+    row: item.row,
+    status,
+    nome: item.record.nome || '',
+    azienda: item.record.azienda || '',
+    reason,
+  });
+  const checked = (item, status, reason) => (item.warnings && item.warnings.length > 0
+    ? entry(item, 'warning', `${reason}. ${item.warnings.join('; ')}`)
+    : entry(item, status, reason));
+  return [
+    ...merge.created.map((item) => checked(item, 'imported', 'Nuovo record')),
+    ...merge.updated.map((item) =>
+      checked(item, 'updated', `Aggiornati: ${item.changes.map((change) => change.field).join(', ')}`)),
+    ...[...merge.skipped, ...discarded].map((item) => entry(item, 'skipped', item.reason)),
+    ...merge.unmatched.map((item) => entry(item, 'skipped', 'Nessun record corrispondente')),
+  ].sort((a, b) => a.row - b.row);
+}
+
+/**
+ * Descrive un'importazione salvata per poterla annullare: ID e versione
+ * dei record creati e, per i record aggiornati, i valori precedenti dei
+ * campi modificati.  Un record aggiornato da più righe compare una volta
+ * sola, con il valore che aveva prima dell'importazione.  Conserva anche
+ * il report riga per riga.
+ *
+ * @param {Object} merge   Esito di mergeImportedRows
+ * @param {Array} saved    Record salvati (eliminati inclusi)
+ * @param {Object} details Tipo di dati, file e foglio importati, presenza
+ *   della riga di intestazione, report e strategia usata
+ */
+function importBatch(merge, saved, { dataType, fileName, sheetName, hasHeaders, report, mergeOptions }) {
+  const versions = new Map(saved.map((record) => [String(record.id), record.version]));
+  const createdIds = new Set(merge.created.map((entry) => String(entry.record.id)));
+  const updated = new Map();
+  for (const entry of merge.updated) {
+    const key = String(entry.id);
+    if (createdIds.has(key)) continue;
+    const item = updated.get(key) || { id: entry.id, version: versions.get(key), changes: [] };
+    for (const change of entry.changes) {
+      const previous = item.changes.find((existing) => existing.field === change.field);
+      if (previous) previous.newValue = change.newValue;
+      else item.changes.push({ ...change });
+    }
+    updated.set(key, item);
+  }
+  return {
+    id: generateId(),
+    dataType,
+    fileName: fileName || '',
+    sheetName: sheetName || '',
+    importedAt: Date.now(),
+    created: merge.created.map((entry) => ({
+      id: entry.record.id,
+      label: entry.record.azienda || entry.record.nome || '',
+      version: versions.get(String(entry.record.id)),
+    })),
+    updated: [...updated.values()],
+    hasHeaders: hasHeaders !== false,
+    report,
+    mergeOptions: mergeOptions || null,
+    rolledBackAt: null,
+  };
+}
+
+/**
+ * Separa l'intestazione dal contenuto di un file dati già interpretato
+ * come JSON.
+ */
+function unwrapDataFile(parsed) {
+  if (parsed && !Array.isArray(parsed) && typeof parsed === 'object' &&
+      Number.isInteger(parsed.schemaVersion) && 'data' in parsed) {
+    return { schemaVersion: parsed.schemaVersion, data: parsed.data };
+  }
+  return { schemaVersion: 1, data: parsed };
+}
+
+/**
+ * Interpreta il contenuto di un file dati e lo aggiorna alla versione
+ * corrente eseguendo in ordine le migrazioni necessarie.  `migration` è
+ * null se il file era già aggiornato.
+ */
+function parseDataFile(dataType, raw) {
+  const { schemaVersion, data } = unwrapDataFile(JSON.parse(raw));
+  return migrateData(dataType, data, schemaVersion);
+}
+
+/**
+ * Aggiorna alla versione corrente dati salvati con la versione
+ * `schemaVersion` del formato, indipendentemente dall'archivio da cui
+ * sono stati letti.
+ */
+function migrateData(dataType, data, schemaVersion) {
+  if (schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`I dati ${dataType} sono stati creati da una versione più recente dell'applicazione`);
+  }
+  if (schemaVersion === SCHEMA_VERSION) {
+    return { data, migration: null };
+  }
+  let current = data;
+  const steps = [];
+  for (const step of MIGRATIONS) {
+    if (step.version <= schemaVersion) continue;
+    const result = step.migrate(current, dataType);
+    current = result.data;
+    steps.push({ version: step.version, description: step.description, changed: result.changed });
+  }
+  return {
+    data: current,
+    migration: {
+      dataType,
+      fromVersion: schemaVersion,
+      toVersion: SCHEMA_VERSION,
+      records: Array.isArray(current) ? current.length : 1,
+      steps,
+    },
+  };
+}
+
+/**
+ * Scrive un file in modo atomico: il contenuto viene prima scritto e
+ * sincronizzato su un file temporaneo nella stessa cartella, che viene
+ * poi rinominato sul file di destinazione.  In caso di crash durante la
+ * scrittura il file originale resta intatto.
+ */
+async function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tmpPath, 'w');
+  try {
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tmpPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * DataManager gestisce la persistenza dei dati su disco usando file JSON
+ * oppure, per clienti, partner ed eliminati, un database SQLite
+ * (impostazione `storageBackend`).
  * Le funzioni sono asincrone e ritornano un oggetto {success, data|error}.
  */
 class DataManager {
+  constructor() {
+    // Archivio configurato per cartella dati, con la firma del file delle
+    // impostazioni da cui è stato letto (vedi readStorageBackend)
+    this.storageBackends = new Map();
+  }
+
   /**
    * Carica un insieme di record dal file corrispondente.  Se il file non
    * esiste viene restituito un array vuoto.  Per default i record
-   * marcati con eliminato=true vengono filtrati via.
+   * marcati con eliminato=true vengono filtrati via.  La lettura non
+   * scrive mai: i dati in un formato precedente vengono aggiornati solo in
+   * memoria, mentre i file vengono riscritti da migrateDataFolder sotto il
+   * lock della cartella dati.
    *
    * @param {string} dataType      Tipo di dati (clienti/partner/settings/eliminati)
    * @param {string} dataFolderPath Percorso della cartella dati
@@ -17,15 +907,8 @@ class DataManager {
    */
   async loadData(dataType, dataFolderPath, includeEliminati = false) {
     try {
-      const filePath = path.join(dataFolderPath, `${dataType}.json`);
-      if (!fs.existsSync(filePath)) {
-        return { success: true, data: [] };
-      }
-      const raw = await fs.promises.readFile(filePath, 'utf8');
-      if (!raw.trim()) {
-        return { success: true, data: [] };
-      }
-      let parsed = JSON.parse(raw);
+      const { data } = await this.readStoredData(dataType, dataFolderPath);
+      let parsed = data;
       if (!Array.isArray(parsed)) parsed = [parsed];
       if (!includeEliminati && dataType !== 'eliminati') {
         parsed = parsed.filter((item) => !item.eliminato);
@@ -37,15 +920,456 @@ class DataManager {
   }
 
   /**
-   * Salva l'array di record su disco sovrascrivendo il file esistente.
-   *
-   * @param {string} dataType  Tipo di dati
-   * @param {Array|Object} data  Dati da salvare
+   * Legge i dati di un tipo dall'archivio configurato e li aggiorna, in
+   * memoria, alla versione corrente del formato.  Con l'archivio SQLite,
+   * finché un tipo non è stato importato nel database i record vengono
+   * letti dal relativo file JSON (`sqliteImport`).
+   *
+   * @returns {Promise<{data, migration, sqliteImport}>}
+   */
+  async readStoredData(dataType, dataFolderPath) {
+    if (await this.usesSqlite(dataType, dataFolderPath)) {
+      const { records, schemaVersion } = sqliteStore.readRecords(dataType, dataFolderPath);
+      if (schemaVersion !== null) {
+        return { ...migrateData(dataType, records, schemaVersion), sqliteImport: false };
+      }
+      const imported = await this.readJsonFile(dataType, dataFolderPath);
+      const data = Array.isArray(imported.data) ? imported.data : [imported.data];
+      return { data, migration: imported.migration, sqliteImport: true };
+    }
+    return { ...(await this.readJsonFile(dataType, dataFolderPath)), sqliteImport: false };
+  }
+
+  /**
+   * Legge e aggiorna alla versione corrente il file JSON di un tipo di
+   * dati.  Un file assente o vuoto equivale a un elenco vuoto.
+   */
+  async readJsonFile(dataType, dataFolderPath) {
+    const filePath = path.join(dataFolderPath, `${dataType}.json`);
+    if (!fs.existsSync(filePath)) {
+      return { data: [], migration: null };
+    }
+    const raw = await fs.promises.readFile(filePath, 'utf8');
+    if (!raw.trim()) {
+      return { data: [], migration: null };
+    }
+    return parseDataFile(dataType, raw);
+  }
+
+  /**
+   * Legge l'archivio configurato direttamente dal file delle impostazioni,
+   * come readBackupSettings.  Il valore letto viene conservato finché il
+   * file non cambia (anche se modificato da un'altra postazione), così
+   * che ogni lettura e scrittura costi solo un controllo della data di
+   * modifica.
+   */
+  async readStorageBackend(dataFolderPath) {
+    const filePath = path.join(dataFolderPath, 'settings.json');
+    let signature = null;
+    try {
+      const stat = await fs.promises.stat(filePath);
+      signature = `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      // File delle impostazioni assente: vale l'archivio predefinito
+    }
+    const cached = this.storageBackends.get(dataFolderPath);
+    if (cached && cached.signature === signature) return cached.backend;
+    let backend;
+    try {
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      let { data } = unwrapDataFile(JSON.parse(raw));
+      if (Array.isArray(data)) data = data[0];
+      backend = normalizeStorageBackend(data && data.storageBackend);
+    } catch (error) {
+      backend = getDefaultSettings().storageBackend;
+    }
+    this.storageBackends.set(dataFolderPath, { signature, backend });
+    return backend;
+  }
+
+  /**
+   * Indica se i dati di un tipo sono conservati nel database SQLite.
+   */
+  async usesSqlite(dataType, dataFolderPath) {
+    return RECORD_TYPES.includes(dataType) && (await this.readStorageBackend(dataFolderPath)) === 'sqlite';
+  }
+
+  /**
+   * Indica se i record di un tipo possono essere letti e scritti uno alla
+   * volta: con l'archivio SQLite, quando il tipo è già nel database nel
+   * formato corrente.
+   */
+  async usesSqliteRecords(dataType, dataFolderPath) {
+    return (await this.usesSqlite(dataType, dataFolderPath))
+      && sqliteStore.schemaVersion(dataType, dataFolderPath) === SCHEMA_VERSION;
+  }
+
+  /**
+   * Salva l'array di record su disco.  Prima di sovrascrivere il file
+   * esistente ne viene fatto un backup (al più uno ogni `backupInterval`
+   * minuti, salvo `options.forceBackup`), quindi il nuovo
+   * contenuto viene scritto in modo atomico con l'intestazione
+   * `schemaVersion`.  I record di clienti, partner ed eliminati vengono
+   * portati nella forma canonica prima del salvataggio, quelli senza ID
+   * (ad esempio appena importati) ricevono un ID nuovo e il loro campo
+   * `version` viene incrementato se il contenuto è cambiato rispetto al
+   * file su disco.
+   *
+   * @param {string} dataType  Tipo di dati
+   * @param {Array|Object} data  Dati da salvare
+   * @param {Object} [options]
+   * @param {boolean} [options.forceBackup] Esegue il backup anche se l'ultimo è recente
+   */
+  async saveData(dataType, data, dataFolderPath, options = {}) {
+    try {
+      const records = RECORD_TYPES.includes(dataType) && Array.isArray(data)
+        ? await this.assignVersions(dataType, data.map((record) => {
+          const normalized = normalizeRecord(record, dataType);
+          return hasId(normalized) ? normalized : { ...normalized, id: generateId() };
+        }), dataFolderPath)
+        : data;
+      await this.createBackup(dataType, dataFolderPath, options.forceBackup);
+      if (await this.usesSqlite(dataType, dataFolderPath)) {
+        sqliteStore.writeRecords(dataType, Array.isArray(records) ? records : [records], SCHEMA_VERSION, dataFolderPath);
+      } else {
+        const filePath = path.join(dataFolderPath, `${dataType}.json`);
+        await writeFileAtomic(filePath, JSON.stringify({ schemaVersion: SCHEMA_VERSION, data: records }, null, 2));
+      }
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Confronta i record da salvare con quelli presenti su disco e assegna
+   * a ciascuno la versione corretta: invariata se il contenuto non è
+   * cambiato, incrementata altrimenti, 1 per i record nuovi.
+   */
+  async assignVersions(dataType, records, dataFolderPath) {
+    const stored = new Map();
+    try {
+      let data;
+      if (await this.usesSqlite(dataType, dataFolderPath)) {
+        data = sqliteStore.readRecords(dataType, dataFolderPath).records;
+      } else {
+        data = unwrapDataFile(JSON.parse(await this.readCurrentContent(dataType, dataFolderPath))).data;
+      }
+      if (Array.isArray(data)) {
+        data.forEach((record) => stored.set(String(record.id), record));
+      }
+    } catch (error) {
+      // Dati assenti o illeggibili: tutti i record sono considerati nuovi
+    }
+    return records.map((record) => versionedRecord(stored.get(String(record.id)), record));
+  }
+
+  /**
+   * Salva i record indicati di un tipo, sostituendo quelli con lo stesso
+   * ID e aggiungendo gli altri in fondo, senza toccare i restanti.  Con
+   * l'archivio SQLite vengono lette e scritte solo le righe di questi
+   * record; con i file JSON il file viene riscritto come in saveData.
+   *
+   * @param {string} dataType Tipo di dati (clienti/partner/eliminati)
+   * @param {Array} records   Record da salvare
+   * @returns {Promise<Object>} {success, data} con i record salvati
+   */
+  async saveRecords(dataType, records, dataFolderPath) {
+    try {
+      const prepared = records.map((record) => {
+        const normalized = normalizeRecord(record, dataType);
+        return hasId(normalized) ? normalized : { ...normalized, id: generateId() };
+      });
+      if (await this.usesSqliteRecords(dataType, dataFolderPath)) {
+        const saved = prepared.map((record) =>
+          versionedRecord(sqliteStore.readRecord(dataType, record.id, dataFolderPath), record)
+        );
+        await this.createBackup(dataType, dataFolderPath);
+        sqliteStore.upsertRecords(dataType, saved, dataFolderPath);
+        return { success: true, data: saved };
+      }
+      const result = await this.loadData(dataType, dataFolderPath, true);
+      if (!result.success) throw new Error(result.error);
+      const byId = new Map(prepared.map((record) => [String(record.id), record]));
+      const data = result.data.map((record) => byId.get(String(record.id)) || record);
+      const existing = new Set(result.data.map((record) => String(record.id)));
+      data.push(...prepared.filter((record) => !existing.has(String(record.id))));
+      const saveResult = await this.saveData(dataType, data, dataFolderPath);
+      if (!saveResult.success) throw new Error(saveResult.error);
+      return await this.findRecords(dataType, prepared.map((record) => record.id), dataFolderPath);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Carica i record di un tipo con gli ID indicati, compresi gli
+   * eliminati, nell'ordine degli ID; gli ID non trovati vengono ignorati.
+   * Con l'archivio SQLite vengono lette solo le righe di questi record.
+   */
+  async findRecords(dataType, ids, dataFolderPath) {
+    try {
+      if (await this.usesSqliteRecords(dataType, dataFolderPath)) {
+        const records = ids.map((id) => sqliteStore.readRecord(dataType, id, dataFolderPath));
+        return { success: true, data: records.filter(Boolean) };
+      }
+      const result = await this.loadData(dataType, dataFolderPath, true);
+      if (!result.success) throw new Error(result.error);
+      const byId = new Map(result.data.map((record) => [String(record.id), record]));
+      return { success: true, data: ids.map((id) => byId.get(String(id))).filter(Boolean) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Restituisce i dati salvati di un tipo nel formato dei file JSON, così
+   * come sono nell'archivio (senza migrazioni), oppure null se non ci
+   * sono dati.
+   */
+  async readCurrentContent(dataType, dataFolderPath) {
+    if (await this.usesSqlite(dataType, dataFolderPath)) {
+      if (!sqliteStore.exists(dataFolderPath)) return null;
+      const { records, schemaVersion } = sqliteStore.readRecords(dataType, dataFolderPath);
+      if (schemaVersion === null) return null;
+      return JSON.stringify({ schemaVersion, data: records }, null, 2);
+    }
+    const filePath = path.join(dataFolderPath, `${dataType}.json`);
+    if (!fs.existsSync(filePath)) return null;
+    const raw = await fs.promises.readFile(filePath, 'utf8');
+    return raw || null;
+  }
+
+  /**
+   * Copia i dati correnti di un tipo nella cartella dei backup (sempre
+   * come file JSON, anche con l'archivio SQLite) ed elimina i backup più vecchi oltre il numero configurato nelle
+   * impostazioni (`backupRetention`).  Il backup viene saltato se l'ultimo
+   * è più recente dell'intervallo impostato (`backupInterval`).
+   *
+   * @param {string} dataType Tipo di dati
+   * @param {boolean} force   Ignora l'intervallo minimo tra due backup
+   */
+  async createBackup(dataType, dataFolderPath, force = false) {
+    const backupDir = path.join(dataFolderPath, BACKUP_FOLDER, dataType);
+    const existing = fs.existsSync(backupDir)
+      ? (await fs.promises.readdir(backupDir)).filter((name) => parseBackupDate(name) !== null).sort()
+      : [];
+    const latest = existing.length > 0 ? parseBackupDate(existing[existing.length - 1]) : null;
+    const { retention, interval } = await this.readBackupSettings(dataFolderPath);
+    // I dati vengono letti (e con SQLite serializzati) solo se il backup è dovuto
+    if (!force && latest !== null && Date.now() - latest < interval * 60 * 1000) return;
+    const content = await this.readCurrentContent(dataType, dataFolderPath);
+    if (!content) return;
+    await fs.promises.mkdir(backupDir, { recursive: true });
+    const fileName = backupFileName(dataType, new Date());
+    await writeFileAtomic(path.join(backupDir, fileName), content);
+    existing.push(fileName);
+    const toRemove = existing.slice(0, Math.max(0, existing.length - retention));
+    for (const name of toRemove) {
+      await fs.promises.unlink(path.join(backupDir, name)).catch(() => {});
+    }
+  }
+
+  /**
+   * Legge il numero di backup da conservare e l'intervallo tra due backup
+   * direttamente dal file delle impostazioni, senza normalizzare le altre
+   * impostazioni come loadSettings.
+   *
+   * @returns {Promise<{retention: number, interval: number}>} interval in minuti
+   */
+  async readBackupSettings(dataFolderPath) {
+    const defaults = getDefaultSettings();
+    try {
+      const raw = await fs.promises.readFile(path.join(dataFolderPath, 'settings.json'), 'utf8');
+      let { data } = unwrapDataFile(JSON.parse(raw));
+      if (Array.isArray(data)) data = data[0];
+      return {
+        retention: normalizeRetention(data && data.backupRetention, defaults.backupRetention),
+        interval: normalizeBackupInterval(data && data.backupInterval, defaults.backupInterval),
+      };
+    } catch (error) {
+      return { retention: defaults.backupRetention, interval: defaults.backupInterval };
+    }
+  }
+
+  /**
+   * Elenca i backup disponibili per tutti i tipi di dati, dal più recente
+   * al più vecchio.  Per ogni backup viene indicato il numero di record
+   * contenuti.
+   */
+  async listBackups(dataFolderPath) {
+    try {
+      const root = path.join(dataFolderPath, BACKUP_FOLDER);
+      if (!fs.existsSync(root)) {
+        return { success: true, data: [] };
+      }
+      const backups = [];
+      for (const dataType of await fs.promises.readdir(root)) {
+        const dir = path.join(root, dataType);
+        if (!(await fs.promises.stat(dir)).isDirectory()) continue;
+        for (const fileName of await fs.promises.readdir(dir)) {
+          const createdAt = parseBackupDate(fileName);
+          if (createdAt === null) continue;
+          let records = null;
+          try {
+            const raw = await fs.promises.readFile(path.join(dir, fileName), 'utf8');
+            const { data } = unwrapDataFile(JSON.parse(raw));
+            records = Array.isArray(data) ? data.length : 1;
+          } catch (error) {
+            // Backup illeggibile: viene comunque elencato senza conteggio
+          }
+          backups.push({ dataType, fileName, createdAt, records });
+        }
+      }
+      backups.sort((a, b) => b.createdAt - a.createdAt);
+      return { success: true, data: backups };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Ripristina un backup sovrascrivendo i dati correnti.  Lo stato attuale
+   * viene a sua volta salvato come backup, così il ripristino è
+   * reversibile.
+   *
+   * @param {string} dataType Tipo di dati del backup
+   * @param {string} fileName Nome del file di backup (come restituito da listBackups)
+   */
+  async restoreBackup(dataType, fileName, dataFolderPath) {
+    try {
+      if (path.basename(fileName) !== fileName || parseBackupDate(fileName) === null) {
+        throw new Error(`Nome di backup non valido: ${fileName}`);
+      }
+      const backupPath = path.join(dataFolderPath, BACKUP_FOLDER, path.basename(dataType), fileName);
+      if (!fs.existsSync(backupPath)) throw new Error(`Backup ${fileName} non trovato`);
+      const raw = await fs.promises.readFile(backupPath, 'utf8');
+      const { data } = parseDataFile(dataType, raw);
+      return await this.saveData(dataType, data, dataFolderPath, { forceBackup: true });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Aggiorna all'avvio tutti i file dati al formato corrente, così che il
+   * resoconto delle migrazioni sia disponibile prima che l'interfaccia
+   * lo richieda.
+   */
+  async migrateDataFolder(dataFolderPath) {
+    try {
+      for (const dataType of MIGRATED_TYPES) {
+        await this.migrateStoredData(dataType, dataFolderPath);
+      }
+      await this.migrateDuplicateIds(dataFolderPath);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Riscrive i dati di un tipo se sono in un formato precedente (il backup
+   * forzato conserva la versione precedente e la migrazione viene aggiunta
+   * al resoconto) o se devono ancora essere importati nel database SQLite.
+   */
+  async migrateStoredData(dataType, dataFolderPath) {
+    try {
+      const { data, migration, sqliteImport } = await this.readStoredData(dataType, dataFolderPath);
+      if (migration) {
+        const saveResult = await this.saveData(dataType, data, dataFolderPath, { forceBackup: true });
+        if (!saveResult.success) throw new Error(saveResult.error);
+        await this.addMigrationReport(migration, dataFolderPath);
+      } else if (sqliteImport) {
+        sqliteStore.writeRecords(dataType, Array.isArray(data) ? data : [data], SCHEMA_VERSION, dataFolderPath);
+      }
+    } catch (error) {
+      throw new Error(`${dataType}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rende univoci gli ID di clienti e partner creati dalle versioni che
+   * generavano gli ID dall'orario: i record duplicati ricevono un nuovo ID,
+   * riportato anche sulle loro copie negli eliminati e nelle campagne
+   * archiviate, e l'operazione viene aggiunta al resoconto delle
+   * migrazioni.  Se gli ID sono già univoci non viene scritto nulla.
+   */
+  async migrateDuplicateIds(dataFolderPath) {
+    const datasets = {};
+    for (const dataType of [...RECORD_TYPES, 'campagne']) {
+      const result = await this.loadData(dataType, dataFolderPath, true);
+      if (!result.success) throw new Error(`${dataType}: ${result.error}`);
+      datasets[dataType] = result.data;
+    }
+    const { changed, dataTypes } = reassignDuplicateIds(datasets);
+    if (changed === 0) return;
+    for (const dataType of dataTypes) {
+      const saveResult = await this.saveData(dataType, datasets[dataType], dataFolderPath, { forceBackup: true });
+      if (!saveResult.success) throw new Error(`${dataType}: ${saveResult.error}`);
+    }
+    await this.addMigrationReport({
+      dataType: SOURCE_TYPES.join(', '),
+      fromVersion: SCHEMA_VERSION,
+      toVersion: SCHEMA_VERSION,
+      records: datasets.clienti.length + datasets.partner.length,
+      steps: [{ version: null, description: 'Nuovo ID ai record con ID duplicato', changed }],
+    }, dataFolderPath);
+  }
+
+  /**
+   * Aggiunge il risultato di una migrazione al resoconto non ancora
+   * mostrato all'utente, creandone uno nuovo se necessario.
+   */
+  async addMigrationReport(migration, dataFolderPath) {
+    const reports = await this.readMigrationReports(dataFolderPath);
+    let pending = reports.find((report) => !report.shown);
+    if (!pending) {
+      pending = { createdAt: Date.now(), shown: false, entries: [] };
+      reports.push(pending);
+    }
+    pending.entries.push(migration);
+    await writeFileAtomic(path.join(dataFolderPath, MIGRATION_REPORT_FILE), JSON.stringify(reports, null, 2));
+  }
+
+  /**
+   * Legge l'elenco dei resoconti delle migrazioni (vuoto se il file manca
+   * o è illeggibile).
+   */
+  async readMigrationReports(dataFolderPath) {
+    const filePath = path.join(dataFolderPath, MIGRATION_REPORT_FILE);
+    if (!fs.existsSync(filePath)) return [];
+    try {
+      const parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Restituisce il resoconto delle migrazioni non ancora mostrato, oppure
+   * null se non ce ne sono.
+   */
+  async getMigrationReport(dataFolderPath) {
+    try {
+      const reports = await this.readMigrationReports(dataFolderPath);
+      return { success: true, data: reports.find((report) => !report.shown) || null };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Segna come mostrati tutti i resoconti delle migrazioni.
    */
-  async saveData(dataType, data, dataFolderPath) {
+  async ackMigrationReport(dataFolderPath) {
     try {
-      const filePath = path.join(dataFolderPath, `${dataType}.json`);
-      await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+      const reports = await this.readMigrationReports(dataFolderPath);
+      reports.forEach((report) => {
+        report.shown = true;
+      });
+      await writeFileAtomic(path.join(dataFolderPath, MIGRATION_REPORT_FILE), JSON.stringify(reports, null, 2));
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
@@ -60,17 +1384,14 @@ class DataManager {
    */
   async moveToEliminati(dataType, id, dataFolderPath) {
     try {
-      const { success, data, error } = await this.loadData(dataType, dataFolderPath, true);
-      if (!success) throw new Error(error);
-      const index = data.findIndex((item) => item.id === id);
-      if (index === -1) throw new Error(`Record con ID ${id} non trovato`);
-      data[index].eliminato = true;
-      data[index].eliminatoIl = Date.now();
-      await this.saveData(dataType, data, dataFolderPath);
-      const eliminatiResult = await this.loadData('eliminati', dataFolderPath, true);
-      const eliminati = eliminatiResult.success ? eliminatiResult.data : [];
-      eliminati.push(data[index]);
-      await this.saveData('eliminati', eliminati, dataFolderPath);
+      const found = await this.findRecords(dataType, [id], dataFolderPath);
+      if (!found.success) throw new Error(found.error);
+      if (found.data.length === 0) throw new Error(`Record con ID ${id} non trovato`);
+      const record = { ...found.data[0], eliminato: true, eliminatoIl: Date.now() };
+      const saved = await this.saveRecords(dataType, [record], dataFolderPath);
+      if (!saved.success) throw new Error(saved.error);
+      const eliminati = await this.saveRecords('eliminati', saved.data, dataFolderPath);
+      if (!eliminati.success) throw new Error(eliminati.error);
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
@@ -87,7 +1408,7 @@ class DataManager {
       const eliminatiResult = await this.loadData('eliminati', dataFolderPath, true);
       if (!eliminatiResult.success) throw new Error(eliminatiResult.error);
       const data = eliminatiResult.data;
-      const index = data.findIndex((item) => item.id === id);
+      const index = data.findIndex((item) => String(item.id) === String(id));
       if (index === -1) throw new Error(`Record con ID ${id} non trovato`);
       const record = { ...data[index] };
       data.splice(index, 1);
@@ -97,7 +1418,7 @@ class DataManager {
       const dataType = record.tipo;
       const currentResult = await this.loadData(dataType, dataFolderPath, true);
       const currentData = currentResult.success ? currentResult.data : [];
-      const existingIndex = currentData.findIndex((item) => item.id === id);
+      const existingIndex = currentData.findIndex((item) => String(item.id) === String(id));
       if (existingIndex !== -1) {
         currentData[existingIndex] = record;
       } else {
@@ -110,6 +1431,467 @@ class DataManager {
     }
   }
 
+  /**
+   * Crea un nuovo record di clienti o partner.  L'ID viene sempre
+   * generato qui: un eventuale `id` nei campi ricevuti viene ignorato.
+   *
+   * @param {string} dataType Tipo di dati (clienti/partner)
+   * @param {Object} record   Campi del nuovo record
+   * @returns {Promise<Object>} {success, data} con il record salvato
+   */
+  async createRecord(dataType, record, dataFolderPath) {
+    try {
+      const { id: ignoredId, version: ignoredVersion, ...fields } = record;
+      const created = {
+        ...fields,
+        id: generateId(),
+        tipo: dataType,
+        eliminato: false,
+        createdAt: Date.now(),
+      };
+      const saved = await this.saveRecords(dataType, [created], dataFolderPath);
+      if (!saved.success) throw new Error(saved.error);
+      return { success: true, data: saved.data[0] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Carica un singolo record per id.
+   */
+  async loadRecord(dataType, id, dataFolderPath) {
+    try {
+      const result = await this.findRecords(dataType, [id], dataFolderPath);
+      if (!result.success) throw new Error(result.error);
+      const record = result.data[0];
+      if (!record) throw new Error(`Record con ID ${id} non trovato`);
+      return { success: true, data: record };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Applica una modifica parziale a un record.  La modifica viene
+   * rifiutata con `conflict: true` se la versione su disco è diversa da
+   * `expectedVersion`, cioè se il record è stato modificato dopo che la
+   * pagina lo ha caricato.
+   *
+   * @param {string} dataType        Tipo di dati (clienti/partner)
+   * @param {number|string} id       Identificativo del record
+   * @param {Object} patch           Campi da modificare
+   * @param {number} expectedVersion Versione del record letta dalla pagina
+   */
+  async updateRecord(dataType, id, patch, expectedVersion, dataFolderPath) {
+    const result = await this.updateRecords(dataType, [{ id, patch, version: expectedVersion }], dataFolderPath);
+    if (!result.success) {
+      return result.conflict ? conflictResult(result.data[0]) : result;
+    }
+    return { success: true, data: result.data[0] };
+  }
+
+  /**
+   * Applica più modifiche parziali in un unico salvataggio.  Se anche un
+   * solo record è in conflitto non viene applicata nessuna modifica e
+   * `data` contiene le versioni attuali dei record in conflitto.
+   *
+   * @param {string} dataType Tipo di dati (clienti/partner)
+   * @param {Array<{id, patch, version}>} updates Modifiche da applicare
+   */
+  async updateRecords(dataType, updates, dataFolderPath) {
+    try {
+      const result = await this.findRecords(dataType, updates.map((update) => update.id), dataFolderPath);
+      if (!result.success) throw new Error(result.error);
+      const byId = new Map(result.data.map((item) => [String(item.id), item]));
+      const conflicts = [];
+      for (const { id, version } of updates) {
+        const current = byId.get(String(id));
+        if (!current) throw new Error(`Record con ID ${id} non trovato`);
+        if (current.version !== version) conflicts.push(current);
+      }
+      if (conflicts.length > 0) {
+        return conflictResult(conflicts);
+      }
+      // Più modifiche allo stesso record vengono applicate in ordine
+      const changed = new Map();
+      for (const { id, patch } of updates) {
+        const { id: ignoredId, version: ignoredVersion, ...fields } = patch;
+        const key = String(id);
+        changed.set(key, { ...(changed.get(key) || byId.get(key)), ...fields, lastUpdate: Date.now() });
+      }
+      const saved = await this.saveRecords(dataType, [...changed.values()], dataFolderPath);
+      if (!saved.success) throw new Error(saved.error);
+      return { success: true, data: saved.data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Elimina (soft delete) un record se la versione su disco corrisponde
+   * a quella letta dalla pagina.
+   *
+   * @param {string} dataType        Tipo di dati (clienti/partner)
+   * @param {number|string} id       Identificativo del record
+   * @param {number} expectedVersion Versione del record letta dalla pagina
+   */
+  async deleteRecord(dataType, id, expectedVersion, dataFolderPath) {
+    try {
+      const current = await this.loadRecord(dataType, id, dataFolderPath);
+      if (!current.success) throw new Error(current.error);
+      if (current.data.version !== expectedVersion) return conflictResult(current.data);
+      return await this.moveToEliminati(dataType, current.data.id, dataFolderPath);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Cerca i possibili doppioni tra i clienti e i partner non eliminati,
+   * anche tra un cliente e un partner.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.minScore] Punteggio minimo (0-100) delle coppie
+   * @returns {Promise<Object>} {success, data: [{score, criteria, a, b}]},
+   *   con a e b nella forma {dataType, record}
+   */
+  async findDuplicates(dataFolderPath, { minScore } = {}) {
+    try {
+      const entries = [];
+      for (const dataType of SOURCE_TYPES) {
+        const result = await this.loadData(dataType, dataFolderPath);
+        if (!result.success) throw new Error(result.error);
+        result.data.forEach((record) => entries.push({ dataType, record }));
+      }
+      return { success: true, data: duplicateFinder.findPairs(entries, { minScore }) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Unisce due doppioni: il record `keep` viene conservato con i valori
+   * scelti in `fields`, il record `remove` viene tolto dal suo file.  Il
+   * record conservato ricorda in `mergedIds` gli ID dei record uniti, così
+   * che lo storico dei regali comprenda anche le campagne del record
+   * rimosso.  Se uno dei due record è stato modificato dopo che la pagina
+   * lo ha caricato l'unione viene rifiutata con `conflict: true`.
+   *
+   * @param {{dataType, id, version}} keep   Record da conservare
+   * @param {{dataType, id, version}} remove Record da rimuovere
+   * @param {Object} fields Valori scelti per i campi del record conservato
+   * @returns {Promise<Object>} {success, data} con il record conservato
+   */
+  async mergeRecords(keep, remove, fields, dataFolderPath) {
+    try {
+      if (keep.dataType === remove.dataType && String(keep.id) === String(remove.id)) {
+        throw new Error('Non è possibile unire un record con sé stesso');
+      }
+      const keepResult = await this.loadData(keep.dataType, dataFolderPath, true);
+      if (!keepResult.success) throw new Error(keepResult.error);
+      const removeResult = keep.dataType === remove.dataType
+        ? keepResult
+        : await this.loadData(remove.dataType, dataFolderPath, true);
+      if (!removeResult.success) throw new Error(removeResult.error);
+      const kept = keepResult.data.find((item) => String(item.id) === String(keep.id));
+      const removed = removeResult.data.find((item) => String(item.id) === String(remove.id));
+      if (!kept) throw new Error(`Record con ID ${keep.id} non trovato`);
+      if (!removed) throw new Error(`Record con ID ${remove.id} non trovato`);
+      const conflicts = [kept, removed].filter(
+        (record, index) => record.eliminato || record.version !== [keep, remove][index].version
+      );
+      if (conflicts.length > 0) return conflictResult(conflicts);
+
+      const chosen = Object.keys(fields || {})
+        .filter((field) => !MERGE_IGNORED_FIELDS.includes(field))
+        .reduce((acc, field) => {
+          acc[field] = fields[field];
+          return acc;
+        }, {});
+      const merged = {
+        ...kept,
+        ...chosen,
+        mergedIds: [
+          ...(kept.mergedIds || []),
+          {
+            dataType: remove.dataType,
+            id: removed.id,
+            label: removed.azienda || removed.nome || '',
+            mergedAt: Date.now(),
+          },
+          ...(removed.mergedIds || []),
+        ],
+        lastUpdate: Date.now(),
+      };
+      const keepData = keepResult.data
+        .filter((item) => !(keep.dataType === remove.dataType && String(item.id) === String(removed.id)))
+        .map((item) => (String(item.id) === String(kept.id) ? merged : item));
+      const saveResult = await this.saveData(keep.dataType, keepData, dataFolderPath, { forceBackup: true });
+      if (!saveResult.success) throw new Error(saveResult.error);
+      if (keep.dataType !== remove.dataType) {
+        const removeData = removeResult.data.filter((item) => String(item.id) !== String(removed.id));
+        const removeSave = await this.saveData(remove.dataType, removeData, dataFolderPath, { forceBackup: true });
+        if (!removeSave.success) throw new Error(removeSave.error);
+      }
+      return await this.loadRecord(keep.dataType, kept.id, dataFolderPath);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Verifica la coerenza della cartella dati: file leggibili, ID univoci,
+   * corrispondenza tra clienti/partner ed eliminati e tipo dei record.
+   * Per ogni problema vengono restituiti i record interessati e la
+   * riparazione proposta.
+   *
+   * @returns {Promise<Object>} {success, data: {checkedAt, totals, issues}}
+   */
+  async checkIntegrity(dataFolderPath) {
+    try {
+      const datasets = {};
+      const totals = {};
+      const unreadable = [];
+      for (const dataType of MIGRATED_TYPES) {
+        const result = await this.loadData(dataType, dataFolderPath, true);
+        if (!result.success) {
+          unreadable.push({ dataType, id: null, label: dataType, detail: result.error });
+        }
+        if (RECORD_TYPES.includes(dataType)) {
+          datasets[dataType] = result.success ? result.data : [];
+          totals[dataType] = datasets[dataType].length;
+        }
+      }
+      const found = findIntegrityIssues(datasets);
+      if (unreadable.length > 0) found.unreadable = unreadable;
+      const issues = Object.keys(INTEGRITY_ISSUES)
+        .filter((code) => found[code])
+        .map((code) => ({
+          code,
+          title: INTEGRITY_ISSUES[code].title,
+          repair: INTEGRITY_ISSUES[code].repair,
+          count: found[code].length,
+          records: found[code],
+        }));
+      return { success: true, data: { checkedAt: Date.now(), totals, issues } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Ripara i problemi indicati e salva i tipi di dati modificati (con un
+   * backup forzato dei dati precedenti).  Restituisce l'esito di una
+   * nuova verifica.
+   *
+   * @param {Array<string>} codes Codici dei problemi da riparare
+   */
+  async repairIntegrity(codes, dataFolderPath) {
+    try {
+      const datasets = {};
+      for (const dataType of [...RECORD_TYPES, 'campagne']) {
+        const result = await this.loadData(dataType, dataFolderPath, true);
+        if (!result.success) {
+          throw new Error(`Il file ${dataType} non è leggibile: ripristinare prima un backup`);
+        }
+        datasets[dataType] = result.data;
+      }
+      const changed = applyIntegrityRepairs(datasets, codes);
+      for (const dataType of changed) {
+        const saveResult = await this.saveData(dataType, datasets[dataType], dataFolderPath, { forceBackup: true });
+        if (!saveResult.success) throw new Error(saveResult.error);
+      }
+      return await this.checkIntegrity(dataFolderPath);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Elenca le campagne archiviate (una per anno) con il numero di clienti
+   * e partner conservati, dalla più recente.
+   */
+  async listCampaigns(dataFolderPath) {
+    try {
+      const result = await this.loadData('campagne', dataFolderPath, true);
+      if (!result.success) throw new Error(result.error);
+      const campaigns = result.data
+        .map((campaign) => ({
+          anno: campaign.anno,
+          chiusaIl: campaign.chiusaIl,
+          clienti: (campaign.clienti || []).length,
+          partner: (campaign.partner || []).length,
+        }))
+        .sort((a, b) => b.anno - a.anno);
+      return { success: true, data: campaigns };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Carica i record di un tipo così come erano nella campagna dell'anno
+   * indicato.  Per l'anno corrente (o se l'anno non è specificato) vengono
+   * restituiti i dati attuali; gli eliminati non sono suddivisi per anno.
+   *
+   * @param {string} dataType Tipo di dati (clienti/partner/eliminati)
+   * @param {number} anno     Anno della campagna
+   */
+  async loadCampaignData(dataType, anno, dataFolderPath, includeEliminati = false) {
+    try {
+      const settingsResult = await this.loadSettings(dataFolderPath);
+      const annoCorrente = Number(settingsResult.data.annoCorrente);
+      if (!anno || Number(anno) === annoCorrente || dataType === 'eliminati') {
+        return await this.loadData(dataType, dataFolderPath, includeEliminati);
+      }
+      const result = await this.loadData('campagne', dataFolderPath, true);
+      if (!result.success) throw new Error(result.error);
+      const campaign = result.data.find((item) => Number(item.anno) === Number(anno));
+      if (!campaign) throw new Error(`Nessuna campagna archiviata per l'anno ${anno}`);
+      return { success: true, data: campaign[dataType] || [] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Righe da importare con importRecords (opzione previousYear) per
+   * riportare sui record attuali le scelte della campagna archiviata
+   * dell'anno indicato: nome, azienda, regalo, consegna e GLS di ogni
+   * record, collegate al record attuale con lo stesso ID.
+   *
+   * @param {string} dataType Tipo di dati (clienti/partner)
+   * @param {number} anno     Anno della campagna archiviata
+   */
+  async previousYearRows(dataType, anno, dataFolderPath) {
+    try {
+      const result = await this.loadCampaignData(dataType, anno, dataFolderPath);
+      if (!result.success) throw new Error(result.error);
+      const rows = result.data.map((item, index) => {
+        const record = { nome: item.nome, azienda: item.azienda };
+        for (const field of Object.keys(CAMPAIGN_FIELDS)) {
+          record[field] = item[field] === undefined ? CAMPAIGN_FIELDS[field] : item[field];
+        }
+        return { row: index + 1, record, targetId: item.id };
+      });
+      return { success: true, data: rows };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Ricostruisce lo storico dei regali di un contatto: per ogni campagna
+   * archiviata e per l'anno corrente indica il regalo, il consegnatario e
+   * se la spedizione è avvenuta tramite GLS.  Restituisce anche il record
+   * (attuale o, se non più presente, l'ultima copia archiviata).  Per un
+   * record nato dall'unione di doppioni lo storico comprende anche le
+   * campagne dei record uniti, indicati in `unitoDa`.
+   *
+   * @param {string} dataType  Tipo di dati (clienti/partner)
+   * @param {number|string} id Identificativo del record
+   */
+  async getRecordHistory(dataType, id, dataFolderPath) {
+    try {
+      const sameId = (item) => String(item.id) === String(id);
+      const pickChoices = (item) =>
+        Object.keys(CAMPAIGN_FIELDS).reduce((acc, field) => {
+          acc[field] = item[field] === undefined ? CAMPAIGN_FIELDS[field] : item[field];
+          return acc;
+        }, {});
+      const currentResult = await this.loadData(dataType, dataFolderPath, true);
+      if (!currentResult.success) throw new Error(currentResult.error);
+      const current = currentResult.data.find(sameId);
+      const merged = (current && current.mergedIds) || [];
+      const campaignsResult = await this.loadData('campagne', dataFolderPath, true);
+      if (!campaignsResult.success) throw new Error(campaignsResult.error);
+      const timeline = [];
+      let record = null;
+      const campaigns = campaignsResult.data.slice().sort((a, b) => a.anno - b.anno);
+      for (const campaign of campaigns) {
+        const archived = (campaign[dataType] || []).find(sameId);
+        if (archived) {
+          record = archived;
+          timeline.push({ anno: Number(campaign.anno), archiviata: true, ...pickChoices(archived) });
+        }
+        for (const source of merged) {
+          const copy = (campaign[source.dataType] || []).find((item) => String(item.id) === String(source.id));
+          if (copy) {
+            timeline.push({ anno: Number(campaign.anno), archiviata: true, unitoDa: source.label, ...pickChoices(copy) });
+          }
+        }
+      }
+      if (current) {
+        record = current;
+        const settingsResult = await this.loadSettings(dataFolderPath);
+        const annoCorrente = Number(settingsResult.data.annoCorrente);
+        if (!timeline.some((entry) => entry.anno === annoCorrente)) {
+          timeline.push({ anno: annoCorrente, archiviata: false, ...pickChoices(current) });
+        }
+      }
+      if (!record) throw new Error(`Record con ID ${id} non trovato`);
+      timeline.sort((a, b) => b.anno - a.anno);
+      return { success: true, data: { record, timeline } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Chiude la campagna dell'anno corrente: archivia una copia di clienti e
+   * partner con le relative scelte (regalo, consegna, GLS) e passa
+   * all'anno successivo.  Se `resetAssignments` è vero le scelte vengono
+   * azzerate per il nuovo anno, altrimenti restano come punto di partenza.
+   *
+   * L'anno corrente viene aggiornato subito dopo l'archiviazione.  Se una
+   * chiusura precedente si è interrotta dopo aver archiviato l'anno
+   * corrente, una nuova chiusura la completa senza archiviarlo di nuovo.
+   *
+   * @param {Object} options
+   * @param {boolean} options.resetAssignments Azzera regali e consegne nel nuovo anno
+   */
+  async closeCampaign(dataFolderPath, { resetAssignments = false } = {}) {
+    try {
+      const settingsResult = await this.loadSettings(dataFolderPath);
+      const settings = settingsResult.data;
+      const anno = Number(settings.annoCorrente);
+      const campaignsResult = await this.loadData('campagne', dataFolderPath, true);
+      if (!campaignsResult.success) throw new Error(campaignsResult.error);
+      const campaigns = campaignsResult.data;
+      if (!campaigns.some((campaign) => Number(campaign.anno) === anno)) {
+        const snapshot = { anno, chiusaIl: Date.now() };
+        for (const dataType of ['clienti', 'partner']) {
+          const result = await this.loadData(dataType, dataFolderPath);
+          if (!result.success) throw new Error(result.error);
+          snapshot[dataType] = result.data;
+        }
+        campaigns.push(snapshot);
+        const saveResult = await this.saveData('campagne', campaigns, dataFolderPath, { forceBackup: true });
+        if (!saveResult.success) throw new Error(saveResult.error);
+      }
+      const nextSettings = await this.saveSettings({ ...settings, annoCorrente: anno + 1 }, dataFolderPath);
+      if (!nextSettings.success) throw new Error(nextSettings.error);
+      if (resetAssignments) {
+        for (const dataType of ['clienti', 'partner']) {
+          const result = await this.loadData(dataType, dataFolderPath, true);
+          if (!result.success) throw new Error(result.error);
+          const reset = result.data.map((record) => {
+            if (record.eliminato) return record;
+            return { ...record, ...CAMPAIGN_FIELDS, lastUpdate: Date.now() };
+          });
+          const resetResult = await this.saveData(dataType, reset, dataFolderPath, { forceBackup: true });
+          if (!resetResult.success) {
+            throw new Error(`La campagna ${anno} è stata archiviata, ma le scelte non sono state azzerate: ${resetResult.error}`);
+          }
+        }
+      }
+      return { success: true, data: { annoChiuso: anno, annoCorrente: anno + 1 } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Carica le impostazioni dell'applicazione.  Se non esistono o sono
    * incomplete, vengono restituite impostazioni di default.
@@ -122,15 +1904,7 @@ class DataManager {
       if (Array.isArray(settingsData) && settingsData.length > 0) {
         settingsData = settingsData[0];
       }
-      const defaults = {
-        regaloCorrente: 'Grappa',
-        annoCorrente: new Date().getFullYear(),
-        consegnatari: ['Andrea Gosgnach', 'Marco Crasnich', 'Massimo Cendron', 'Matteo Rocchetto'],
-        // Nomi dei regali. Il primo è il regalo principale, il secondo la categoria "extra/altro"
-        // ed il terzo rappresenta l'assenza di regalo. Questi valori possono essere
-        // personalizzati tramite la pagina Impostazioni.
-        giftNames: ['Grappa', 'Extra/Altro', 'Nessuno'],
-      };
+      const defaults = getDefaultSettings();
       const normalized = {
         regaloCorrente: (settingsData && settingsData.regaloCorrente) || defaults.regaloCorrente,
         annoCorrente: (settingsData && settingsData.annoCorrente) || defaults.annoCorrente,
@@ -140,15 +1914,38 @@ class DataManager {
         giftNames: Array.isArray(settingsData && settingsData.giftNames) && (settingsData.giftNames.length === 3)
           ? settingsData.giftNames
           : defaults.giftNames,
+        backupRetention: normalizeRetention(settingsData && settingsData.backupRetention, defaults.backupRetention),
+        backupInterval: normalizeBackupInterval(settingsData && settingsData.backupInterval, defaults.backupInterval),
+        storageBackend: normalizeStorageBackend(settingsData && settingsData.storageBackend),
+        importDictionary: excelImporter.normalizeDictionary(settingsData && settingsData.importDictionary),
       };
       return { success: true, data: normalized };
     } catch (error) {
-      const defaults = {
-        regaloCorrente: 'Grappa',
-        annoCorrente: new Date().getFullYear(),
-        consegnatari: ['Andrea Gosgnach', 'Marco Crasnich', 'Massimo Cendron', 'Matteo Rocchetto'],
-      };
-      return { success: true, data: defaults };
+      return { success: true, data: getDefaultSettings() };
+    }
+  }
+
+  /**
+   * Copia clienti, partner ed eliminati dall'archivio attuale a quello
+   * indicato, se diverso.  Passando a SQLite per la prima volta vengono
+   * così importati i file JSON esistenti; tornando a JSON i file vengono
+   * riscritti con i dati del database.  L'archivio precedente resta nella
+   * cartella dati ma non viene più aggiornato.
+   *
+   * @param {string} backend Archivio di destinazione ('json' o 'sqlite')
+   */
+  async switchStorageBackend(backend, dataFolderPath) {
+    if ((await this.readStorageBackend(dataFolderPath)) === backend) return;
+    for (const dataType of RECORD_TYPES) {
+      const result = await this.loadData(dataType, dataFolderPath, true);
+      if (!result.success) throw new Error(`${dataType}: ${result.error}`);
+      await this.createBackup(dataType, dataFolderPath, true);
+      if (backend === 'sqlite') {
+        sqliteStore.writeRecords(dataType, result.data, SCHEMA_VERSION, dataFolderPath);
+      } else {
+        const filePath = path.join(dataFolderPath, `${dataType}.json`);
+        await writeFileAtomic(filePath, JSON.stringify({ schemaVersion: SCHEMA_VERSION, data: result.data }, null, 2));
+      }
     }
   }
 
@@ -158,12 +1955,7 @@ class DataManager {
    */
   async saveSettings(settings, dataFolderPath) {
     try {
-      const defaults = {
-        regaloCorrente: 'Grappa',
-        annoCorrente: new Date().getFullYear(),
-        consegnatari: ['Andrea Gosgnach', 'Marco Crasnich', 'Massimo Cendron', 'Matteo Rocchetto'],
-        giftNames: ['Grappa', 'Extra/Altro', 'Nessuno'],
-      };
+      const defaults = getDefaultSettings();
       const normalized = {
         regaloCorrente: settings && settings.regaloCorrente ? settings.regaloCorrente : defaults.regaloCorrente,
         annoCorrente: settings && settings.annoCorrente ? settings.annoCorrente : defaults.annoCorrente,
@@ -173,13 +1965,390 @@ class DataManager {
         giftNames: Array.isArray(settings && settings.giftNames) && settings.giftNames.length === 3
           ? settings.giftNames
           : defaults.giftNames,
+        backupRetention: normalizeRetention(settings && settings.backupRetention, defaults.backupRetention),
+        backupInterval: normalizeBackupInterval(settings && settings.backupInterval, defaults.backupInterval),
+        storageBackend: normalizeStorageBackend(settings && settings.storageBackend),
+        importDictionary: excelImporter.normalizeDictionary(settings && settings.importDictionary),
       };
+      // Il cambio di archivio ha effetto solo dopo aver copiato i dati
+      await this.switchStorageBackend(normalized.storageBackend, dataFolderPath);
       const result = await this.saveData('settings', normalized, dataFolderPath);
       return result;
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Salva il dizionario delle intestazioni usato dall'importazione,
+   * lasciando invariate le altre impostazioni.
+   *
+   * @param {Object} dictionary { aliases, columnOrder } (vedi excelImporter.normalizeDictionary)
+   * @returns {Promise<Object>} {success, data} con il dizionario salvato
+   */
+  async saveImportDictionary(dictionary, dataFolderPath) {
+    try {
+      const current = await this.loadSettings(dataFolderPath);
+      const importDictionary = excelImporter.normalizeDictionary(dictionary);
+      const result = await this.saveSettings({ ...current.data, importDictionary }, dataFolderPath);
+      if (!result.success) throw new Error(result.error);
+      return { success: true, data: importDictionary };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Importa in clienti o partner le righe lette da un file (vedi
+   * mergeImportedRows).  Con `dryRun` non viene salvato nulla: l'esito
+   * previsto permette all'utente di scegliere le righe da importare.
+   * Ogni importazione viene aggiunta allo storico delle importazioni,
+   * con il report riga per riga, e se ha modificato i dati può essere
+   * annullata.
+   *
+   * @param {string} dataType Tipo di dati (clienti/partner)
+   * @param {Array<{row, record, warnings}>} rows Righe da importare
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] Calcola l'esito senza salvare
+   * @param {string} [options.fileName]  File importato, riportato nello storico
+   * @param {string} [options.sheetName] Foglio importato, riportato nello storico
+   * @param {boolean} [options.hasHeaders] Il file aveva la riga di intestazione
+   * @param {Array<{row, record, reason}>} [options.discarded] Righe del file
+   *   scartate prima dell'importazione, riportate nel report
+   * @param {boolean} [options.previousYear] Importazione dalle scelte di una
+   *   campagna precedente: vengono copiati solo regalo, consegna e GLS sui
+   *   record esistenti e le righe senza corrispondenza restano in
+   *   `unmatched`, con i record simili a cui collegarle
+   * @param {Object} [options.mergeOptions] Strategia e chiave di
+   *   riconoscimento ({ strategy, matchKey, codeField, fields }, vedi
+   *   mergeImportedRows), ignorate con previousYear e riportate nello storico
+   * @param {Function} [options.onProgress] Avanzamento del confronto delle
+   *   righe con i record attuali (vedi mergeImportedRows)
+   * @param {Array<Object>} [options.current] Record attuali, compresi gli
+   *   eliminati, con cui calcolare un dryRun senza leggere la cartella dati
+   * @returns {Promise<Object>} {success, data: {created, updated, skipped, unmatched, report, batchId, records}},
+   *   con `batchId` e `records` (i record non eliminati dopo il salvataggio) solo se non è un dryRun
+   */
+  async importRecords(dataType, rows, dataFolderPath, {
+    dryRun = false, fileName, sheetName, hasHeaders, discarded = [], previousYear = false, mergeOptions = {}, onProgress,
+    current,
+  } = {}) {
+    try {
+      if (!previousYear) checkMergeOptions(mergeOptions);
+      const result = dryRun && current
+        ? { success: true, data: current }
+        : await this.loadData(dataType, dataFolderPath, true);
+      if (!result.success) throw new Error(result.error);
+      const merge = mergeImportedRows(result.data, rows, previousYear
+        ? { fields: Object.keys(CAMPAIGN_FIELDS), createMissing: false, onProgress }
+        : { ...mergeOptions, onProgress });
+      const { created, updated, skipped } = merge;
+      const pool = merge.unmatched.length === 0 ? null : linkPool(result.data);
+      const unmatched = merge.unmatched.map((item) => ({
+        ...item,
+        candidates: linkCandidates(pool, item.record),
+      }));
+      const report = importReport(merge, discarded);
+      if (dryRun) {
+        return { success: true, data: { created, updated, skipped, unmatched, report } };
+      }
+      let savedData = result.data;
+      if (created.length > 0 || updated.length > 0) {
+        const saveResult = await this.saveData(dataType, merge.data, dataFolderPath);
+        if (!saveResult.success) throw new Error(saveResult.error);
+        const savedAll = await this.loadData(dataType, dataFolderPath, true);
+        if (!savedAll.success) throw new Error(savedAll.error);
+        savedData = savedAll.data;
+      }
+      const batchesResult = await this.loadData(IMPORT_BATCHES_TYPE, dataFolderPath, true);
+      if (!batchesResult.success) throw new Error(batchesResult.error);
+      const batches = batchesResult.data;
+      const batch = importBatch(merge, savedData, {
+        dataType, fileName, sheetName, hasHeaders, report, mergeOptions: previousYear ? null : mergeOptions,
+      });
+      batches.push(batch);
+      const batchResult = await this.saveData(IMPORT_BATCHES_TYPE, batches, dataFolderPath);
+      if (!batchResult.success) throw new Error(batchResult.error);
+      const saved = await this.loadData(dataType, dataFolderPath);
+      if (!saved.success) throw new Error(saved.error);
+      return {
+        success: true,
+        data: { created, updated, skipped, unmatched, report, batchId: batch.id, records: saved.data },
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Importa in un solo passaggio più fogli di uno stesso file, ognuno nei
+   * clienti o nei partner, come importRecords.  I fogli dello stesso tipo
+   * vengono uniti in ordine, così che un foglio possa aggiornare i record
+   * creati da uno precedente.  L'importazione viene registrata come
+   * un'unica importazione annullabile, con `dataTypes` e `sheets` e i
+   * record creati e aggiornati marcati con il loro tipo.
+   *
+   * @param {Array<{sheetName, dataType, hasHeaders, rows, discarded}>} sheets
+   *   Fogli da importare con le righe lette e quelle scartate
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] Calcola l'esito senza salvare
+   * @param {string} [options.fileName] File importato, riportato nello storico
+   * @param {Object} [options.mergeOptions] Strategia e chiave di
+   *   riconoscimento, uguali per tutti i fogli (vedi importRecords)
+   * @param {Function} [options.onProgress] Avanzamento del confronto delle
+   *   righe, contando insieme quelle di tutti i fogli
+   * @param {Object} [options.current] Record attuali per tipo di dati, con cui
+   *   calcolare un dryRun senza leggere la cartella dati (vedi importRecords)
+   * @returns {Promise<Object>} {success, data: {sheets, batchId, records}}, con
+   *   l'esito di ogni foglio (created, updated, skipped, report) e, se non è
+   *   un dryRun, i record non eliminati di ogni tipo dopo il salvataggio
+   */
+  async importWorkbook(sheets, dataFolderPath, {
+    dryRun = false, fileName, mergeOptions = {}, onProgress = () => {}, current: supplied,
+  } = {}) {
+    try {
+      checkMergeOptions(mergeOptions);
+      const dataTypes = [...new Set(sheets.map((sheet) => sheet.dataType))];
+      const current = {};
+      for (const dataType of dataTypes) {
+        if (dryRun && supplied && supplied[dataType]) {
+          current[dataType] = supplied[dataType];
+          continue;
+        }
+        const result = await this.loadData(dataType, dataFolderPath, true);
+        if (!result.success) throw new Error(result.error);
+        current[dataType] = result.data;
+      }
+      const total = sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0);
+      let offset = 0;
+      const outcomes = sheets.map(({ sheetName, dataType, rows, discarded = [] }) => {
+        const merge = mergeImportedRows(current[dataType], rows, {
+          ...mergeOptions,
+          onProgress: ({ done }) => onProgress({ phase: 'match', done: offset + done, total }),
+        });
+        offset += rows.length;
+        current[dataType] = merge.data;
+        const report = importReport(merge, discarded).map((entry) => ({ ...entry, sheetName, dataType }));
+        const skipped = [...discarded, ...merge.skipped].sort((a, b) => a.row - b.row);
+        return { sheetName, dataType, merge, created: merge.created, updated: merge.updated, skipped, report };
+      });
+      const summary = outcomes.map(({ merge, ...outcome }) => outcome);
+      if (dryRun) {
+        return { success: true, data: { sheets: summary } };
+      }
+      const created = [];
+      const updated = [];
+      const records = {};
+      for (const dataType of dataTypes) {
+        const merges = outcomes.filter((outcome) => outcome.dataType === dataType).map((outcome) => outcome.merge);
+        const merge = {
+          created: merges.flatMap((item) => item.created),
+          updated: merges.flatMap((item) => item.updated),
+        };
+        if (merge.created.length > 0 || merge.updated.length > 0) {
+          const saveResult = await this.saveData(dataType, current[dataType], dataFolderPath);
+          if (!saveResult.success) throw new Error(saveResult.error);
+        }
+        const saved = await this.loadData(dataType, dataFolderPath, true);
+        if (!saved.success) throw new Error(saved.error);
+        const part = importBatch(merge, saved.data, { dataType });
+        created.push(...part.created.map((entry) => ({ ...entry, dataType })));
+        updated.push(...part.updated.map((entry) => ({ ...entry, dataType })));
+        records[dataType] = saved.data.filter((record) => !record.eliminato);
+      }
+      const batchesResult = await this.loadData(IMPORT_BATCHES_TYPE, dataFolderPath, true);
+      if (!batchesResult.success) throw new Error(batchesResult.error);
+      const batches = batchesResult.data;
+      const batch = {
+        ...importBatch({ created: [], updated: [] }, [], {
+          dataType: dataTypes.length === 1 ? dataTypes[0] : null,
+          fileName,
+          hasHeaders: sheets.every((sheet) => sheet.hasHeaders !== false),
+          report: outcomes.flatMap((outcome) => outcome.report),
+          mergeOptions,
+        }),
+        dataTypes,
+        sheets: sheets.map(({ sheetName, dataType }) => ({ sheetName, dataType })),
+        created,
+        updated,
+      };
+      batches.push(batch);
+      const batchResult = await this.saveData(IMPORT_BATCHES_TYPE, batches, dataFolderPath);
+      if (!batchResult.success) throw new Error(batchResult.error);
+      return { success: true, data: { sheets: summary, batchId: batch.id, records } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Elenca le importazioni registrate, dalla più recente.
+   */
+  async listImportBatches(dataFolderPath) {
+    try {
+      const result = await this.loadData(IMPORT_BATCHES_TYPE, dataFolderPath, true);
+      if (!result.success) throw new Error(result.error);
+      const batches = result.data.slice().sort((a, b) => b.importedAt - a.importedAt);
+      return { success: true, data: batches };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Annulla un'importazione: rimuove i record che aveva creato (anche
+   * dagli eliminati) e riporta ai valori precedenti i campi dei record che
+   * aveva aggiornato.  Se alcuni di questi record sono stati modificati o
+   * eliminati dopo l'importazione l'operazione viene rifiutata con
+   * `conflict: true` e l'elenco dei record in `data`, a meno di `force`:
+   * in quel caso le modifiche successive ai campi importati vanno perse.
+   * Le importazioni di più fogli vengono annullate per tutti i tipi di
+   * dati insieme.
+   *
+   * @param {string} batchId Identificativo dell'importazione
+   * @param {Object} [options]
+   * @param {boolean} [options.force] Annulla anche se i record sono stati modificati
+   */
+  async rollbackImport(batchId, dataFolderPath, { force = false } = {}) {
+    try {
+      const batchesResult = await this.loadData(IMPORT_BATCHES_TYPE, dataFolderPath, true);
+      if (!batchesResult.success) throw new Error(batchesResult.error);
+      const batches = batchesResult.data;
+      const batch = batches.find((item) => item.id === batchId);
+      if (!batch) throw new Error('Importazione non trovata');
+      if (batch.rolledBackAt) throw new Error('Importazione già annullata');
+      // Tipo di dati di un record dell'importazione e chiave per cercarlo
+      const typeOf = (entry) => entry.dataType || batch.dataType;
+      const keyOf = (dataType, id) => `${dataType}|${id}`;
+      const dataTypes = batch.dataTypes || [batch.dataType];
+      const current = {};
+      const byKey = new Map();
+      for (const dataType of dataTypes) {
+        const result = await this.loadData(dataType, dataFolderPath, true);
+        if (!result.success) throw new Error(result.error);
+        current[dataType] = result.data;
+        result.data.forEach((record) => byKey.set(keyOf(dataType, record.id), record));
+      }
+      const edited = [];
+      for (const entry of [...batch.created, ...batch.updated]) {
+        const record = byKey.get(keyOf(typeOf(entry), entry.id));
+        if (!record) {
+          edited.push({ id: entry.id, label: entry.label || '', reason: 'Record non più presente' });
+        } else if (record.version !== entry.version) {
+          edited.push({
+            id: entry.id,
+            label: record.azienda || record.nome || '',
+            reason: record.eliminato ? 'Eliminato dopo l\'importazione' : 'Modificato dopo l\'importazione',
+          });
+        }
+      }
+      if (edited.length > 0 && !force) {
+        return {
+          success: false,
+          conflict: true,
+          error: 'Alcuni record sono stati modificati dopo l\'importazione',
+          data: edited,
+        };
+      }
+      const createdKeys = new Set(batch.created.map((entry) => keyOf(typeOf(entry), entry.id)));
+      const updatedByKey = new Map(batch.updated.map((entry) => [keyOf(typeOf(entry), entry.id), entry]));
+      for (const dataType of dataTypes) {
+        const restored = current[dataType]
+          .filter((record) => !createdKeys.has(keyOf(dataType, record.id)))
+          .map((record) => {
+            const entry = updatedByKey.get(keyOf(dataType, record.id));
+            if (!entry) return record;
+            const previous = { ...record, lastUpdate: Date.now() };
+            entry.changes.forEach(({ field, oldValue }) => {
+              if (oldValue === null) delete previous[field];
+              else previous[field] = oldValue;
+            });
+            return previous;
+          });
+        const saveResult = await this.saveData(dataType, restored, dataFolderPath, { forceBackup: true });
+        if (!saveResult.success) throw new Error(saveResult.error);
+      }
+      const eliminatiResult = await this.loadData('eliminati', dataFolderPath, true);
+      if (!eliminatiResult.success) throw new Error(eliminatiResult.error);
+      const eliminati = eliminatiResult.data.filter(
+        (record) => !createdKeys.has(keyOf(record.tipo, record.id))
+      );
+      if (eliminati.length !== eliminatiResult.data.length) {
+        const eliminatiSave = await this.saveData('eliminati', eliminati, dataFolderPath, { forceBackup: true });
+        if (!eliminatiSave.success) throw new Error(eliminatiSave.error);
+      }
+      batch.rolledBackAt = Date.now();
+      const batchResult = await this.saveData(IMPORT_BATCHES_TYPE, batches, dataFolderPath);
+      if (!batchResult.success) throw new Error(batchResult.error);
+      return { success: true, data: batch };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Elenca le corrispondenze tra colonne e campi salvate per
+   * l'importazione, in ordine di nome.
+   */
+  async loadImportMappings(dataFolderPath) {
+    try {
+      const result = await this.loadData(IMPORT_MAPPINGS_TYPE, dataFolderPath, true);
+      if (!result.success) throw new Error(result.error);
+      const mappings = result.data.slice().sort((a, b) => a.name.localeCompare(b.name));
+      return { success: true, data: mappings };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Salva una corrispondenza tra colonne e campi, sostituendo quella con
+   * lo stesso nome (senza distinzione tra maiuscole e minuscole).
+   *
+   * @param {Object} mapping
+   * @param {string} mapping.name       Nome con cui riutilizzarla
+   * @param {string} mapping.dataType   Tipo di dati importato (clienti/partner)
+   * @param {boolean} mapping.hasHeaders La prima riga contiene le intestazioni
+   * @param {Object} mapping.columns    Campo per ogni intestazione normalizzata
+   */
+  async saveImportMapping(mapping, dataFolderPath) {
+    try {
+      const name = String((mapping && mapping.name) || '').trim();
+      if (!name) throw new Error('Indicare un nome per la mappatura');
+      const result = await this.loadData(IMPORT_MAPPINGS_TYPE, dataFolderPath, true);
+      if (!result.success) throw new Error(result.error);
+      const saved = {
+        name,
+        dataType: mapping.dataType,
+        hasHeaders: Boolean(mapping.hasHeaders),
+        columns: mapping.columns || {},
+        savedAt: Date.now(),
+      };
+      const mappings = result.data.filter((item) => item.name.toLowerCase() !== name.toLowerCase());
+      mappings.push(saved);
+      const saveResult = await this.saveData(IMPORT_MAPPINGS_TYPE, mappings, dataFolderPath);
+      if (!saveResult.success) throw new Error(saveResult.error);
+      return { success: true, data: saved };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Elimina la corrispondenza tra colonne e campi con il nome indicato.
+   */
+  async deleteImportMapping(name, dataFolderPath) {
+    try {
+      const result = await this.loadData(IMPORT_MAPPINGS_TYPE, dataFolderPath, true);
+      if (!result.success) throw new Error(result.error);
+      const mappings = result.data.filter((item) => item.name !== name);
+      const saveResult = await this.saveData(IMPORT_MAPPINGS_TYPE, mappings, dataFolderPath);
+      if (!saveResult.success) throw new Error(saveResult.error);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 module.exports = new DataManager();
\ No newline at end of file
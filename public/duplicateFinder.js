@@ -0,0 +1,222 @@
+// Forme societarie e parole generiche ignorate nel confronto delle aziende.
+const COMPANY_STOPWORDS = [
+  'srl', 'srls', 'spa', 'snc', 'sas', 'sapa', 'scarl', 'scrl', 'soc', 'societa', 'coop', 'cooperativa',
+  'ditta', 'di', 'e', 'c', 'f', 'lli', 'flli', 'fratelli', 'the', 'ltd', 'gmbh',
+];
+// Titoli ignorati nel confronto dei nomi delle persone.
+const PERSON_STOPWORDS = ['dott', 'dottssa', 'dr', 'ing', 'avv', 'sig', 'sigra', 'geom', 'rag', 'arch', 'prof'];
+// Abbreviazioni degli indirizzi, sostituite dalla forma estesa.
+const ADDRESS_ABBREVIATIONS = {
+  v: 'via',
+  vle: 'viale',
+  pza: 'piazza',
+  pzza: 'piazza',
+  p: 'piazza',
+  cso: 'corso',
+  loc: 'localita',
+  fraz: 'frazione',
+  str: 'strada',
+};
+// Peso di ogni criterio nel punteggio di somiglianza.
+const WEIGHTS = {
+  azienda: 35,
+  nome: 30,
+  indirizzo: 15,
+  telefono: 10,
+  email: 10,
+};
+// Punteggio minimo (0-100) predefinito perché una coppia sia proposta.
+const DEFAULT_MIN_SCORE = 70;
+
+/**
+ * Testo in minuscolo, senza accenti e con la punteggiatura trasformata in
+ * spazi (i punti vengono tolti, così "S.r.l." diventa "srl").
+ */
+function simplify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parole significative di un testo, senza quelle indicate.
+ */
+function tokens(value, stopwords) {
+  return simplify(value).split(' ').filter((token) => token && !stopwords.includes(token));
+}
+
+/**
+ * Coppie di caratteri consecutivi di un testo, per il coefficiente di Dice.
+ */
+function bigrams(text) {
+  const result = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    result.set(pair, (result.get(pair) || 0) + 1);
+  }
+  return result;
+}
+
+/**
+ * Somiglianza (0-1) tra due testi normalizzati: 1 se uguali, altrimenti
+ * il coefficiente di Dice sulle coppie di caratteri.
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const first = bigrams(a.replace(/ /g, ''));
+  const second = bigrams(b.replace(/ /g, ''));
+  let shared = 0;
+  let total = 0;
+  for (const [pair, count] of first) {
+    shared += Math.min(count, second.get(pair) || 0);
+    total += count;
+  }
+  for (const count of second.values()) total += count;
+  return total === 0 ? 0 : (2 * shared) / total;
+}
+
+/**
+ * DuplicateFinder cerca i possibili doppioni tra i contatti di clienti e
+ * partner.  Ogni record viene ridotto a una forma normalizzata (azienda
+ * senza forma societaria, nome con le parole in ordine alfabetico,
+ * indirizzo con le abbreviazioni estese, telefono con le sole cifre,
+ * email in minuscolo) e le coppie vengono valutate con un punteggio da 0
+ * a 100.  Per non confrontare ogni record con tutti gli altri, vengono
+ * valutate solo le coppie che hanno in comune almeno una parola del nome
+ * o dell'azienda, il telefono o l'email.
+ */
+class DuplicateFinder {
+  /**
+   * Azienda normalizzata: "Rossi S.r.l." e "ROSSI SRL" diventano "rossi".
+   */
+  normalizeCompany(value) {
+    return tokens(value, COMPANY_STOPWORDS).join(' ');
+  }
+
+  /**
+   * Nome normalizzato, indipendente dall'ordine di nome e cognome.
+   */
+  normalizePerson(value) {
+    return tokens(value, PERSON_STOPWORDS).sort().join(' ');
+  }
+
+  /**
+   * Indirizzo normalizzato (via e numero civico).
+   */
+  normalizeAddress(indirizzo, civico) {
+    return tokens(`${indirizzo || ''} ${civico || ''}`, [])
+      .map((token) => ADDRESS_ABBREVIATIONS[token] || token)
+      .join(' ');
+  }
+
+  /**
+   * Telefono ridotto alle cifre, senza prefisso internazionale italiano.
+   */
+  normalizePhone(value) {
+    const digits = String(value || '').replace(/\D/g, '').replace(/^(0039|39)(?=\d{9,10}$)/, '');
+    return digits.length >= 6 ? digits : '';
+  }
+
+  /**
+   * Email in minuscolo.
+   */
+  normalizeEmail(value) {
+    const email = String(value || '').trim().toLowerCase();
+    return email.includes('@') ? email : '';
+  }
+
+  /**
+   * Forma normalizzata di un record, usata per i confronti.
+   */
+  describe(record) {
+    return {
+      azienda: this.normalizeCompany(record.azienda),
+      nome: this.normalizePerson(record.nome),
+      indirizzo: this.normalizeAddress(record.indirizzo, record.civico),
+      telefono: this.normalizePhone(record.telefono),
+      email: this.normalizeEmail(record.email),
+    };
+  }
+
+  /**
+   * Punteggio di somiglianza tra due record normalizzati.  Contano solo i
+   * criteri presenti in entrambi i record; serve almeno un'azienda o un
+   * nome in comune, altrimenti il punteggio è 0.
+   *
+   * @returns {{score: number, criteria: Array<{field, similarity}>}}
+   */
+  score(a, b) {
+    const criteria = [];
+    let weighted = 0;
+    let weights = 0;
+    for (const field of Object.keys(WEIGHTS)) {
+      if (!a[field] || !b[field]) continue;
+      const value = field === 'telefono' || field === 'email'
+        ? Number(a[field] === b[field])
+        : similarity(a[field], b[field]);
+      criteria.push({ field, similarity: Math.round(value * 100) });
+      weighted += WEIGHTS[field] * value;
+      weights += WEIGHTS[field];
+    }
+    const named = criteria.some((item) => (item.field === 'azienda' || item.field === 'nome') && item.similarity > 0);
+    if (!named || weights === 0) return { score: 0, criteria };
+    return { score: Math.round((weighted / weights) * 100), criteria };
+  }
+
+  /**
+   * Chiavi con cui un record viene confrontato solo con quelli che ne
+   * condividono almeno una.
+   */
+  blockingKeys(normalized) {
+    const keys = new Set();
+    for (const token of `${normalized.azienda} ${normalized.nome}`.split(' ')) {
+      if (token.length >= 3) keys.add(`t:${token}`);
+    }
+    if (normalized.telefono) keys.add(`p:${normalized.telefono}`);
+    if (normalized.email) keys.add(`e:${normalized.email}`);
+    return keys;
+  }
+
+  /**
+   * Cerca le coppie di possibili doppioni tra i record indicati.
+   *
+   * @param {Array<{dataType, record}>} entries Record da confrontare con il loro tipo
+   * @param {Object} [options]
+   * @param {number} [options.minScore] Punteggio minimo delle coppie restituite
+   * @returns {Array<{score, criteria, a, b}>} Coppie dal punteggio più alto,
+   *   con a e b nella forma {dataType, record}
+   */
+  findPairs(entries, { minScore = DEFAULT_MIN_SCORE } = {}) {
+    const normalized = entries.map((entry) => this.describe(entry.record));
+    const blocks = new Map();
+    normalized.forEach((item, index) => {
+      for (const key of this.blockingKeys(item)) {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(index);
+      }
+    });
+    const compared = new Set();
+    const pairs = [];
+    for (const indexes of blocks.values()) {
+      for (let i = 0; i < indexes.length; i++) {
+        for (let j = i + 1; j < indexes.length; j++) {
+          const key = `${indexes[i]}:${indexes[j]}`;
+          if (compared.has(key)) continue;
+          compared.add(key);
+          const { score, criteria } = this.score(normalized[indexes[i]], normalized[indexes[j]]);
+          if (score >= minScore) {
+            pairs.push({ score, criteria, a: entries[indexes[i]], b: entries[indexes[j]] });
+          }
+        }
+      }
+    }
+    return pairs.sort((x, y) => y.score - x.score);
+  }
+}
+
+module.exports = new DuplicateFinder();
@@ -7,17 +7,74 @@ const isDev = require('electron-is-dev');
 // same folder for easier resolution.
 const dataManager = require(path.join(__dirname, 'dataManager'));
 const excelImporter = require(path.join(__dirname, 'excelimporter'));
+const importRunner = require(path.join(__dirname, 'importRunner'));
+const vcard = require(path.join(__dirname, 'vcard'));
+const addressValidator = require(path.join(__dirname, 'addressValidator'));
+const contactValidator = require(path.join(__dirname, 'contactValidator'));
+const auditLog = require(path.join(__dirname, 'auditLog'));
+const sqliteStore = require(path.join(__dirname, 'sqliteStore'));
+const dataFolder = require(path.join(__dirname, 'dataFolder'));
 
 // Keep a reference to the main window to avoid garbage collection.
 let mainWindow;
 
-// The application stores its JSON data in a `data` folder located
-// alongside the application executable.  If it does not exist it is
-// created on startup.
-const exePath = app.getAppPath();
-const dataFolderPath = path.join(path.dirname(exePath), 'data');
-if (!fs.existsSync(dataFolderPath)) {
-  fs.mkdirSync(dataFolderPath, { recursive: true });
+// The data folder is chosen in the settings page and remembered in the
+// user profile; it may be a shared network folder used by several
+// workstations.  Without a choice the historical `data` folder next to
+// the executable is kept if it already contains data, otherwise a folder
+// in the user profile is used (always writable, unlike Program Files).
+// The path is resolved when the app is ready.
+const legacyDataFolderPath = path.join(path.dirname(app.getAppPath()), 'data');
+let dataFolderPath;
+
+// Excel file chosen in the import wizard.  The renderer only refers to
+// it through the wizard steps and never passes a path of its own.
+let importFilePath = null;
+// Rows read from that file by the last import preview, imported once
+// the user confirms which ones to keep.
+let pendingImport = null;
+
+/**
+ * Forward the progress of the import worker to the window that asked
+ * for the operation.
+ */
+function importProgress(event) {
+  return (progress) => {
+    if (!event.sender.isDestroyed()) event.sender.send('import-progress', progress);
+  };
+}
+
+/**
+ * Header dictionary saved in the settings, passed to the import worker
+ * with every preview and file read.
+ */
+async function importDictionary() {
+  const settings = await dataManager.loadSettings(dataFolderPath);
+  return settings.data.importDictionary;
+}
+
+/**
+ * Current records (deleted ones included) of each data type, read here
+ * and passed to the import worker, which never reads the data folder.
+ */
+async function currentRecords(dataTypes) {
+  const current = {};
+  for (const dataType of dataTypes) {
+    const result = await dataManager.loadData(dataType, dataFolderPath, true);
+    if (!result.success) throw new Error(result.error);
+    current[dataType] = result.data;
+  }
+  return current;
+}
+
+/**
+ * Result of an import step that failed or was interrupted by the user
+ * (see cancel-import).
+ */
+function importFailure(error) {
+  return error.canceled
+    ? { success: false, canceled: true, error: error.message }
+    : { success: false, error: error.message };
 }
 
 /**
@@ -49,8 +106,97 @@ function createWindow() {
   });
 }
 
-// Application lifecycle: create the window when Electron is ready.
-app.whenReady().then(() => {
+/**
+ * Ask the user for a folder.  Returns the chosen path or null.
+ */
+async function pickFolder(title) {
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title,
+    defaultPath: dataFolderPath,
+    properties: ['openDirectory', 'createDirectory'],
+  });
+  return canceled || filePaths.length === 0 ? null : filePaths[0];
+}
+
+/**
+ * Determine the data folder to use at startup.  A configured folder on a
+ * network drive may be temporarily unreachable: the user can retry,
+ * choose another folder or quit (null is returned).
+ */
+async function resolveDataFolder() {
+  const configDir = app.getPath('userData');
+  const resolved = dataFolder.resolve(configDir, legacyDataFolderPath, path.join(configDir, 'data'));
+  let folder = resolved.dataFolderPath;
+  if (!resolved.configured) {
+    fs.mkdirSync(folder, { recursive: true });
+    return folder;
+  }
+  while (!dataFolder.isAvailable(folder)) {
+    const { response } = await dialog.showMessageBox({
+      type: 'warning',
+      title: 'Cartella dati non raggiungibile',
+      message: `La cartella dati ${folder} non è raggiungibile.`,
+      detail: 'Verifica la connessione all\'unità di rete oppure scegli un\'altra cartella.',
+      buttons: ['Riprova', 'Scegli cartella...', 'Esci'],
+      defaultId: 0,
+      cancelId: 2,
+    });
+    if (response === 2) return null;
+    if (response === 1) {
+      const picked = await pickFolder('Scegli la cartella dati');
+      if (picked) {
+        folder = picked;
+        await dataFolder.saveFolder(configDir, folder);
+      }
+    }
+  }
+  return folder;
+}
+
+/**
+ * Tell the renderer that the data files were changed outside this app
+ * instance (another workstation, a script, a text editor).  The change
+ * lists the affected data types so each page can refresh what it shows.
+ */
+function notifyDataChanged(change) {
+  if (mainWindow) {
+    mainWindow.webContents.send('data-changed', change);
+  }
+}
+
+/**
+ * Upgrade the files of the current data folder to the current schema
+ * (holding the write lock, so other workstations do not write meanwhile)
+ * and start watching the folder for changes made outside this instance.
+ */
+async function openDataFolder() {
+  let result;
+  try {
+    const lock = await dataFolder.acquireLock(dataFolderPath);
+    try {
+      result = await dataManager.migrateDataFolder(dataFolderPath);
+    } finally {
+      await dataFolder.releaseLock(lock);
+    }
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  await dataFolder.watch(dataFolderPath, notifyDataChanged);
+  return result;
+}
+
+// Application lifecycle: resolve the data folder, upgrade the data files
+// to the current schema and create the window when Electron is ready.
+app.whenReady().then(async () => {
+  dataFolderPath = await resolveDataFolder();
+  if (!dataFolderPath) {
+    app.quit();
+    return;
+  }
+  const migrationResult = await openDataFolder();
+  if (!migrationResult.success) {
+    dialog.showErrorBox('Aggiornamento dati non riuscito', migrationResult.error);
+  }
   createWindow();
   app.on('activate', function () {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
@@ -62,26 +208,178 @@ app.on('window-all-closed', function () {
   if (process.platform !== 'darwin') app.quit();
 });
 
+// Stop watching the data folder and close the SQLite database (if it was
+// opened) before exiting.
+app.on('will-quit', () => {
+  dataFolder.unwatch();
+  sqliteStore.closeAll();
+});
+
+/**
+ * Read the current content of a data type for the audit log: the settings
+ * object or the array of records (deleted ones included), only those with
+ * the given ids when `ids` is set.
+ */
+async function auditSnapshot(dataType, ids = null) {
+  let result;
+  if (dataType === 'settings') {
+    result = await dataManager.loadSettings(dataFolderPath);
+  } else if (ids) {
+    result = ids.length > 0 ? await dataManager.findRecords(dataType, ids, dataFolderPath) : { success: true, data: [] };
+  } else {
+    result = await dataManager.loadData(dataType, dataFolderPath, true);
+  }
+  return result.success ? result.data : [];
+}
+
+/**
+ * Run a mutation holding the data folder write lock and, if it succeeds,
+ * append to the audit log every difference it made to the given data
+ * types.  Mutations of single records pass their ids, so that only those
+ * records are read before and after; the ids of the records returned by
+ * the mutation (e.g. a created one) are added to them.
+ *
+ * @param {Array<string>} dataTypes Data types touched by the mutation
+ * @param {string} origin            Origin recorded in the log (dialog, bulk, import...)
+ * @param {Function} mutation        Async function returning {success, ...}
+ * @param {Array} [ids]              Ids of the records touched by the mutation
+ */
+async function withAudit(dataTypes, origin, mutation, ids = null) {
+  return dataFolder.withLock(dataFolderPath, async () => {
+    const before = {};
+    for (const dataType of dataTypes) {
+      before[dataType] = await auditSnapshot(dataType, ids);
+    }
+    const result = await mutation();
+    if (result && result.success) {
+      const returned = [].concat(result.data || []).filter((record) => record && record.id !== undefined);
+      const afterIds = ids && [...new Set([...ids, ...returned.map((record) => record.id)].map(String))];
+      const entries = [];
+      for (const dataType of dataTypes) {
+        const after = await auditSnapshot(dataType, afterIds);
+        entries.push(...auditLog.diff(dataType, before[dataType], after, origin));
+      }
+      await auditLog.append(entries, dataFolderPath);
+    }
+    return result;
+  });
+}
+
 /**
  * Handle a request from the renderer to load data for a given type.  If
  * includeEliminati is true records marked as deleted are returned as
- * well.
+ * well.  When a past campaign year is given, the archived snapshot of
+ * that year is returned instead of the current data.
+ */
+ipcMain.handle('load-data', async (event, dataType, includeEliminati = false, anno = null) => {
+  try {
+    return await dataManager.loadCampaignData(dataType, anno, dataFolderPath, includeEliminati);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Create a single cliente/partner record.  The id is always assigned by
+ * dataManager, never by the renderer.
+ */
+ipcMain.handle('create-record', async (event, { dataType, record }) => {
+  try {
+    return await withAudit([dataType], 'dialog', () =>
+      dataManager.createRecord(dataType, record, dataFolderPath), []);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Apply a patch to a single record.  The version read by the renderer is
+ * checked against the stored one: a stale page gets `conflict: true`
+ * together with the current record instead of overwriting newer data.
+ */
+ipcMain.handle('update-record', async (event, { dataType, id, patch, version }) => {
+  try {
+    return await withAudit([dataType], 'dialog', () =>
+      dataManager.updateRecord(dataType, id, patch, version, dataFolderPath), [id]);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Apply several patches at once ({id, patch, version} each).  Nothing is
+ * saved if any of the records is in conflict.
+ */
+ipcMain.handle('update-records', async (event, { dataType, updates, origin = 'bulk' }) => {
+  try {
+    return await withAudit([dataType], origin, () =>
+      dataManager.updateRecords(dataType, updates, dataFolderPath), updates.map((update) => update.id));
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Move a record to the eliminati list if it has not been changed since
+ * the renderer loaded it.
+ */
+ipcMain.handle('delete-record', async (event, { dataType, id, version }) => {
+  try {
+    return await withAudit([dataType, 'eliminati'], 'delete', () =>
+      dataManager.deleteRecord(dataType, id, version, dataFolderPath), [id]);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Check CAP, provincia and localita of the given records against the
+ * bundled list of Italian provinces and comuni.  Returns, in the same
+ * order, the inconsistencies found and the suggested corrections.
+ */
+ipcMain.handle('validate-addresses', async (event, { records }) => {
+  try {
+    return { success: true, data: records.map((record) => addressValidator.validate(record)) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Check telefono and email of the given records.  Returns, in the same
+ * order, the invalid values and the normalised form (E.164 phone,
+ * lower-case email) of the valid ones written differently.
+ */
+ipcMain.handle('validate-contacts', async (event, { records }) => {
+  try {
+    return { success: true, data: records.map((record) => contactValidator.validate(record)) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Find likely duplicate contacts across clienti and partner, scored by
+ * company, person name, address, phone and email.
  */
-ipcMain.handle('load-data', async (event, dataType, includeEliminati = false) => {
+ipcMain.handle('find-duplicates', async (event, { minScore } = {}) => {
   try {
-    return await dataManager.loadData(dataType, dataFolderPath, includeEliminati);
+    return await dataManager.findDuplicates(dataFolderPath, { minScore });
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
 /**
- * Save an array of records for a given data type.  The payload is an
- * object containing the type and the data to persist.
+ * Merge two duplicates: `keep` gets the chosen field values and the ids
+ * of the merged record, `remove` is dropped.  Refused with conflict: true
+ * when either record changed since the renderer loaded it.
  */
-ipcMain.handle('save-data', async (event, { dataType, data }) => {
+ipcMain.handle('merge-records', async (event, { keep, remove, fields }) => {
   try {
-    return await dataManager.saveData(dataType, data, dataFolderPath);
+    return await withAudit([...new Set([keep.dataType, remove.dataType])], 'merge', () =>
+      dataManager.mergeRecords(keep, remove, fields, dataFolderPath)
+    );
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -104,18 +402,177 @@ ipcMain.handle('load-settings', async () => {
  */
 ipcMain.handle('save-settings', async (event, settings) => {
   try {
-    return await dataManager.saveSettings(settings, dataFolderPath);
+    return await withAudit(['settings'], 'settings', () =>
+      dataManager.saveSettings(settings, dataFolderPath)
+    );
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Return the current data folder.
+ */
+ipcMain.handle('get-data-folder', async () => {
+  return { success: true, data: dataFolderPath };
+});
+
+/**
+ * Let the user pick a folder to use as data folder.  Returns the chosen
+ * path (null if the dialog was cancelled) and whether it already
+ * contains data, e.g. a folder shared by other workstations.
+ */
+ipcMain.handle('choose-data-folder', async () => {
+  try {
+    const folder = await pickFolder('Scegli la cartella dati');
+    return { success: true, data: folder ? { path: folder, hasData: dataFolder.hasData(folder) } : null };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Switch to another data folder, optionally moving the existing data
+ * into it, and remember the choice in the user profile.  The renderer
+ * reloads afterwards so every page reads from the new folder.
+ */
+ipcMain.handle('set-data-folder', async (event, { folderPath, moveExisting }) => {
+  try {
+    const target = path.resolve(folderPath);
+    if (target === path.resolve(dataFolderPath)) {
+      return { success: true, data: dataFolderPath };
+    }
+    await fs.promises.mkdir(target, { recursive: true });
+    if (!dataFolder.isAvailable(target)) {
+      throw new Error(`La cartella ${target} non è scrivibile`);
+    }
+    dataFolder.unwatch();
+    sqliteStore.closeAll();
+    try {
+      if (moveExisting) {
+        const lock = await dataFolder.acquireLock(dataFolderPath);
+        try {
+          await dataFolder.moveData(dataFolderPath, target);
+        } finally {
+          await dataFolder.releaseLock(lock);
+        }
+      }
+      await dataFolder.saveFolder(app.getPath('userData'), target);
+    } catch (error) {
+      await dataFolder.watch(dataFolderPath, notifyDataChanged);
+      throw error;
+    }
+    dataFolderPath = target;
+    const migrationResult = await openDataFolder();
+    if (!migrationResult.success) throw new Error(migrationResult.error);
+    return { success: true, data: dataFolderPath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Return the report of the data migrations run at startup that has not
+ * been shown to the user yet (null when there is none).
+ */
+ipcMain.handle('get-migration-report', async () => {
+  try {
+    return await dataManager.getMigrationReport(dataFolderPath);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Mark the pending migration report as shown.
+ */
+ipcMain.handle('ack-migration-report', async () => {
+  try {
+    return await dataManager.ackMigrationReport(dataFolderPath);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * List the rolling backups available for every data type.
+ */
+ipcMain.handle('list-backups', async () => {
+  try {
+    return await dataManager.listBackups(dataFolderPath);
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
 /**
- * Mark a record as deleted and move it to the eliminati list.
+ * Restore a backup snapshot over the current data of its type.
  */
-ipcMain.handle('move-to-eliminati', async (event, { dataType, id }) => {
+ipcMain.handle('restore-backup', async (event, { dataType, fileName }) => {
   try {
-    return await dataManager.moveToEliminati(dataType, id, dataFolderPath);
+    return await withAudit([dataType], 'backup', () =>
+      dataManager.restoreBackup(dataType, fileName, dataFolderPath)
+    );
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Scan the data folder for integrity problems (unreadable files,
+ * duplicate ids, records out of sync with the deleted list...).
+ */
+ipcMain.handle('check-integrity', async () => {
+  try {
+    return await dataManager.checkIntegrity(dataFolderPath);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Repair the given classes of integrity problems and return a new scan.
+ */
+ipcMain.handle('repair-integrity', async (event, { codes }) => {
+  try {
+    return await withAudit(['clienti', 'partner', 'eliminati', 'campagne'], 'repair', () =>
+      dataManager.repairIntegrity(codes, dataFolderPath)
+    );
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * List the archived campaigns, one per year.
+ */
+ipcMain.handle('list-campaigns', async () => {
+  try {
+    return await dataManager.listCampaigns(dataFolderPath);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Return the per-year gift history of a single cliente/partner.
+ */
+ipcMain.handle('get-record-history', async (event, { dataType, id }) => {
+  try {
+    return await dataManager.getRecordHistory(dataType, id, dataFolderPath);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Archive the current campaign and open the next year.
+ */
+ipcMain.handle('close-campaign', async (event, { resetAssignments }) => {
+  try {
+    return await withAudit(['clienti', 'partner', 'settings'], 'campaign', () =>
+      dataManager.closeCampaign(dataFolderPath, { resetAssignments })
+    );
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -126,87 +583,415 @@ ipcMain.handle('move-to-eliminati', async (event, { dataType, id }) => {
  */
 ipcMain.handle('restore-from-eliminati', async (event, { id }) => {
   try {
-    return await dataManager.restoreFromEliminati(id, dataFolderPath);
+    return await withAudit(['clienti', 'partner', 'eliminati'], 'restore', () =>
+      dataManager.restoreFromEliminati(id, dataFolderPath)
+    );
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
 /**
- * Present a file dialog to import an Excel file and merge its contents
- * into the existing dataset.  Records are updated if they already
- * exist (match by nome and azienda) or appended otherwise.
+ * First step of the import wizard: present a file dialog to choose an
+ * Excel, CSV/TSV or vCard file and list its sheets (CSV/TSV and vCard
+ * files have one), with the one suggested for the data
+ * type.
  */
-ipcMain.handle('import-excel', async (event, { dataType }) => {
+ipcMain.handle('choose-import-file', async (event, { dataType }) => {
   try {
     const { canceled, filePaths } = await dialog.showOpenDialog({
-      title: 'Seleziona file Excel',
-      filters: [{ name: 'Excel', extensions: ['xlsx', 'xls'] }],
+      title: 'Seleziona file Excel, CSV o vCard',
+      filters: [
+        { name: 'Excel, CSV o vCard', extensions: ['xlsx', 'xls', 'csv', 'tsv', 'txt', 'vcf'] },
+        { name: 'Excel', extensions: ['xlsx', 'xls'] },
+        { name: 'CSV/TSV', extensions: ['csv', 'tsv', 'txt'] },
+        { name: 'vCard', extensions: ['vcf'] },
+      ],
       properties: ['openFile'],
     });
     if (canceled || filePaths.length === 0) {
-      return { success: false, message: 'Importazione annullata' };
+      return { success: false, canceled: true };
     }
-    const filePath = filePaths[0];
-    const result = await excelImporter.importFile(filePath, dataType);
-    if (result.success && result.data && result.data.length > 0) {
-      // Load current data (including deleted items) to merge.
-      const currentResult = await dataManager.loadData(dataType, dataFolderPath, true);
-      if (!currentResult.success) {
-        return { success: false, message: currentResult.error };
-      }
-      let currentData = currentResult.data || [];
-      // Exclude deleted records when merging.
-      currentData = currentData.filter((item) => !item.eliminato);
-      const updatedData = [...currentData];
-      let newRecords = 0;
-      let updatedRecords = 0;
-      for (const importedItem of result.data) {
-        const existingIndex = updatedData.findIndex(
-          (item) =>
-            item.nome && importedItem.nome &&
-            item.azienda && importedItem.azienda &&
-            item.nome.toLowerCase() === importedItem.nome.toLowerCase() &&
-            item.azienda.toLowerCase() === importedItem.azienda.toLowerCase()
-        );
-        if (existingIndex !== -1) {
-          const originalId = updatedData[existingIndex].id;
-          const eliminato = updatedData[existingIndex].eliminato || false;
-          updatedData[existingIndex] = {
-            ...updatedData[existingIndex],
-            ...importedItem,
-            id: originalId,
-            eliminato,
-            lastUpdate: Date.now(),
-          };
-          updatedRecords++;
-        } else {
-          const newId = Date.now() + updatedData.length + newRecords;
-          updatedData.push({
-            ...importedItem,
-            id: newId,
-            eliminato: false,
-            createdAt: Date.now(),
-          });
-          newRecords++;
-        }
-      }
-      const saveResult = await dataManager.saveData(dataType, updatedData, dataFolderPath);
-      if (!saveResult.success) {
-        return { success: false, message: saveResult.error };
-      }
-      return {
-        success: true,
-        message: `Importazione completata: ${newRecords} nuovi record, ${updatedRecords} record aggiornati`,
-        data: updatedData.filter((item) => !item.eliminato),
+    importProgress(event)({ phase: 'open', done: 0, total: 0 });
+    const { sheets, suggested, routes, textFormat } = await importRunner.run('listSheets', {
+      filePath: filePaths[0],
+      dataType,
+    });
+    importFilePath = filePaths[0];
+    pendingImport = null;
+    return { success: true, data: { fileName: path.basename(importFilePath), sheets, suggested, routes, textFormat } };
+  } catch (error) {
+    return importFailure(error);
+  }
+});
+
+/**
+ * Second step of the import wizard: describe the columns of a sheet of
+ * the chosen file with the suggested field and some sample values.
+ */
+ipcMain.handle('preview-import', async (event, { sheetName, hasHeaders }) => {
+  try {
+    if (!importFilePath) throw new Error('Nessun file selezionato');
+    const preview = await importRunner.run('previewSheet', {
+      filePath: importFilePath,
+      sheetName,
+      hasHeaders,
+      dictionary: await importDictionary(),
+    });
+    return { success: true, data: preview };
+  } catch (error) {
+    return importFailure(error);
+  }
+});
+
+/**
+ * List the column mappings saved from the import wizard.
+ */
+ipcMain.handle('load-import-mappings', async () => {
+  try {
+    return await dataManager.loadImportMappings(dataFolderPath);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Save a column mapping under a name, replacing one with the same name.
+ */
+ipcMain.handle('save-import-mapping', async (event, mapping) => {
+  try {
+    return await dataFolder.withLock(dataFolderPath, () =>
+      dataManager.saveImportMapping(mapping, dataFolderPath)
+    );
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Default header dictionary of the import, to restore it from the
+ * settings page.
+ */
+ipcMain.handle('get-default-import-dictionary', async () => {
+  try {
+    return { success: true, data: excelImporter.defaultDictionary() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Save the header dictionary edited in the settings page.
+ */
+ipcMain.handle('save-import-dictionary', async (event, { dictionary }) => {
+  try {
+    return await withAudit(['settings'], 'settings', () =>
+      dataManager.saveImportDictionary(dictionary, dataFolderPath)
+    );
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Try a sample header row against a header dictionary (the saved one
+ * when none is given) without reading any file.
+ */
+ipcMain.handle('test-import-headers', async (event, { headers, dictionary }) => {
+  try {
+    return { success: true, data: excelImporter.testHeaders(headers, dictionary || await importDictionary()) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Delete a saved column mapping by name.
+ */
+ipcMain.handle('delete-import-mapping', async (event, { name }) => {
+  try {
+    return await dataFolder.withLock(dataFolderPath, () =>
+      dataManager.deleteImportMapping(name, dataFolderPath)
+    );
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Third step of the import wizard: read the chosen sheet of the Excel
+ * file with the confirmed column mapping and, without saving, report
+ * the records that would be created, updated (field by field) or
+ * skipped (with the reason).  The rows read are kept until the user
+ * confirms which ones to import.
+ *
+ * With `previousYear` only the gift, delivery and GLS choices are copied
+ * onto existing records, read from the file or, when `anno` is given,
+ * from that archived campaign.  Rows with no matching record are
+ * returned as `unmatched` with similar records to link them to; `links`
+ * maps row numbers to the ids chosen by the user.  Otherwise
+ * `mergeOptions` choose how rows are matched to existing records and
+ * which of their fields are written (see dataManager.mergeImportedRows).
+ *
+ * The file is read and the plan computed in the import worker, which
+ * reports the rows read and matched as 'import-progress' events.
+ */
+ipcMain.handle('plan-import', async (event, {
+  dataType, sheetName, hasHeaders, mapping, previousYear = false, anno = null, links = {}, mergeOptions = {},
+}) => {
+  try {
+    const onProgress = importProgress(event);
+    let source;
+    if (previousYear && anno) {
+      const archived = await dataManager.previousYearRows(dataType, anno, dataFolderPath);
+      if (!archived.success) return archived;
+      source = { fileName: `Campagna ${anno}`, sheetName: '', hasHeaders: true, rows: archived.data, rejected: [] };
+    } else {
+      if (!importFilePath) throw new Error('Nessun file selezionato');
+      const result = await importRunner.run('importFile', {
+        filePath: importFilePath,
+        dataType,
+        options: { sheetName, hasHeaders, mapping },
+        dictionary: await importDictionary(),
+      }, onProgress);
+      if (!result.success) throw new Error(result.message);
+      source = {
+        fileName: path.basename(importFilePath),
+        sheetName,
+        hasHeaders: result.hasHeaders,
+        rows: result.rows,
+        rejected: result.rejected,
       };
     }
-    return result;
+    const rows = source.rows.map((entry) => (links[entry.row] ? { ...entry, targetId: links[entry.row] } : entry));
+    const current = await currentRecords([dataType]);
+    const plan = await importRunner.run('planImport', {
+      dataType,
+      rows,
+      current: current[dataType],
+      options: { previousYear, mergeOptions },
+    }, onProgress);
+    if (!plan.success) return plan;
+    pendingImport = {
+      dataType,
+      previousYear,
+      mergeOptions,
+      ...source,
+      rows,
+      unmatchedRows: plan.data.unmatched.map((entry) => entry.row),
+    };
+    const skipped = [...source.rejected, ...plan.data.skipped].sort((a, b) => a.row - b.row);
+    return {
+      success: true,
+      data: { created: plan.data.created, updated: plan.data.updated, skipped, unmatched: plan.data.unmatched },
+    };
+  } catch (error) {
+    return importFailure(error);
+  }
+});
+
+/**
+ * Last step of the import wizard: merge the rows chosen by the user
+ * (identified by their row number in the sheet) into the existing
+ * dataset.  The merge is computed again on the current data, so changes
+ * saved since the preview are not lost; new records get their id from
+ * dataManager when saved.  The import is recorded with a row-by-row
+ * report that also lists the rows rejected or left out in the preview.
+ */
+ipcMain.handle('import-excel', async (event, { dataType, rows }) => {
+  try {
+    if (!pendingImport || pendingImport.dataType !== dataType) {
+      return { success: false, message: 'Nessuna importazione in corso' };
+    }
+    // Rows left unmatched are passed on so that the report lists them
+    const selected = new Set([...rows, ...pendingImport.unmatchedRows]);
+    const chosenRows = pendingImport.rows.filter((entry) => selected.has(entry.row));
+    const excluded = pendingImport.rows
+      .filter((entry) => !selected.has(entry.row))
+      .map((entry) => ({ ...entry, reason: 'Esclusa nell\'anteprima' }));
+    const result = await withAudit([dataType], 'import', () =>
+      dataManager.importRecords(dataType, chosenRows, dataFolderPath, {
+        fileName: pendingImport.fileName,
+        sheetName: pendingImport.sheetName,
+        hasHeaders: pendingImport.hasHeaders,
+        discarded: [...pendingImport.rejected, ...excluded],
+        previousYear: pendingImport.previousYear,
+        mergeOptions: pendingImport.mergeOptions,
+      })
+    );
+    if (!result.success) {
+      return { success: false, message: result.error };
+    }
+    const { previousYear } = pendingImport;
+    pendingImport = null;
+    importRunner.release();
+    const { created, updated, unmatched, report, batchId } = result.data;
+    const warnings = report.filter((entry) => entry.status === 'warning').length;
+    const skipped = report.filter((entry) => entry.status === 'skipped').length - unmatched.length;
+    return {
+      success: true,
+      message: previousYear
+        ? `Scelte dell'anno precedente importate: ${updated.length} record aggiornati, ${unmatched.length} righe senza corrispondenza, ${skipped} righe scartate`
+        : `Importazione completata: ${created.length} nuovi record, ${updated.length} record aggiornati, ${skipped} righe scartate, ${warnings} righe con avvisi`,
+      data: result.data.records,
+      batchId,
+    };
   } catch (error) {
     return { success: false, message: error.message };
   }
 });
 
+/**
+ * Import wizard on every sheet of the chosen file at once: read each
+ * sheet routed to clienti or partner with the suggested column mapping
+ * and, without saving, report per sheet the records that would be
+ * created, updated or skipped.  The rows read are kept until the user
+ * confirms.  As in plan-import the work is done in the import worker and
+ * `mergeOptions` apply to every sheet.
+ */
+ipcMain.handle('plan-workbook-import', async (event, { sheets, mergeOptions = {} }) => {
+  try {
+    if (!importFilePath) throw new Error('Nessun file selezionato');
+    const onProgress = importProgress(event);
+    const dictionary = await importDictionary();
+    const read = [];
+    const columns = {};
+    for (const { sheetName, dataType } of sheets) {
+      const preview = await importRunner.run('previewSheet', { filePath: importFilePath, sheetName, dictionary });
+      const mapping = preview.columns.map((column) => column.field || column.customField);
+      const result = await importRunner.run('importFile', {
+        filePath: importFilePath,
+        dataType,
+        options: { sheetName, hasHeaders: preview.hasHeaders, mapping },
+        dictionary,
+      }, onProgress);
+      if (!result.success) throw new Error(`Foglio "${sheetName}": ${result.message}`);
+      read.push({ sheetName, dataType, hasHeaders: result.hasHeaders, rows: result.rows, discarded: result.rejected });
+      columns[sheetName] = preview.columns.map((column, index) => ({
+        header: column.header,
+        field: mapping[index],
+        match: column.match,
+      }));
+    }
+    const current = await currentRecords([...new Set(read.map((sheet) => sheet.dataType))]);
+    const plan = await importRunner.run('planWorkbook', { sheets: read, current, mergeOptions }, onProgress);
+    if (!plan.success) return plan;
+    pendingImport = { workbook: true, sheets: read, mergeOptions };
+    return {
+      success: true,
+      data: { sheets: plan.data.sheets.map((sheet) => ({ ...sheet, columns: columns[sheet.sheetName] })) },
+    };
+  } catch (error) {
+    return importFailure(error);
+  }
+});
+
+/**
+ * Import every sheet planned by plan-workbook-import as a single import
+ * batch, undone in one step from the Importazioni page.
+ */
+ipcMain.handle('import-workbook', async () => {
+  try {
+    if (!pendingImport || !pendingImport.workbook) {
+      return { success: false, message: 'Nessuna importazione in corso' };
+    }
+    const { sheets, mergeOptions } = pendingImport;
+    const dataTypes = [...new Set(sheets.map((sheet) => sheet.dataType))];
+    const result = await withAudit(dataTypes, 'import', () =>
+      dataManager.importWorkbook(sheets, dataFolderPath, { fileName: path.basename(importFilePath), mergeOptions })
+    );
+    if (!result.success) {
+      return { success: false, message: result.error };
+    }
+    pendingImport = null;
+    importRunner.release();
+    const details = result.data.sheets.map((sheet) =>
+      `${sheet.sheetName} (${sheet.dataType}): ${sheet.created.length} nuovi, ${sheet.updated.length} aggiornati, ${sheet.skipped.length} scartate`
+    );
+    return {
+      success: true,
+      message: `Importazione completata. ${details.join('; ')}`,
+      data: result.data.records,
+      batchId: result.data.batchId,
+    };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+/**
+ * Interrupt the import step running in the import worker; the pending
+ * request answers with `canceled: true`.  Saving is not interruptible.
+ */
+ipcMain.handle('cancel-import', async () => {
+  try {
+    return { success: true, data: importRunner.cancel() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * List the recorded imports, most recent first.
+ */
+ipcMain.handle('list-imports', async () => {
+  try {
+    return await dataManager.listImportBatches(dataFolderPath);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Save the row-by-row report of a recorded import as an Excel file.  The
+ * user is prompted to choose the destination path.
+ */
+ipcMain.handle('export-import-report', async (event, { batchId }) => {
+  try {
+    const batches = await dataManager.listImportBatches(dataFolderPath);
+    if (!batches.success) return { success: false, message: batches.error };
+    const batch = batches.data.find((item) => item.id === batchId);
+    if (!batch || !batch.report) {
+      return { success: false, message: 'Report non disponibile per questa importazione' };
+    }
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Salva report importazione',
+      defaultPath: path.join(
+        app.getPath('documents'),
+        `Report_${path.basename(batch.fileName || 'importazione', path.extname(batch.fileName || ''))}.xlsx`
+      ),
+      filters: [{ name: 'Excel', extensions: ['xlsx'] }],
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true, message: 'Esportazione annullata' };
+    }
+    await fs.promises.writeFile(filePath, excelImporter.exportImportReport(batch));
+    return { success: true, message: 'Report salvato', filePath };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+/**
+ * Roll back an import: the records it created are removed and the ones
+ * it updated get their previous values back.  Without `force` the
+ * rollback is refused (conflict: true) when some of those records were
+ * changed after the import.
+ */
+ipcMain.handle('rollback-import', async (event, { batchId, force = false }) => {
+  try {
+    const batches = await dataManager.listImportBatches(dataFolderPath);
+    if (!batches.success) return batches;
+    const batch = batches.data.find((item) => item.id === batchId);
+    if (!batch) return { success: false, error: 'Importazione non trovata' };
+    return await withAudit([...(batch.dataTypes || [batch.dataType]), 'eliminati'], 'rollback', () =>
+      dataManager.rollbackImport(batchId, dataFolderPath, { force })
+    );
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 /**
  * Export all records marked for GLS shipment into an Excel file.  The
  * user is prompted to choose the destination path.  Only records with
@@ -219,9 +1004,7 @@ ipcMain.handle('export-gls', async () => {
     if (!clientiResult.success) throw new Error(clientiResult.error);
     if (!partnerResult.success) throw new Error(partnerResult.error);
     const allData = [...clientiResult.data, ...partnerResult.data];
-    const glsData = allData.filter(
-      (record) => record.gls && (record.gls === '1' || record.gls === 1 || record.gls === true)
-    );
+    const glsData = allData.filter((record) => record.gls === true);
     if (glsData.length === 0) {
       return { success: false, message: 'Nessun record da esportare per GLS' };
     }
@@ -246,26 +1029,76 @@ ipcMain.handle('export-gls', async () => {
 });
 
 /**
- * Update multiple records setting a specific property to the same value.
+ * Export the given records of a type as a vCard (.vcf) file.  When a past
+ * campaign year is given the records are taken from its archived
+ * snapshot.  The user is prompted to choose the destination path.
  */
-ipcMain.handle('update-bulk', async (event, { dataType, ids, propertyName, propertyValue }) => {
+ipcMain.handle('export-vcard', async (event, { dataType, ids, anno = null }) => {
   try {
-    const result = await dataManager.loadData(dataType, dataFolderPath, true);
+    const result = await dataManager.loadCampaignData(dataType, anno, dataFolderPath);
     if (!result.success) throw new Error(result.error);
-    const updatedData = result.data.map((item) => {
-      if (ids.includes(item.id)) {
-        return { ...item, [propertyName]: propertyValue, lastUpdate: Date.now() };
-      }
-      return item;
+    const wanted = new Set(ids.map(String));
+    const records = result.data.filter((record) => wanted.has(String(record.id)));
+    if (records.length === 0) {
+      return { success: false, message: 'Nessun record da esportare' };
+    }
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Salva contatti vCard',
+      defaultPath: path.join(app.getPath('documents'), `${dataType === 'partner' ? 'Partner' : 'Clienti'}.vcf`),
+      filters: [{ name: 'vCard', extensions: ['vcf'] }],
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true, message: 'Esportazione annullata' };
+    }
+    await fs.promises.writeFile(filePath, vcard.format(records), 'utf8');
+    return {
+      success: true,
+      message: `Esportazione completata con successo: ${records.length} contatti`,
+      filePath,
+    };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+/**
+ * Load the audit log entries matching the given filters, newest first.
+ */
+ipcMain.handle('load-audit', async (event, filters = {}) => {
+  try {
+    return await auditLog.load(dataFolderPath, filters);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Export the audit log entries matching the given filters into an Excel
+ * file chosen by the user.
+ */
+ipcMain.handle('export-audit', async (event, filters = {}) => {
+  try {
+    const result = await auditLog.load(dataFolderPath, filters);
+    if (!result.success) throw new Error(result.error);
+    if (result.data.length === 0) {
+      return { success: false, message: 'Nessuna attività da esportare' };
+    }
+    const excelBuffer = excelImporter.exportAudit(result.data);
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Salva registro attività',
+      defaultPath: path.join(app.getPath('documents'), 'Attivita_CRM.xlsx'),
+      filters: [{ name: 'Excel', extensions: ['xlsx'] }],
     });
-    const saveResult = await dataManager.saveData(dataType, updatedData, dataFolderPath);
-    if (!saveResult.success) throw new Error(saveResult.error);
+    if (canceled || !filePath) {
+      return { success: false, message: 'Esportazione annullata' };
+    }
+    await fs.promises.writeFile(filePath, excelBuffer);
     return {
       success: true,
-      message: `Aggiornamento completato con successo: ${ids.length} record`,
-      data: updatedData.filter((item) => !item.eliminato),
+      message: `Esportazione completata con successo: ${result.data.length} attività`,
+      filePath,
     };
   } catch (error) {
     return { success: false, message: error.message };
   }
-});
\ No newline at end of file
+});
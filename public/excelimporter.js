@@ -1,5 +1,150 @@
 const XLSX = require('xlsx');
 const fs = require('fs');
+const path = require('path');
+const vcard = require('./vcard');
+const addressValidator = require('./addressValidator');
+const contactValidator = require('./contactValidator');
+
+// Nomi di colonna riconosciuti per ogni campo dei record, in minuscolo e
+// con i separatori (/ - _ .) sostituiti da spazi.  Sono i sinonimi
+// predefiniti del dizionario, modificabile dalle impostazioni.
+const FIELD_ALIASES = {
+  nome: ['nome', 'nome persona', 'nominativo', 'nome_persona', 'nome cliente', 'nome e cognome', 'persona', 'referente', 'nome referente', 'cliente'],
+  azienda: ['azienda', 'nome azienda', 'società', 'ragione sociale', 'company', 'ditta', 'società cliente', 'societa', 'nome societa', 'società'],
+  indirizzo: ['indirizzo', 'via', 'strada', 'address', 'via/piazza', 'indirizzo stradale', 'via piazza', 'indirizzo spedizione'],
+  civico: ['civico', 'numero civico', 'n. civico', 'n.civico', 'n°', 'numero', 'numero indirizzo', 'n. civico', 'num', 'num.'],
+  cap: ['cap', 'codice postale', 'postal code', 'zip', 'codice avviamento postale', 'c.a.p.', 'c.a.p'],
+  localita: ['localita', 'località', 'comune', 'città', 'city', 'paese', 'town', 'citta', 'loc', 'loc.'],
+  provincia: ['provincia', 'prov', 'province', 'pr', 'pr.', 'sigla provincia', 'prov.', 'provincia sigla'],
+  telefono: ['telefono', 'tel', 'phone', 'cellulare', 'tel.', 'numero telefono', 'cell', 'numero cellulare', 'tel/cell', 'cell.'],
+  email: ['email', 'e-mail', 'mail', 'posta elettronica', 'indirizzo email', 'e mail', 'posta'],
+  note: ['note', 'annotazioni', 'commenti', 'notes', 'note aggiuntive', 'note cliente', 'commento'],
+  tipologia: ['tipologia', 'tipo partner', 'categoria', 'tipo cliente', 'tipo', 'category', 'gruppo'],
+  grappa: ['grappa', 'regalo grappa', 'omaggio grappa', 'regalo', 'gift', 'presente', 'omaggio', 'dono'],
+  extraAltro: ['extra/altro', 'extra', 'altro regalo', 'altro omaggio', 'extra regalo', 'regalo extra', 'altro', 'altri regali', 'extra/altri'],
+  consegnaSpedizione: ['consegna/spedizione', 'consegna', 'consegna a mano', 'incaricato consegna', 'consegnatario', 'deliverer', 'spedizione', 'incaricato', 'consegna spedizione'],
+  gls: ['gls', 'spedizione gls', 'corriere', 'spedizione', 'shipping', 'courier', 'corriere gls']
+};
+// Ordine tipico delle colonne nei file senza riga di intestazione
+// (predefinito del dizionario).
+const DEFAULT_COLUMN_ORDER = [
+  'nome', 'azienda', 'indirizzo', 'civico', 'cap', 'localita',
+  'provincia', 'telefono', 'email', 'note', 'grappa',
+  'extraAltro', 'consegnaSpedizione', 'gls'
+];
+// Numero di valori di esempio mostrati per ogni colonna nell'anteprima.
+const SAMPLE_ROWS = 3;
+// Campi gestiti dall'applicazione, che una colonna non può sovrascrivere.
+const RESERVED_FIELDS = ['id', 'tipo', 'eliminato', 'eliminatoIl', 'createdAt', 'lastUpdate', 'version'];
+// Numero minimo di campi compilati (letti dal file) di una riga valida.
+const MIN_FILLED_FIELDS = 3;
+// Ogni quante righe lette viene segnalato l'avanzamento dell'importazione.
+const PROGRESS_STEP = 500;
+
+// Estensioni dei file di testo delimitato (CSV, TSV) importabili.
+const TEXT_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+// Separatori riconosciuti nei file di testo, in ordine di preferenza.
+const DELIMITERS = [';', ',', '\t', '|'];
+// Righe esaminate per riconoscere il separatore.
+const DELIMITER_SAMPLE_LINES = 20;
+
+/**
+ * Decodifica il contenuto di un file di testo: UTF-8 (con o senza BOM),
+ * UTF-16 se indicato dal BOM, altrimenti Windows-1252, la codifica dei
+ * file esportati da Excel e dai gestionali su Windows.
+ * @param {Buffer} buffer - Contenuto del file.
+ * @returns {Object} - { text, encoding }.
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: buffer.slice(3).toString('utf8'), encoding: 'UTF-8' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: buffer.slice(2).toString('utf16le'), encoding: 'UTF-16' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'UTF-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'Windows-1252' };
+  }
+}
+
+/**
+ * Conta le occorrenze di un separatore in una riga, ignorando quelle
+ * racchiuse tra virgolette.
+ * @param {string} line - Riga del file.
+ * @param {string} delimiter - Separatore.
+ * @returns {number} - Numero di occorrenze.
+ */
+function countDelimiter(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === delimiter && !quoted) count++;
+  }
+  return count;
+}
+
+/**
+ * Riconosce il separatore di un file di testo: quello presente nella
+ * prima riga che compare lo stesso numero di volte nel maggior numero di
+ * righe successive.  Per i file .tsv, o se nessun separatore compare, si
+ * usa il separatore predefinito dell'estensione.
+ * @param {string} text - Contenuto del file.
+ * @param {string} extension - Estensione del file.
+ * @returns {string} - Separatore.
+ */
+function detectDelimiter(text, extension) {
+  if (extension === '.tsv') return '\t';
+  const lines = text.split(/\r?\n/).filter((line) => line.trim()).slice(0, DELIMITER_SAMPLE_LINES);
+  let best = null;
+  for (const delimiter of DELIMITERS) {
+    const expected = lines.length > 0 ? countDelimiter(lines[0], delimiter) : 0;
+    if (expected === 0) continue;
+    const consistent = lines.filter((line) => countDelimiter(line, delimiter) === expected).length;
+    if (!best || consistent > best.consistent || (consistent === best.consistent && expected > best.expected)) {
+      best = { delimiter, consistent, expected };
+    }
+  }
+  return best ? best.delimiter : ',';
+}
+
+// Esito delle righe nel report di un'importazione.
+const REPORT_STATUS_LABELS = {
+  imported: 'Importata',
+  updated: 'Aggiornata',
+  warning: 'Con avvisi',
+  skipped: 'Scartata'
+};
+// Voci del riepilogo del report, con il numero di righe per esito.
+const REPORT_SUMMARY_LABELS = {
+  imported: 'Righe importate',
+  updated: 'Righe aggiornate',
+  warning: 'Righe con avvisi',
+  skipped: 'Righe scartate'
+};
+
+/**
+ * Porta il nome di una colonna nella forma usata dai sinonimi del dizionario.
+ * @param {*} header - Intestazione letta dal foglio.
+ * @returns {string} - Intestazione normalizzata.
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase()
+    .trim()
+    .replace(/[\/\-_.]/g, ' ')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Lettera della colonna di indice `index` (0 → A, 26 → AA).
+ * @param {number} index - Indice della colonna.
+ * @returns {string} - Lettera della colonna.
+ */
+function columnLetter(index) {
+  return XLSX.utils.encode_col(index);
+}
 
 /**
  * Classe per la gestione dell'importazione da Excel e dell'esportazione
@@ -7,79 +152,385 @@ const fs = require('fs');
  * i log di debug per ridurre la verbosità in console e rendere
  * l'applicazione più leggera, mantenendo comunque la gestione degli
  * errori tramite console.error.
+ *
+ * L'importazione avviene in più passi: listSheets elenca i fogli del
+ * file (un solo foglio per i file CSV/TSV e vCard), previewSheet propone per ogni colonna il campo corrispondente
+ * (con alcuni valori di esempio) e importFile legge le righe secondo la
+ * corrispondenza confermata dall'utente.
  */
 class ExcelImporter {
+  constructor() {
+    // Ultimo workbook letto: { filePath, mtimeMs, size, workbook }
+    this.cachedWorkbook = null;
+  }
+
   /**
-   * Importa dati da un file Excel.
-   * @param {string} filePath - Percorso del file Excel.
-   * @param {string} dataType - Tipo di dati da importare ("clienti" o "partner").
-   * @returns {Promise<Object>} - Oggetto con proprietà success (boolean), message (string) e data (array di record).
+   * Dizionario predefinito delle intestazioni: sinonimi per ogni campo e
+   * ordine delle colonne dei fogli senza intestazione.
+   * @returns {Object} - { aliases: { campo: [sinonimi] }, columnOrder: [campi] }.
    */
-  async importFile(filePath, dataType) {
-    try {
-      // Leggi il file Excel con le opzioni necessarie
-      const workbook = XLSX.readFile(filePath, {
-        cellDates: true,
-        dateNF: 'yyyy-mm-dd',
-        cellStyles: true,
-        cellNF: true,
-        type: 'binary',
-        raw: false
-      });
+  defaultDictionary() {
+    return this.normalizeDictionary({ aliases: FIELD_ALIASES, columnOrder: DEFAULT_COLUMN_ORDER });
+  }
+
+  /**
+   * Porta un dizionario salvato nelle impostazioni in una forma valida:
+   * i sinonimi sono normalizzati come le intestazioni e senza ripetizioni,
+   * i campi assenti riprendono i sinonimi predefiniti e nell'ordine delle
+   * colonne i campi sconosciuti diventano colonne ignorate ('').
+   * @param {Object} [dictionary] - Dizionario da controllare.
+   * @returns {Object} - Dizionario completo.
+   */
+  normalizeDictionary(dictionary) {
+    const source = dictionary || {};
+    const aliases = {};
+    for (const field of Object.keys(FIELD_ALIASES)) {
+      const list = source.aliases && Array.isArray(source.aliases[field])
+        ? source.aliases[field]
+        : FIELD_ALIASES[field];
+      aliases[field] = [...new Set(list.map(normalizeHeader).filter(Boolean))];
+    }
+    const order = Array.isArray(source.columnOrder) ? source.columnOrder : DEFAULT_COLUMN_ORDER;
+    const columnOrder = order.map(field => (FIELD_ALIASES[field] ? field : ''));
+    while (columnOrder.length > 0 && !columnOrder[columnOrder.length - 1]) {
+      columnOrder.pop();
+    }
+    return { aliases, columnOrder };
+  }
 
-      // Determina da quale foglio importare in base al dataType
-      const sheetName = this.determineSheetName(workbook, dataType);
-      const worksheet = workbook.Sheets[sheetName];
+  /**
+   * Prova una riga di intestazione di esempio con un dizionario: indica se
+   * verrebbe riconosciuta come intestazione e il campo proposto per ogni
+   * colonna, come in previewSheet.
+   * @param {Array<string>} headers - Intestazioni, nell'ordine delle colonne.
+   * @param {Object} [dictionary] - Dizionario da provare (quello predefinito se assente).
+   * @returns {Object} - { hasHeaders, columns } dove ogni colonna ha header, key, field e match.
+   */
+  testHeaders(headers, dictionary) {
+    const { aliases, columnOrder } = this.normalizeDictionary(dictionary);
+    const keys = headers.map(header => normalizeHeader(header === undefined || header === null ? '' : header));
+    const hasHeaders = keys.some(key => this.suggestField(key, aliases).match === 'exact');
+    const columns = headers.map((header, index) => {
+      const suggestion = hasHeaders
+        ? this.suggestField(keys[index], aliases)
+        : { field: columnOrder[index] || null, match: columnOrder[index] ? 'partial' : null };
+      return { header, key: keys[index], ...suggestion };
+    });
+    return { hasHeaders, columns };
+  }
 
-      // Prima conversione usando le intestazioni rilevate
-      let jsonData = XLSX.utils.sheet_to_json(worksheet, {
-        defval: '',
-        raw: false,
-        blankrows: false
-      });
+  /**
+   * Legge un file Excel (o CSV/TSV, vCard) con le opzioni usate per l'importazione.
+   * L'ultimo workbook letto viene conservato finché il file non cambia, così
+   * che elenco dei fogli, anteprima e importazione non rileggano ogni volta
+   * un file grande.
+   * @param {string} filePath - Percorso del file.
+   * @returns {Object} - Workbook letto.
+   */
+  readWorkbook(filePath) {
+    const { mtimeMs, size } = fs.statSync(filePath);
+    const cached = this.cachedWorkbook;
+    if (cached && cached.filePath === filePath && cached.mtimeMs === mtimeMs && cached.size === size) {
+      return cached.workbook;
+    }
+    const workbook = this.parseWorkbook(filePath);
+    this.cachedWorkbook = { filePath, mtimeMs, size, workbook };
+    return workbook;
+  }
+
+  /**
+   * Legge il file senza passare dal workbook conservato da readWorkbook.
+   * @param {string} filePath - Percorso del file.
+   * @returns {Object} - Workbook letto.
+   */
+  parseWorkbook(filePath) {
+    if (this.isTextFile(filePath)) {
+      return this.readTextWorkbook(filePath);
+    }
+    if (this.isVCardFile(filePath)) {
+      return this.readVCardWorkbook(filePath);
+    }
+    return XLSX.readFile(filePath, {
+      cellDates: true,
+      dateNF: 'yyyy-mm-dd',
+      cellStyles: true,
+      cellNF: true,
+      type: 'binary',
+      raw: false
+    });
+  }
+
+  /**
+   * Indica se un file è di testo delimitato (CSV, TSV) anziché Excel.
+   * @param {string} filePath - Percorso del file.
+   * @returns {boolean}
+   */
+  isTextFile(filePath) {
+    return TEXT_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Codifica e separatore di un file di testo delimitato.
+   * @param {string} filePath - Percorso del file.
+   * @returns {Object} - { text, encoding, delimiter }.
+   */
+  detectTextFormat(filePath) {
+    const { text, encoding } = decodeText(fs.readFileSync(filePath));
+    return { text, encoding, delimiter: detectDelimiter(text, path.extname(filePath).toLowerCase()) };
+  }
+
+  /**
+   * Legge un file CSV/TSV come un workbook con un solo foglio, chiamato
+   * come il file, così che anteprima, corrispondenza delle colonne e
+   * importazione siano le stesse dei file Excel.  I valori restano testo,
+   * per non perdere gli zeri iniziali di CAP e telefoni.
+   * @param {string} filePath - Percorso del file.
+   * @returns {Object} - Workbook letto.
+   */
+  readTextWorkbook(filePath) {
+    const { text, delimiter } = this.detectTextFormat(filePath);
+    const workbook = XLSX.read(text, { type: 'string', FS: delimiter, raw: true });
+    const sheetName = path.basename(filePath, path.extname(filePath));
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    workbook.SheetNames = [sheetName];
+    workbook.Sheets = { [sheetName]: sheet };
+    return workbook;
+  }
 
-      // Se il formato non contiene intestazioni valide, prova altre strategie
-      if (!jsonData.length || Object.keys(jsonData[0]).length <= 1) {
-        // Conversione senza intestazioni (usa lettere come intestazioni)
-        jsonData = XLSX.utils.sheet_to_json(worksheet, {
-          defval: '',
-          raw: false,
-          blankrows: false,
-          header: 'A'
-        });
-        // Se ancora fallisce, prova con intestazioni esplicite
-        if (!jsonData.length || Object.keys(jsonData[0]).length <= 1) {
-          const explicitHeaders = this.createExplicitHeaders();
-          jsonData = XLSX.utils.sheet_to_json(worksheet, {
-            defval: '',
-            raw: false,
-            blankrows: false,
-            header: explicitHeaders
-          });
+  /**
+   * Indica se un file è una rubrica vCard (.vcf).
+   * @param {string} filePath - Percorso del file.
+   * @returns {boolean}
+   */
+  isVCardFile(filePath) {
+    return path.extname(filePath).toLowerCase() === '.vcf';
+  }
+
+  /**
+   * Legge un file vCard come un workbook con un solo foglio, chiamato
+   * come il file, con un contatto per riga e le colonne Nome, Azienda,
+   * Indirizzo, CAP, Località, Provincia, Telefono, Email e Note.
+   * @param {string} filePath - Percorso del file.
+   * @returns {Object} - Workbook letto.
+   */
+  readVCardWorkbook(filePath) {
+    const { text } = decodeText(fs.readFileSync(filePath));
+    const sheetName = path.basename(filePath, path.extname(filePath));
+    return {
+      SheetNames: [sheetName],
+      Sheets: { [sheetName]: XLSX.utils.aoa_to_sheet(vcard.toRows(text)) }
+    };
+  }
+
+  /**
+   * Legge le righe non vuote di un foglio, ciascuna con il proprio numero
+   * di riga nel foglio (da 1, come in Excel).
+   * @param {Object} workbook - Workbook Excel.
+   * @param {string} sheetName - Nome del foglio.
+   * @returns {Array<Object>} - Righe del foglio ({ row, values }).
+   */
+  readSheetRows(workbook, sheetName) {
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet) {
+      throw new Error(`Il foglio "${sheetName}" non esiste nel file`);
+    }
+    if (!worksheet['!ref']) {
+      return [];
+    }
+    // Le righe vuote vengono lette per poter numerare le successive
+    const firstRow = XLSX.utils.decode_range(worksheet['!ref']).s.r + 1;
+    return XLSX.utils.sheet_to_json(worksheet, {
+      header: 1,
+      defval: '',
+      raw: false,
+      blankrows: true
+    })
+      .map((values, index) => ({ row: firstRow + index, values }))
+      .filter(({ values }) => values.some(value => String(value).trim() !== ''));
+  }
+
+  /**
+   * Elenca i fogli di un file Excel e indica quello proposto per il tipo
+   * di dati e, per l'importazione di tutti i fogli insieme, il tipo di
+   * dati a cui mandare ogni foglio.  Per i file CSV/TSV indica anche
+   * codifica e separatore riconosciuti.
+   * @param {string} filePath - Percorso del file Excel, CSV/TSV o vCard.
+   * @param {string} dataType - Tipo di dati (clienti/partner).
+   * @returns {Object} - { sheets, suggested, routes, textFormat }, con routes
+   *   (nome del foglio -> tipo di dati o null, vedi routeSheet) e textFormat
+   *   ({ encoding, delimiter }) null per i file Excel.
+   */
+  listSheets(filePath, dataType) {
+    const workbook = this.readWorkbook(filePath);
+    let textFormat = null;
+    if (this.isTextFile(filePath)) {
+      const { encoding, delimiter } = this.detectTextFormat(filePath);
+      textFormat = { encoding, delimiter };
+    }
+    const routes = {};
+    workbook.SheetNames.forEach((name) => {
+      routes[name] = this.routeSheet(name);
+    });
+    return {
+      sheets: workbook.SheetNames,
+      suggested: this.determineSheetName(workbook, dataType),
+      routes,
+      textFormat
+    };
+  }
+
+  /**
+   * Tipo di dati a cui mandare un foglio in base al nome ("Clienti 2024"
+   * va nei clienti, "Partner" nei partner).
+   * @param {string} sheetName - Nome del foglio.
+   * @returns {string|null} - 'clienti', 'partner' o null se il nome non lo indica.
+   */
+  routeSheet(sheetName) {
+    const name = String(sheetName).toLowerCase();
+    if (name.includes('client')) return 'clienti';
+    if (name.includes('partner')) return 'partner';
+    return null;
+  }
+
+  /**
+   * Propone il campo corrispondente a un'intestazione: prima cerca una
+   * corrispondenza esatta tra i sinonimi del dizionario, poi una parziale,
+   * che va segnalata all'utente perché può essere sbagliata.
+   * @param {string} key - Intestazione normalizzata.
+   * @param {Object} [aliases] - Sinonimi per campo (quelli predefiniti se assenti).
+   * @returns {Object} - { field, match } con match 'exact', 'partial' o null.
+   */
+  suggestField(key, aliases = this.defaultDictionary().aliases) {
+    if (!key) {
+      return { field: null, match: null };
+    }
+    for (const field in aliases) {
+      if (aliases[field].includes(key)) {
+        return { field, match: 'exact' };
+      }
+    }
+    for (const field in aliases) {
+      for (const alias of aliases[field]) {
+        if (key.includes(alias) || alias.includes(key)) {
+          return { field, match: 'partial' };
         }
       }
+    }
+    return { field: null, match: null };
+  }
 
-      // Normalizza ogni riga e assegna un ID univoco se assente
-      const normalizedData = jsonData.map((row, index) => {
-        const normalizedRow = this.normalizeRowData(row, dataType);
-        if (!normalizedRow.id) {
-          normalizedRow.id = Date.now() + index;
-        }
-        return normalizedRow;
+  /**
+   * Descrive le colonne di un foglio per la scelta della corrispondenza
+   * tra colonne e campi.  Se `hasHeaders` non è indicato, la prima riga è
+   * considerata intestazione quando almeno una cella corrisponde
+   * esattamente a un campo noto.  Senza intestazioni le colonne vengono
+   * proposte nell'ordine delle colonne del dizionario.
+   * @param {string} filePath - Percorso del file Excel.
+   * @param {string} sheetName - Nome del foglio.
+   * @param {boolean} [hasHeaders] - La prima riga contiene le intestazioni.
+   * @param {Object} [dictionary] - Dizionario delle intestazioni salvato nelle
+   *   impostazioni (quello predefinito se assente).
+   * @returns {Object} - { hasHeaders, rowCount, columns } dove ogni colonna ha
+   *   index, header, key, samples, field (proposto), match e customField.
+   */
+  previewSheet(filePath, sheetName, hasHeaders, dictionary) {
+    const { aliases, columnOrder } = this.normalizeDictionary(dictionary);
+    const rows = this.readSheetRows(this.readWorkbook(filePath), sheetName);
+    const width = rows.reduce((max, { values }) => Math.max(max, values.length), 0);
+    const firstRow = rows.length > 0 ? rows[0].values : [];
+    const headers = [];
+    for (let index = 0; index < width; index++) {
+      headers.push(normalizeHeader(firstRow[index] === undefined ? '' : firstRow[index]));
+    }
+    const withHeaders = hasHeaders === undefined
+      ? headers.some(key => this.suggestField(key, aliases).match === 'exact')
+      : Boolean(hasHeaders);
+    const dataRows = withHeaders ? rows.slice(1) : rows;
+    const columns = [];
+    for (let index = 0; index < width; index++) {
+      const header = withHeaders && String(firstRow[index]).trim()
+        ? String(firstRow[index]).trim()
+        : `Colonna ${columnLetter(index)}`;
+      const key = normalizeHeader(header);
+      const customField = key.replace(/\s+/g, '_');
+      const positional = columnOrder[index];
+      const suggestion = withHeaders
+        ? this.suggestField(key, aliases)
+        : { field: positional || null, match: positional ? 'partial' : null };
+      columns.push({
+        index,
+        header,
+        key,
+        samples: dataRows
+          .map(({ values }) => (values[index] === undefined ? '' : String(values[index]).trim()))
+          .filter(value => value !== '')
+          .slice(0, SAMPLE_ROWS),
+        field: suggestion.field,
+        match: suggestion.match,
+        // Nome del campo aggiuntivo con cui la colonna può essere conservata
+        customField: RESERVED_FIELDS.includes(customField) ? `${customField}_importato` : customField
       });
+    }
+    return { hasHeaders: withHeaders, rowCount: dataRows.length, columns };
+  }
 
-      // Filtra i dati validi: richiede almeno il nome o l'azienda e almeno 3 campi non vuoti
-      const validData = normalizedData.filter(row => {
-        const nonEmptyFields = Object.values(row).filter(val =>
-          val !== undefined && val !== null && val !== ''
-        ).length;
-        return (row.nome || row.azienda) && nonEmptyFields >= 3;
-      });
+  /**
+   * Importa dati da un file Excel.
+   * @param {string} filePath - Percorso del file Excel.
+   * @param {string} dataType - Tipo di dati da importare ("clienti" o "partner").
+   * @param {Object} [options] - Scelte fatte nell'anteprima.
+   * @param {string} [options.sheetName] - Foglio da importare (proposto da determineSheetName se assente).
+   * @param {boolean} [options.hasHeaders] - La prima riga contiene le intestazioni.
+   * @param {Array<string>} [options.mapping] - Campo di destinazione per ogni colonna, nell'ordine
+   *   delle colonne ('' per ignorarla); se assente viene usata la corrispondenza proposta.
+   * @param {Object} [options.dictionary] - Dizionario con cui proporre la corrispondenza
+   *   quando mapping è assente (vedi previewSheet).
+   * @param {Function} [options.onProgress] - Chiamata ogni PROGRESS_STEP righe con
+   *   { phase: 'read', done, total }.
+   * @returns {Promise<Object>} - Oggetto con proprietà success (boolean), message (string),
+   *   hasHeaders (se la prima riga è stata trattata come intestazione), rows (righe valide,
+   *   { row, record, warnings }, con gli avvisi di rowWarnings) e rejected (righe scartate,
+   *   { row, record, reason }), dove row è il numero della riga nel foglio.
+   */
+  async importFile(filePath, dataType, options = {}) {
+    try {
+      const workbook = this.readWorkbook(filePath);
+      const sheetName = options.sheetName || this.determineSheetName(workbook, dataType);
+      let mapping = options.mapping;
+      let hasHeaders = options.hasHeaders;
+      if (!Array.isArray(mapping)) {
+        const preview = this.previewSheet(filePath, sheetName, hasHeaders, options.dictionary);
+        hasHeaders = preview.hasHeaders;
+        mapping = preview.columns.map(column => column.field || column.customField);
+      }
+      const rows = this.readSheetRows(workbook, sheetName);
+      const dataRows = hasHeaders ? rows.slice(1) : rows;
+
+      // Converte ogni riga secondo la corrispondenza tra colonne e campi;
+      // l'ID dei nuovi record viene assegnato al salvataggio
+      const validRows = [];
+      const rejected = [];
+      const onProgress = options.onProgress || (() => {});
+      for (const [index, { row, values }] of dataRows.entries()) {
+        if (index % PROGRESS_STEP === 0) {
+          onProgress({ phase: 'read', done: index, total: dataRows.length });
+        }
+        const entry = { row, record: this.rowToRecord(values, mapping, dataType) };
+        const reason = this.rejectionReason(entry.record);
+        if (reason) {
+          rejected.push({ ...entry, reason });
+        } else {
+          validRows.push({ ...entry, warnings: this.rowWarnings(entry.record) });
+        }
+      }
+      onProgress({ phase: 'read', done: dataRows.length, total: dataRows.length });
 
       return {
         success: true,
-        message: `Importazione completata con successo: ${validData.length} record validi su ${normalizedData.length} totali`,
-        data: validData
+        message: `${validRows.length} record validi su ${dataRows.length} totali`,
+        hasHeaders: Boolean(hasHeaders),
+        rows: validRows,
+        rejected
       };
     } catch (error) {
       console.error('Errore durante l\'importazione Excel:', error);
@@ -90,6 +541,43 @@ class ExcelImporter {
     }
   }
 
+  /**
+   * Verifica che un record letto dal file sia importabile: richiede il
+   * nome o l'azienda e almeno MIN_FILLED_FIELDS campi compilati.
+   * @param {Object} record - Record prodotto da rowToRecord.
+   * @returns {string|null} - Motivo dello scarto, null se il record è valido.
+   */
+  rejectionReason(record) {
+    if (!record.nome && !record.azienda) {
+      return 'Mancano sia il nome sia l\'azienda';
+    }
+    const filledFields = Object.keys(record).filter(field =>
+      !RESERVED_FIELDS.includes(field) && record[field] !== undefined && record[field] !== null && record[field] !== ''
+    ).length;
+    if (filledFields < MIN_FILLED_FIELDS) {
+      const filled = filledFields === 1 ? '1 campo compilato' : `${filledFields} campi compilati`;
+      return `Solo ${filled} (minimo ${MIN_FILLED_FIELDS})`;
+    }
+    return null;
+  }
+
+  /**
+   * Controlla i valori di un record importabile che sembrano finiti nella
+   * colonna sbagliata o scritti male (CAP, provincia e località incoerenti,
+   * telefono, email):
+   * la riga viene importata comunque, ma segnalata nel report.
+   * @param {Object} record - Record prodotto da rowToRecord.
+   * @returns {Array<string>} - Avvisi, vuoto se non ci sono problemi.
+   */
+  rowWarnings(record) {
+    const warnings = [];
+    // CAP, provincia e località incoerenti tra loro
+    warnings.push(...addressValidator.validate(record).issues.map((issue) => issue.message));
+    // Telefono ed email che non è stato possibile normalizzare
+    warnings.push(...contactValidator.validate(record).issues.map((issue) => issue.message));
+    return warnings;
+  }
+
   /**
    * Determina quale foglio usare in base al tipo di dati.
    * @param {Object} workbook - Workbook Excel.
@@ -118,116 +606,31 @@ class ExcelImporter {
   }
 
   /**
-   * Crea un array di intestazioni esplicite per il foglio.
-   * @returns {Array} - Array di intestazioni standardizzate.
-   */
-  createExplicitHeaders() {
-    return [
-      'nome', 'azienda', 'indirizzo', 'civico', 'cap', 'localita',
-      'provincia', 'telefono', 'email', 'note', 'grappa',
-      'extraAltro', 'consegnaSpedizione', 'gls'
-    ];
-  }
-
-  /**
-   * Normalizza i dati di una riga proveniente da Excel.
-   * Converte le chiavi in nomi standard e i valori in formati coerenti.
-   * @param {Object} row - Riga di dati da normalizzare.
+   * Converte una riga del foglio in un record.
+   * Ogni colonna viene copiata nel campo indicato da `mapping` e il valore
+   * convertito in un formato coerente.
+   * @param {Array} row - Valori della riga, nell'ordine delle colonne.
+   * @param {Array<string>} mapping - Campo di destinazione di ogni colonna ('' per ignorarla).
    * @param {string} dataType - Tipo di dati (clienti/partner).
    * @returns {Object} - Dati normalizzati.
    */
-  normalizeRowData(row, dataType) {
+  rowToRecord(row, mapping, dataType) {
     const normalizedRow = {
       tipo: dataType,
       eliminato: false,
       createdAt: Date.now()
     };
-
-    // Mappatura dei nomi di colonna a nomi standard
-    const keyMapping = {
-      nome: ['nome', 'nome persona', 'nominativo', 'nome_persona', 'nome cliente', 'nome e cognome', 'persona', 'referente', 'nome referente', 'cliente'],
-      azienda: ['azienda', 'nome azienda', 'società', 'ragione sociale', 'company', 'ditta', 'società cliente', 'societa', 'nome societa', 'società'],
-      indirizzo: ['indirizzo', 'via', 'strada', 'address', 'via/piazza', 'indirizzo stradale', 'via piazza', 'indirizzo spedizione'],
-      civico: ['civico', 'numero civico', 'n. civico', 'n.civico', 'n°', 'numero', 'numero indirizzo', 'n. civico', 'num', 'num.'],
-      cap: ['cap', 'codice postale', 'postal code', 'zip', 'codice avviamento postale', 'c.a.p.', 'c.a.p'],
-      localita: ['localita', 'località', 'comune', 'città', 'city', 'paese', 'town', 'citta', 'loc', 'loc.'],
-      provincia: ['provincia', 'prov', 'province', 'pr', 'pr.', 'sigla provincia', 'prov.', 'provincia sigla'],
-      telefono: ['telefono', 'tel', 'phone', 'cellulare', 'tel.', 'numero telefono', 'cell', 'numero cellulare', 'tel/cell', 'cell.'],
-      email: ['email', 'e-mail', 'mail', 'posta elettronica', 'indirizzo email', 'e mail', 'posta'],
-      note: ['note', 'annotazioni', 'commenti', 'notes', 'note aggiuntive', 'note cliente', 'commento'],
-      tipologia: ['tipologia', 'tipo partner', 'categoria', 'tipo cliente', 'tipo', 'category', 'gruppo'],
-      grappa: ['grappa', 'regalo grappa', 'omaggio grappa', 'regalo', 'gift', 'presente', 'omaggio', 'dono'],
-      extraAltro: ['extra/altro', 'extra', 'altro regalo', 'altro omaggio', 'extra regalo', 'regalo extra', 'altro', 'altri regali', 'extra/altri'],
-      consegnaSpedizione: ['consegna/spedizione', 'consegna', 'consegna a mano', 'incaricato consegna', 'consegnatario', 'deliverer', 'spedizione', 'incaricato', 'consegna spedizione'],
-      gls: ['gls', 'spedizione gls', 'corriere', 'spedizione', 'shipping', 'courier', 'corriere gls']
-    };
-
-    // Se la riga contiene colonne generiche A, B, C... mappa in base all'ordine tipico dei file importati
-    const hasGenericColumns = Object.keys(row).some(key => /^[A-Z]{1,2}$/.test(key));
-    if (hasGenericColumns) {
-      const columnOrder = ['nome', 'azienda', 'indirizzo', 'civico', 'cap', 'localita', 'provincia', 'telefono', 'email', 'note', 'grappa', 'extraAltro', 'consegnaSpedizione', 'gls'];
-      let colIndex = 0;
-      for (const key of Object.keys(row).sort()) {
-        if (/^[A-Z]{1,2}$/.test(key) && colIndex < columnOrder.length) {
-          const value = row[key];
-          if (value !== undefined && value !== null && value !== '') {
-            normalizedRow[columnOrder[colIndex]] = this.normalizeValue(columnOrder[colIndex], value);
-          }
-          colIndex++;
-        }
-      }
-      // Se non è presente la colonna civico ma l'indirizzo contiene un numero civico
-      if (normalizedRow.indirizzo && (!normalizedRow.civico || normalizedRow.civico === '')) {
-        const raw = normalizedRow.indirizzo.toString().trim();
-        // Cerca un numero civico alla fine dell'indirizzo, separato da spazio o virgola
-        const match = raw.match(/^(.*?)[,\s]+(\d[^,]*)$/);
-        if (match) {
-          normalizedRow.indirizzo = match[1].trim();
-          normalizedRow.civico = match[2].trim();
-        }
+    mapping.forEach((field, index) => {
+      const value = row[index];
+      if (!field || RESERVED_FIELDS.includes(field) || value === '' || value === null || value === undefined) {
+        return;
       }
-      return normalizedRow;
-    }
-
-    // Analizza ogni campo della riga e mappa il nome se possibile
-    for (const originalKey in row) {
-      if (Object.prototype.hasOwnProperty.call(row, originalKey)) {
-        const value = row[originalKey];
-        if (value === '' || value === null || value === undefined) {
-          continue;
-        }
-        // Normalizza la chiave rimuovendo caratteri speciali e spazi multipli
-        const normalizedKey = String(originalKey).toLowerCase()
-          .trim()
-          .replace(/[\/\-_.]/g, ' ')
-          .replace(/\s+/g, ' ');
-        let mappedKey = null;
-        // Cerca corrispondenza esatta
-        for (const key in keyMapping) {
-          if (keyMapping[key].includes(normalizedKey)) {
-            mappedKey = key;
-            break;
-          }
-        }
-        // Se non c'è corrispondenza esatta, cerca corrispondenze parziali
-        if (!mappedKey) {
-          for (const key in keyMapping) {
-            for (const possibleKey of keyMapping[key]) {
-              if (normalizedKey.includes(possibleKey) || possibleKey.includes(normalizedKey)) {
-                mappedKey = key;
-                break;
-              }
-            }
-            if (mappedKey) break;
-          }
-        }
-        const finalKey = mappedKey || normalizedKey.replace(/\s+/g, '_');
-        normalizedRow[finalKey] = this.normalizeValue(finalKey, value);
-      }
-    }
+      normalizedRow[field] = this.normalizeValue(field, value);
+    });
     // Se non è stato specificato il civico ma l'indirizzo contiene un numero civico
     if (normalizedRow.indirizzo && (!normalizedRow.civico || normalizedRow.civico === '')) {
       const raw = normalizedRow.indirizzo.toString().trim();
+      // Cerca un numero civico alla fine dell'indirizzo, separato da spazio o virgola
       const match = raw.match(/^(.*?)[,\s]+(\d[^,]*)$/);
       if (match) {
         normalizedRow.indirizzo = match[1].trim();
@@ -239,21 +642,37 @@ class ExcelImporter {
 
   /**
    * Normalizza un valore in base al tipo di campo.
-   * Alcuni campi (grappa, gls) sono trattati come booleani; le date
-   * vengono convertite in stringa ISO.
+   * I flag dei regali e della spedizione (grappa, extraAltro, gls) sono
+   * convertiti in booleani veri; le date vengono convertite in stringa ISO.
    * @param {string} fieldName - Nome del campo standardizzato.
    * @param {*} value - Valore da normalizzare.
    * @returns {*} - Valore normalizzato.
    */
   normalizeValue(fieldName, value) {
-    // Campi booleani: "1" se vero, stringa vuota altrimenti
-    if (fieldName === 'grappa' || fieldName === 'gls') {
-      return this.normalizeBoolean(value) ? '1' : '';
+    // Campi booleani
+    if (fieldName === 'grappa' || fieldName === 'extraAltro' || fieldName === 'gls') {
+      return this.normalizeBoolean(value);
     }
     // Date convertite in ISO string
     if (value instanceof Date) {
       return value.toISOString();
     }
+    // CAP letti come numero da Excel, che perde gli zeri iniziali (09013 -> 9013)
+    if (fieldName === 'cap' && typeof value === 'number' && value < 10000) {
+      return String(value).padStart(5, '0');
+    }
+    // Provincia riportata alla sigla (Milano, mi, (MI) -> MI)
+    if (fieldName === 'provincia') {
+      return addressValidator.normalizeProvincia(value) || String(value).trim();
+    }
+    // Telefono in forma E.164 ed email in minuscolo; i valori non validi
+    // restano come sono e vengono segnalati da rowWarnings
+    if (fieldName === 'telefono') {
+      return contactValidator.normalizePhone(value) || String(value).trim();
+    }
+    if (fieldName === 'email') {
+      return contactValidator.normalizeEmail(value) || String(value).trim();
+    }
     // Tutti gli altri campi convertiti in stringa trimmed
     return String(value).trim();
   }
@@ -296,9 +715,7 @@ class ExcelImporter {
   exportGLS(data) {
     try {
       // Filtra solo i record con GLS impostato
-      const glsRecords = data.filter(record =>
-        record.gls && (record.gls === '1' || record.gls === 1 || record.gls === true)
-      );
+      const glsRecords = data.filter(record => record.gls === true);
       if (glsRecords.length === 0) {
         throw new Error('Nessun record da esportare per GLS');
       }
@@ -347,6 +764,86 @@ class ExcelImporter {
       throw error;
     }
   }
+
+  /**
+   * Esporta il report di un'importazione in un file Excel: un foglio con
+   * l'esito di ogni riga del file (importata, aggiornata, scartata o con
+   * avvisi) e il motivo, da restituire a chi ha inviato il file, e un
+   * foglio di riepilogo.
+   * @param {Object} batch - Importazione registrata (vedi dataManager.listImportBatches).
+   * @returns {Buffer} - File Excel in memoria.
+   */
+  exportImportReport(batch) {
+    const report = batch.report || [];
+    // Le importazioni di più fogli riportano anche foglio e tipo di ogni riga
+    const sheets = batch.sheets || [];
+    const rows = report.map(entry => ({
+      ...(sheets.length > 0 ? { 'FOGLIO': entry.sheetName, 'TIPO': entry.dataType } : {}),
+      'RIGA': entry.row,
+      'ESITO': REPORT_STATUS_LABELS[entry.status] || entry.status,
+      'NOME': entry.nome || '',
+      'AZIENDA': entry.azienda || '',
+      'MOTIVO': entry.reason || ''
+    }));
+    const header = ['RIGA', 'ESITO', 'NOME', 'AZIENDA', 'MOTIVO'];
+    const cols = [{ wch: 6 }, { wch: 12 }, { wch: 25 }, { wch: 30 }, { wch: 80 }];
+    const worksheet = XLSX.utils.json_to_sheet(rows, {
+      header: sheets.length > 0 ? ['FOGLIO', 'TIPO', ...header] : header
+    });
+    worksheet['!cols'] = sheets.length > 0 ? [{ wch: 20 }, { wch: 10 }, ...cols] : cols;
+    const count = (status, entries = report) => entries.filter(entry => entry.status === status).length;
+    const summary = [
+      ['File', batch.sheetName ? `${batch.fileName} (${batch.sheetName})` : batch.fileName],
+      ['Tipo', (batch.dataTypes || [batch.dataType]).join(', ')],
+      ['Data', new Date(batch.importedAt).toLocaleString('it-IT')],
+      ...Object.keys(REPORT_SUMMARY_LABELS).map(status => [REPORT_SUMMARY_LABELS[status], count(status)]),
+      ...sheets.map(({ sheetName, dataType }) => {
+        const entries = report.filter(entry => entry.sheetName === sheetName);
+        const counts = Object.keys(REPORT_SUMMARY_LABELS)
+          .map(status => `${REPORT_SUMMARY_LABELS[status].toLowerCase()} ${count(status, entries)}`)
+          .join(', ');
+        return [`Foglio ${sheetName}`, `${dataType}: ${counts}`];
+      })
+    ];
+    if (batch.hasHeaders === false) {
+      summary.push(['Nota', 'Il file non aveva una riga di intestazione: le colonne sono state assegnate in base alla loro posizione. Verificare che i dati siano finiti nei campi giusti.']);
+    }
+    const summarySheet = XLSX.utils.aoa_to_sheet(summary);
+    summarySheet['!cols'] = [{ wch: 18 }, { wch: 80 }];
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Righe');
+    XLSX.utils.book_append_sheet(workbook, summarySheet, 'Riepilogo');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+
+  /**
+   * Esporta le voci del registro attività in un file Excel.
+   * @param {Array} entries - Voci del registro (vedi auditLog.load).
+   * @returns {Buffer} - File Excel in memoria.
+   */
+  exportAudit(entries) {
+    const formatValue = (value) => (value === null || value === undefined ? '' : String(value));
+    const rows = entries.map(entry => ({
+      'DATA': new Date(entry.timestamp).toLocaleString('it-IT'),
+      'UTENTE': entry.utente || '',
+      'TIPO': entry.dataType,
+      'ID RECORD': formatValue(entry.recordId),
+      'RECORD': entry.recordLabel || '',
+      'AZIONE': entry.azione || '',
+      'CAMPO': entry.field || '',
+      'VALORE PRECEDENTE': formatValue(entry.oldValue),
+      'NUOVO VALORE': formatValue(entry.newValue),
+      'ORIGINE': entry.origin
+    }));
+    const workbook = XLSX.utils.book_new();
+    const worksheet = XLSX.utils.json_to_sheet(rows);
+    worksheet['!cols'] = [
+      { wch: 20 }, { wch: 15 }, { wch: 10 }, { wch: 15 }, { wch: 30 },
+      { wch: 12 }, { wch: 20 }, { wch: 30 }, { wch: 30 }, { wch: 10 }
+    ];
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Attività');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
 }
 
 module.exports = new ExcelImporter();
\ No newline at end of file
@@ -0,0 +1,101 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Esegue nel worker di importazione (importWorker.js) la lettura dei file
+ * e il calcolo dell'esito previsto, così che un file di decine di
+ * migliaia di righe non blocchi l'applicazione.  Il worker viene creato
+ * alla prima richiesta e resta attivo, con l'ultimo file letto in
+ * memoria, finché l'importazione non finisce o viene interrotta.
+ */
+class ImportRunner {
+  constructor() {
+    this.worker = null;
+    // Richieste in corso: id -> { resolve, reject, onProgress }
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Worker attivo, creato se necessario.
+   * @returns {Worker}
+   */
+  getWorker() {
+    if (this.worker) return this.worker;
+    const worker = new Worker(path.join(__dirname, 'importWorker.js'));
+    worker.on('message', (message) => this.handleMessage(message));
+    worker.on('error', (error) => this.failAll(error));
+    worker.on('exit', () => {
+      if (this.worker !== worker) return;
+      this.worker = null;
+      this.failAll(new Error('Il processo di importazione si è chiuso inaspettatamente'));
+    });
+    this.worker = worker;
+    return worker;
+  }
+
+  /**
+   * Esegue un'operazione nel worker.
+   * @param {string} task - Operazione (vedi TASKS in importWorker.js).
+   * @param {Object} args - Argomenti dell'operazione.
+   * @param {Function} [onProgress] - Riceve l'avanzamento ({ phase, done, total }).
+   * @returns {Promise<*>} - Risultato dell'operazione; se viene interrotta
+   *   con cancel l'errore ha `canceled: true`.
+   */
+  run(task, args, onProgress = () => {}) {
+    const worker = this.getWorker();
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, task, args });
+    });
+  }
+
+  handleMessage({ id, type, progress, result, message }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+    if (type === 'progress') {
+      request.onProgress(progress);
+      return;
+    }
+    this.pending.delete(id);
+    if (type === 'result') {
+      request.resolve(result);
+    } else {
+      request.reject(new Error(message));
+    }
+  }
+
+  failAll(error) {
+    for (const request of this.pending.values()) {
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Interrompe le operazioni in corso chiudendo il worker.
+   * @returns {boolean} - true se c'era un worker attivo.
+   */
+  cancel() {
+    if (!this.worker) return false;
+    const error = new Error('Importazione interrotta');
+    error.canceled = true;
+    this.failAll(error);
+    return this.release();
+  }
+
+  /**
+   * Chiude il worker, liberando la memoria del file letto.
+   * @returns {boolean} - true se c'era un worker attivo.
+   */
+  release() {
+    const { worker } = this;
+    if (!worker) return false;
+    this.worker = null;
+    worker.terminate();
+    return true;
+  }
+}
+
+module.exports = new ImportRunner();
@@ -0,0 +1,39 @@
+const { parentPort } = require('worker_threads');
+const excelImporter = require('./excelimporter');
+const dataManager = require('./dataManager');
+
+// Operazioni dell'importazione eseguite nel worker: lettura del file e
+// calcolo dell'esito previsto, senza salvare.  Il worker non accede alla
+// cartella dati: i record attuali e il dizionario delle intestazioni gli
+// vengono passati dal processo principale, che esegue anche il
+// salvataggio sotto il blocco della cartella dati e lo registra nel
+// registro attività.
+const TASKS = {
+  listSheets: ({ filePath, dataType }) =>
+    excelImporter.listSheets(filePath, dataType),
+
+  previewSheet: ({ filePath, sheetName, hasHeaders, dictionary }) =>
+    excelImporter.previewSheet(filePath, sheetName, hasHeaders, dictionary),
+
+  importFile: ({ filePath, dataType, options, dictionary }, onProgress) =>
+    excelImporter.importFile(filePath, dataType, { ...options, dictionary, onProgress }),
+
+  planImport: ({ dataType, rows, current, options }, onProgress) =>
+    dataManager.importRecords(dataType, rows, null, { ...options, current, dryRun: true, onProgress }),
+
+  planWorkbook: ({ sheets, current, mergeOptions }, onProgress) =>
+    dataManager.importWorkbook(sheets, null, { current, dryRun: true, mergeOptions, onProgress }),
+};
+
+// Ogni richiesta ({ id, task, args }) riceve i messaggi di avanzamento e
+// infine il risultato o l'errore, con lo stesso id.
+parentPort.on('message', async ({ id, task, args }) => {
+  const onProgress = (progress) => parentPort.postMessage({ id, type: 'progress', progress });
+  try {
+    if (!TASKS[task]) throw new Error(`Operazione di importazione sconosciuta: ${task}`);
+    const result = await TASKS[task](args, onProgress);
+    parentPort.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    parentPort.postMessage({ id, type: 'error', message: error.message });
+  }
+});
@@ -8,17 +8,125 @@ const { contextBridge, ipcRenderer } = require('electron');
 // console.log si riduce il rumore in console e si rende l'applicazione più
 // leggera.
 contextBridge.exposeInMainWorld('api', {
-  // Carica dati per il tipo specificato (clienti, partner, eliminati)
-  loadData: (dataType, includeEliminati = false) =>
-    ipcRenderer.invoke('load-data', dataType, includeEliminati),
+  // Carica dati per il tipo specificato (clienti, partner, eliminati).
+  // Indicando un anno passato si ottengono i dati archiviati della campagna.
+  loadData: (dataType, includeEliminati = false, anno = null) =>
+    ipcRenderer.invoke('load-data', dataType, includeEliminati, anno),
 
-  // Salva i dati per il tipo specificato
-  saveData: (dataType, data) =>
-    ipcRenderer.invoke('save-data', { dataType, data }),
+  // Crea un nuovo record; il main process restituisce il record salvato
+  createRecord: (dataType, record) =>
+    ipcRenderer.invoke('create-record', { dataType, record }),
 
-  // Importa dati da un file Excel selezionato dall'utente
-  importExcel: (dataType) =>
-    ipcRenderer.invoke('import-excel', { dataType }),
+  // Modifica i campi di un record. Se il record è stato modificato nel
+  // frattempo la risposta ha conflict: true e contiene il record attuale.
+  updateRecord: (dataType, id, patch, version) =>
+    ipcRenderer.invoke('update-record', { dataType, id, patch, version }),
+
+  // Modifica più record in un'unica operazione ([{ id, patch, version }])
+  updateRecords: (dataType, updates, origin = 'bulk') =>
+    ipcRenderer.invoke('update-records', { dataType, updates, origin }),
+
+  // Elimina (soft delete) un record controllandone la versione
+  deleteRecord: (dataType, id, version) =>
+    ipcRenderer.invoke('delete-record', { dataType, id, version }),
+
+  // Importazione guidata da Excel: scelta del file (restituisce i fogli),
+  // anteprima delle colonne di un foglio, esito previsto con la
+  // corrispondenza tra colonne e campi confermata dall'utente (nuovi,
+  // aggiornati e scartati, senza salvare) e importazione delle righe scelte
+  chooseImportFile: (dataType) =>
+    ipcRenderer.invoke('choose-import-file', { dataType }),
+
+  previewImport: (sheetName, hasHeaders) =>
+    ipcRenderer.invoke('preview-import', { sheetName, hasHeaders }),
+
+  // Con previousYear copia solo regalo, consegna e GLS dal file o dalla
+  // campagna archiviata `anno`; `links` collega righe a record ({ riga: id }).
+  // mergeOptions sceglie come riconoscere e aggiornare i record esistenti
+  // ({ strategy, matchKey, codeField, fields })
+  planImport: (dataType, { sheetName, hasHeaders, mapping, previousYear, anno, links, mergeOptions }) =>
+    ipcRenderer.invoke('plan-import', {
+      dataType, sheetName, hasHeaders, mapping, previousYear, anno, links, mergeOptions,
+    }),
+
+  importExcel: (dataType, rows) =>
+    ipcRenderer.invoke('import-excel', { dataType, rows }),
+
+  // Importazione di tutti i fogli del file in un solo passaggio, ognuno
+  // nei clienti o nei partner ([{ sheetName, dataType }])
+  planWorkbookImport: (sheets, mergeOptions) =>
+    ipcRenderer.invoke('plan-workbook-import', { sheets, mergeOptions }),
+
+  importWorkbook: () =>
+    ipcRenderer.invoke('import-workbook'),
+
+  // Avanzamento della lettura del file e del confronto con i record
+  // ({ phase: 'open' | 'read' | 'match', done, total }). Restituisce la
+  // funzione per annullare l'ascolto.
+  onImportProgress: (callback) => {
+    const listener = (event, progress) => callback(progress);
+    ipcRenderer.on('import-progress', listener);
+    return () => ipcRenderer.removeListener('import-progress', listener);
+  },
+
+  // Interrompe la lettura o l'anteprima in corso, che risponde con canceled: true
+  cancelImport: () =>
+    ipcRenderer.invoke('cancel-import'),
+
+  // Storico delle importazioni
+  listImports: () =>
+    ipcRenderer.invoke('list-imports'),
+
+  // Salva in Excel il report riga per riga di un'importazione
+  exportImportReport: (batchId) =>
+    ipcRenderer.invoke('export-import-report', { batchId }),
+
+  // Annulla un'importazione. Se i record sono stati modificati nel
+  // frattempo la risposta ha conflict: true, salvo force
+  rollbackImport: (batchId, force = false) =>
+    ipcRenderer.invoke('rollback-import', { batchId, force }),
+
+  // Corrispondenze tra colonne e campi salvate per riutilizzarle
+  loadImportMappings: () =>
+    ipcRenderer.invoke('load-import-mappings'),
+
+  saveImportMapping: (mapping) =>
+    ipcRenderer.invoke('save-import-mapping', mapping),
+
+  deleteImportMapping: (name) =>
+    ipcRenderer.invoke('delete-import-mapping', { name }),
+
+  // Dizionario delle intestazioni dell'importazione (sinonimi per campo e
+  // ordine delle colonne senza intestazione), salvato nelle impostazioni
+  getDefaultImportDictionary: () =>
+    ipcRenderer.invoke('get-default-import-dictionary'),
+
+  saveImportDictionary: (dictionary) =>
+    ipcRenderer.invoke('save-import-dictionary', { dictionary }),
+
+  // Prova una riga di intestazione con il dizionario indicato (quello
+  // salvato se assente) e restituisce il campo proposto per ogni colonna
+  testImportHeaders: (headers, dictionary = null) =>
+    ipcRenderer.invoke('test-import-headers', { headers, dictionary }),
+
+  // Controlla CAP, provincia e località dei record e propone le correzioni
+  validateAddresses: (records) =>
+    ipcRenderer.invoke('validate-addresses', { records }),
+
+  // Controlla telefono ed email dei record e ne dà la forma normalizzata
+  validateContacts: (records) =>
+    ipcRenderer.invoke('validate-contacts', { records }),
+
+  // Possibili doppioni tra clienti e partner e loro unione
+  findDuplicates: (minScore) =>
+    ipcRenderer.invoke('find-duplicates', { minScore }),
+
+  mergeRecords: (keep, remove, fields) =>
+    ipcRenderer.invoke('merge-records', { keep, remove, fields }),
+
+  // Esporta i record indicati in un file vCard
+  exportVCard: (dataType, ids, anno = null) =>
+    ipcRenderer.invoke('export-vcard', { dataType, ids, anno }),
 
   // Esporta i dati in un formato Excel per le spedizioni GLS
   exportGLS: () =>
@@ -32,15 +140,72 @@ contextBridge.exposeInMainWorld('api', {
   saveSettings: (settings) =>
     ipcRenderer.invoke('save-settings', settings),
 
-  // Sposta un record negli eliminati (soft delete)
-  moveToEliminati: (dataType, id) =>
-    ipcRenderer.invoke('move-to-eliminati', { dataType, id }),
+  // Cartella dati in uso
+  getDataFolder: () =>
+    ipcRenderer.invoke('get-data-folder'),
+
+  // Sceglie una cartella tramite il dialogo di sistema
+  chooseDataFolder: () =>
+    ipcRenderer.invoke('choose-data-folder'),
+
+  // Passa a un'altra cartella dati, spostandovi eventualmente i dati attuali
+  setDataFolder: (folderPath, moveExisting) =>
+    ipcRenderer.invoke('set-data-folder', { folderPath, moveExisting }),
+
+  // Notifica le modifiche ai file dati fatte da un'altra postazione o da
+  // un altro programma ({ dataTypes, host, utente, at }). Restituisce la
+  // funzione per annullare l'ascolto.
+  onDataChanged: (callback) => {
+    const listener = (event, change) => callback(change);
+    ipcRenderer.on('data-changed', listener);
+    return () => ipcRenderer.removeListener('data-changed', listener);
+  },
+
+  // Resoconto delle migrazioni dei dati non ancora mostrato
+  getMigrationReport: () =>
+    ipcRenderer.invoke('get-migration-report'),
+
+  // Segna il resoconto delle migrazioni come mostrato
+  ackMigrationReport: () =>
+    ipcRenderer.invoke('ack-migration-report'),
+
+  // Elenca i backup disponibili per ogni tipo di dati
+  listBackups: () =>
+    ipcRenderer.invoke('list-backups'),
+
+  // Ripristina un backup sovrascrivendo i dati correnti
+  restoreBackup: (dataType, fileName) =>
+    ipcRenderer.invoke('restore-backup', { dataType, fileName }),
+
+  // Verifica la coerenza dei dati e segnala i problemi trovati
+  checkIntegrity: () =>
+    ipcRenderer.invoke('check-integrity'),
+
+  // Ripara i problemi indicati (codici restituiti da checkIntegrity)
+  repairIntegrity: (codes) =>
+    ipcRenderer.invoke('repair-integrity', { codes }),
+
+  // Elenca le campagne archiviate per anno
+  listCampaigns: () =>
+    ipcRenderer.invoke('list-campaigns'),
+
+  // Storico per anno dei regali di un cliente/partner
+  getRecordHistory: (dataType, id) =>
+    ipcRenderer.invoke('get-record-history', { dataType, id }),
+
+  // Archivia la campagna corrente e apre il nuovo anno
+  closeCampaign: (resetAssignments) =>
+    ipcRenderer.invoke('close-campaign', { resetAssignments }),
 
   // Ripristina un record precedentemente eliminato
   restoreFromEliminati: (id) =>
     ipcRenderer.invoke('restore-from-eliminati', { id }),
 
-  // Aggiornamento di gruppo di una proprietà su più record
-  updateBulk: (dataType, ids, propertyName, propertyValue) =>
-    ipcRenderer.invoke('update-bulk', { dataType, ids, propertyName, propertyValue })
+  // Registro attività filtrato (tipo, origine, testo, intervallo di date)
+  loadAudit: (filters) =>
+    ipcRenderer.invoke('load-audit', filters),
+
+  // Esporta in Excel il registro attività filtrato
+  exportAudit: (filters) =>
+    ipcRenderer.invoke('export-audit', filters)
 });
\ No newline at end of file
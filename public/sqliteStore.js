@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+
+// File del database (nella cartella dati) usato quando nelle impostazioni
+// è selezionato l'archivio SQLite.
+const DATABASE_FILE = 'crm-natale.sqlite';
+// Campi dei record copiati in colonne indicizzate per ricerche e ordinamenti.
+const INDEXED_FIELDS = ['nome', 'azienda', 'localita', 'consegnaSpedizione'];
+
+/**
+ * Valore di un campo indicizzato come testo (null se assente).
+ */
+function indexValue(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Parametri dell'istruzione di scrittura di un record (vedi upsertStatement).
+ */
+function recordRow(dataType, record, data = JSON.stringify(record)) {
+  const row = { dataType, id: String(record.id), data };
+  INDEXED_FIELDS.forEach((field) => {
+    row[field] = indexValue(record[field]);
+  });
+  return row;
+}
+
+/**
+ * SqliteStore conserva i record di clienti, partner ed eliminati in un
+ * database SQLite incorporato.  Ogni record è salvato come JSON in una
+ * riga della tabella `records`, identificata da tipo di dati e ID, con i
+ * campi più cercati (nome, azienda, località, consegnatario) copiati in
+ * colonne indicizzate.  Un salvataggio riscrive solo le righe cambiate, all'interno di una
+ * transazione, e i singoli record possono essere letti e scritti senza
+ * passare dagli altri.
+ *
+ * È un motore di persistenza usato da DataManager: le funzioni sono
+ * sincrone (come l'API di better-sqlite3) e segnalano gli errori con
+ * eccezioni, che DataManager converte nel formato {success, error}.
+ */
+class SqliteStore {
+  constructor() {
+    // Connessioni aperte, una per cartella dati
+    this.databases = new Map();
+  }
+
+  /**
+   * Indica se nella cartella dati esiste già un database.
+   */
+  exists(dataFolderPath) {
+    return fs.existsSync(path.join(dataFolderPath, DATABASE_FILE));
+  }
+
+  /**
+   * Apre (o restituisce, se già aperto) il database della cartella dati,
+   * creando tabelle, colonne indicizzate e indici se mancano.
+   */
+  open(dataFolderPath) {
+    const filePath = path.join(dataFolderPath, DATABASE_FILE);
+    if (this.databases.has(filePath)) return this.databases.get(filePath);
+    // Il modulo nativo viene caricato solo quando si usa l'archivio SQLite
+    const Database = require('better-sqlite3');
+    const db = new Database(filePath);
+    // Journal classico: la modalità WAL richiede memoria condivisa e non
+    // funziona su cartelle di rete condivise tra più postazioni
+    db.pragma('journal_mode = DELETE');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        data_type TEXT NOT NULL,
+        id TEXT NOT NULL,
+        ${INDEXED_FIELDS.map((field) => `${field} TEXT`).join(',\n        ')},
+        data TEXT NOT NULL,
+        PRIMARY KEY (data_type, id)
+      );
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `);
+    this.addIndexedColumns(db);
+    db.exec(INDEXED_FIELDS.map(
+      (field) => `CREATE INDEX IF NOT EXISTS idx_records_${field} ON records (data_type, ${field});`
+    ).join('\n'));
+    this.databases.set(filePath, db);
+    return db;
+  }
+
+  /**
+   * Aggiunge le colonne indicizzate mancanti ai database creati senza, e
+   * le riempie con i valori dei record già salvati.
+   */
+  addIndexedColumns(db) {
+    const columns = new Set(db.prepare('PRAGMA table_info(records)').all().map((column) => column.name));
+    const missing = INDEXED_FIELDS.filter((field) => !columns.has(field));
+    if (missing.length === 0) return;
+    db.transaction(() => {
+      missing.forEach((field) => db.exec(`ALTER TABLE records ADD COLUMN ${field} TEXT`));
+      const update = db.prepare(`
+        UPDATE records SET ${missing.map((field) => `${field} = @${field}`).join(', ')}
+        WHERE data_type = @dataType AND id = @id
+      `);
+      const rows = db.prepare('SELECT data_type, data FROM records').all();
+      for (const row of rows) {
+        update.run(recordRow(row.data_type, JSON.parse(row.data), row.data));
+      }
+    })();
+  }
+
+  /**
+   * Legge tutti i record di un tipo nell'ordine di inserimento.
+   * `schemaVersion` è null se il tipo non è mai stato salvato nel database.
+   *
+   * @param {string} dataType Tipo di dati (clienti/partner/eliminati)
+   * @returns {{records: Array, schemaVersion: number|null}}
+   */
+  readRecords(dataType, dataFolderPath) {
+    const db = this.open(dataFolderPath);
+    const rows = db.prepare('SELECT data FROM records WHERE data_type = ? ORDER BY rowid').all(dataType);
+    return {
+      records: rows.map((row) => JSON.parse(row.data)),
+      schemaVersion: this.schemaVersion(dataType, dataFolderPath),
+    };
+  }
+
+  /**
+   * Versione del formato dei record di un tipo salvati nel database (null
+   * se il tipo non è mai stato salvato).
+   */
+  schemaVersion(dataType, dataFolderPath) {
+    const version = this.getMeta(`schemaVersion:${dataType}`, dataFolderPath);
+    return version === null ? null : Number(version);
+  }
+
+  /**
+   * Legge un singolo record per ID (null se non esiste).
+   */
+  readRecord(dataType, id, dataFolderPath) {
+    const row = this.open(dataFolderPath)
+      .prepare('SELECT data FROM records WHERE data_type = ? AND id = ?')
+      .get(dataType, String(id));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Inserisce o sostituisce i record indicati, lasciando invariati gli
+   * altri record del tipo.
+   *
+   * @param {string} dataType Tipo di dati (clienti/partner/eliminati)
+   * @param {Array} records   Record da salvare
+   */
+  upsertRecords(dataType, records, dataFolderPath) {
+    const upsert = this.upsertStatement(dataFolderPath);
+    this.open(dataFolderPath).transaction(() => {
+      for (const record of records) {
+        upsert.run(recordRow(dataType, record));
+      }
+    })();
+  }
+
+  /**
+   * Istruzione che inserisce una riga o ne sostituisce il contenuto se
+   * esiste già una riga con lo stesso tipo e ID.
+   */
+  upsertStatement(dataFolderPath) {
+    return this.open(dataFolderPath).prepare(`
+      INSERT INTO records (data_type, id, ${INDEXED_FIELDS.join(', ')}, data)
+      VALUES (@dataType, @id, ${INDEXED_FIELDS.map((field) => `@${field}`).join(', ')}, @data)
+      ON CONFLICT (data_type, id) DO UPDATE SET
+        ${INDEXED_FIELDS.map((field) => `${field} = excluded.${field}`).join(', ')},
+        data = excluded.data
+    `);
+  }
+
+  /**
+   * Sostituisce i record di un tipo con quelli indicati: le righe non più
+   * presenti vengono eliminate e vengono scritte solo quelle nuove o
+   * modificate.
+   *
+   * @param {string} dataType      Tipo di dati (clienti/partner/eliminati)
+   * @param {Array} records        Record da salvare
+   * @param {number} schemaVersion Versione del formato dei record
+   */
+  writeRecords(dataType, records, schemaVersion, dataFolderPath) {
+    const db = this.open(dataFolderPath);
+    const existing = new Map(
+      db.prepare('SELECT id, data FROM records WHERE data_type = ?').all(dataType).map((row) => [row.id, row.data])
+    );
+    const upsert = this.upsertStatement(dataFolderPath);
+    const remove = db.prepare('DELETE FROM records WHERE data_type = ? AND id = ?');
+    db.transaction(() => {
+      const ids = new Set();
+      for (const record of records) {
+        const id = String(record.id);
+        const data = JSON.stringify(record);
+        ids.add(id);
+        if (existing.get(id) === data) continue;
+        upsert.run(recordRow(dataType, record, data));
+      }
+      for (const id of existing.keys()) {
+        if (!ids.has(id)) remove.run(dataType, id);
+      }
+      this.setMeta(`schemaVersion:${dataType}`, String(schemaVersion), dataFolderPath);
+    })();
+  }
+
+  /**
+   * Legge un valore della tabella `meta` (null se assente).
+   */
+  getMeta(key, dataFolderPath) {
+    const row = this.open(dataFolderPath).prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  /**
+   * Scrive un valore nella tabella `meta`.
+   */
+  setMeta(key, value, dataFolderPath) {
+    this.open(dataFolderPath)
+      .prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+      .run(key, value);
+  }
+
+  /**
+   * Chiude tutte le connessioni aperte (alla chiusura dell'applicazione o
+   * al cambio della cartella dati).
+   */
+  closeAll() {
+    for (const db of this.databases.values()) {
+      db.close();
+    }
+    this.databases.clear();
+  }
+}
+
+module.exports = new SqliteStore();
@@ -0,0 +1,255 @@
+// Intestazioni delle colonne in cui vengono messi i campi dei contatti
+// importati, riconosciute dall'importazione guidata come i campi omonimi.
+const IMPORT_COLUMNS = ['Nome', 'Azienda', 'Indirizzo', 'CAP', 'Località', 'Provincia', 'Telefono', 'Email', 'Note'];
+// Lunghezza massima delle righe scritte, oltre la quale vanno spezzate.
+const MAX_LINE_LENGTH = 75;
+
+/**
+ * Divide un valore sui separatori non preceduti da una barra rovesciata.
+ */
+function splitUnescaped(value, separator) {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Toglie le sequenze di escape di vCard 3.0/4.0 (\n, \, \; \\).
+ */
+function unescapeValue(value) {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Applica le sequenze di escape di vCard 3.0 a un valore da scrivere.
+ */
+function escapeValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+/**
+ * Decodifica un valore QUOTED-PRINTABLE (vCard 2.1, usato da Outlook e da
+ * alcuni telefoni) nel set di caratteri indicato.
+ */
+function decodeQuotedPrintable(value, charset) {
+  const bytes = [];
+  const text = value.replace(/=\r?\n/g, '');
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(text[i], 'utf8'));
+    }
+  }
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(Buffer.from(bytes));
+  } catch (error) {
+    return Buffer.from(bytes).toString('utf8');
+  }
+}
+
+/**
+ * Riunisce le righe spezzate: in vCard 3.0/4.0 una riga che inizia con
+ * uno spazio o una tabulazione continua la precedente, in vCard 2.1 una
+ * riga QUOTED-PRINTABLE che termina con "=" continua nella successiva.
+ */
+function unfoldLines(text) {
+  const lines = [];
+  for (const line of text.split(/\r?\n/)) {
+    const previous = lines[lines.length - 1];
+    if (previous !== undefined && /^[ \t]/.test(line)) {
+      lines[lines.length - 1] = previous + line.slice(1);
+    } else if (previous !== undefined && /QUOTED-PRINTABLE/i.test(previous) && previous.endsWith('=')) {
+      lines[lines.length - 1] = `${previous}\n${line}`;
+    } else {
+      lines.push(line);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Legge una riga di proprietà ("item1.TEL;TYPE=WORK:0123") nel nome, nei
+ * parametri (in minuscolo, con i TYPE raccolti in `types`) e nel valore.
+ */
+function parseProperty(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+  const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+  const params = { types: [] };
+  for (const param of rawParams) {
+    const [key, paramValue] = param.split('=');
+    if (paramValue === undefined) {
+      // vCard 2.1: TEL;WORK;VOICE senza TYPE=
+      params.types.push(key.toLowerCase());
+    } else if (key.toLowerCase() === 'type') {
+      params.types.push(...paramValue.replace(/"/g, '').toLowerCase().split(','));
+    } else {
+      params[key.toLowerCase()] = paramValue.replace(/"/g, '');
+    }
+  }
+  let value = line.slice(colon + 1);
+  if ((params.encoding || '').toUpperCase() === 'QUOTED-PRINTABLE' || params.types.includes('quoted-printable')) {
+    value = decodeQuotedPrintable(value, params.charset);
+  }
+  return { name: rawName.replace(/^.*\./, '').toUpperCase(), params, value };
+}
+
+/**
+ * Sceglie tra più proprietà dello stesso tipo quella preferita, poi
+ * quella di lavoro, altrimenti la prima.
+ */
+function preferred(properties) {
+  return properties.find((prop) => prop.params.types.includes('pref') || prop.params.pref)
+    || properties.find((prop) => prop.params.types.includes('work'))
+    || properties[0];
+}
+
+/**
+ * Spezza una riga troppo lunga in righe di continuazione.
+ */
+function foldLine(line) {
+  if (line.length <= MAX_LINE_LENGTH) return line;
+  const parts = [line.slice(0, MAX_LINE_LENGTH)];
+  for (let i = MAX_LINE_LENGTH; i < line.length; i += MAX_LINE_LENGTH - 1) {
+    parts.push(` ${line.slice(i, i + MAX_LINE_LENGTH - 1)}`);
+  }
+  return parts.join('\r\n');
+}
+
+/**
+ * Lettura e scrittura dei contatti in formato vCard (.vcf), usato dalle
+ * rubriche dei telefoni e da Outlook.  I file possono contenere uno o più
+ * contatti, nelle versioni 2.1, 3.0 e 4.0; i file scritti sono in
+ * versione 3.0.
+ */
+class VCard {
+  /**
+   * Legge i contatti di un file vCard e li converte nei campi dei record:
+   * FN (o N) in nome, ORG in azienda, le parti di ADR in indirizzo, CAP,
+   * località e provincia, TEL, EMAIL e NOTE.  Tra più indirizzi, telefoni
+   * o email viene preso quello preferito o di lavoro.
+   * @param {string} text - Contenuto del file.
+   * @returns {Array<Object>} - Un oggetto per contatto con i campi trovati.
+   */
+  parse(text) {
+    const contacts = [];
+    let properties = null;
+    for (const line of unfoldLines(text)) {
+      const trimmed = line.trim();
+      if (/^BEGIN:VCARD$/i.test(trimmed)) {
+        properties = [];
+      } else if (/^END:VCARD$/i.test(trimmed)) {
+        if (properties) contacts.push(this.toContact(properties));
+        properties = null;
+      } else if (properties && trimmed) {
+        const property = parseProperty(trimmed);
+        if (property) properties.push(property);
+      }
+    }
+    return contacts;
+  }
+
+  /**
+   * Converte le proprietà di un contatto nei campi dei record.
+   * @param {Array<Object>} properties - Proprietà lette da parseProperty.
+   * @returns {Object} - Campi del contatto (solo quelli presenti).
+   */
+  toContact(properties) {
+    const byName = (name) => properties.filter((prop) => prop.name === name);
+    const contact = {};
+    const fn = byName('FN')[0];
+    const n = byName('N')[0];
+    if (fn && fn.value.trim()) {
+      contact.nome = unescapeValue(fn.value).trim();
+    } else if (n) {
+      // N: cognome;nome;secondo nome;titolo;suffisso
+      const [family, given, additional] = splitUnescaped(n.value, ';').map(unescapeValue);
+      contact.nome = [given, additional, family].filter(Boolean).join(' ').trim();
+    }
+    const org = byName('ORG')[0];
+    if (org) contact.azienda = unescapeValue(splitUnescaped(org.value, ';')[0]).trim();
+    // Chi ha solo l'azienda in rubrica ha spesso FN uguale all'azienda
+    if (contact.nome && contact.nome === contact.azienda) delete contact.nome;
+    const adr = byName('ADR');
+    if (adr.length > 0) {
+      // ADR: casella postale;indirizzo esteso;via;località;regione;CAP;paese
+      const [, extended, street, locality, region, postalCode] = splitUnescaped(preferred(adr).value, ';')
+        .map((part) => unescapeValue(part).replace(/\r?\n/g, ' ').trim());
+      contact.indirizzo = [street, extended].filter(Boolean).join(' ');
+      contact.localita = locality;
+      contact.provincia = region;
+      contact.cap = postalCode;
+    }
+    const tel = byName('TEL');
+    if (tel.length > 0) contact.telefono = unescapeValue(preferred(tel).value).replace(/^tel:/i, '').trim();
+    const email = byName('EMAIL');
+    if (email.length > 0) contact.email = unescapeValue(preferred(email).value).trim();
+    const note = byName('NOTE')[0];
+    if (note) contact.note = unescapeValue(note.value).trim();
+    return Object.keys(contact).reduce((acc, field) => {
+      if (contact[field]) acc[field] = contact[field];
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Converte i contatti di un file vCard in righe di un foglio, con una
+   * riga di intestazione, da leggere come un file Excel.
+   * @param {string} text - Contenuto del file.
+   * @returns {Array<Array>} - Righe del foglio.
+   */
+  toRows(text) {
+    const fields = ['nome', 'azienda', 'indirizzo', 'cap', 'localita', 'provincia', 'telefono', 'email', 'note'];
+    return [IMPORT_COLUMNS, ...this.parse(text).map((contact) => fields.map((field) => contact[field] || ''))];
+  }
+
+  /**
+   * Scrive i record in formato vCard 3.0, un contatto per record.
+   * @param {Array<Object>} records - Record di clienti o partner.
+   * @returns {string} - Contenuto del file .vcf.
+   */
+  format(records) {
+    const lines = [];
+    for (const record of records) {
+      const nome = String(record.nome || '').trim();
+      const azienda = String(record.azienda || '').trim();
+      const words = nome.split(/\s+/).filter(Boolean);
+      const family = words.length > 1 ? words[words.length - 1] : nome;
+      const given = words.length > 1 ? words.slice(0, -1).join(' ') : '';
+      const street = [record.indirizzo, record.civico].filter(Boolean).join(' ');
+      lines.push('BEGIN:VCARD', 'VERSION:3.0');
+      lines.push(`FN:${escapeValue(nome || azienda)}`);
+      lines.push(`N:${escapeValue(nome ? family : '')};${escapeValue(given)};;;`);
+      if (azienda) lines.push(`ORG:${escapeValue(azienda)}`);
+      if (street || record.localita || record.cap) {
+        const parts = ['', '', street, record.localita, record.provincia, record.cap, ''];
+        lines.push(`ADR;TYPE=WORK:${parts.map((part) => escapeValue(part || '')).join(';')}`);
+      }
+      if (record.telefono) lines.push(`TEL;TYPE=WORK,VOICE:${escapeValue(record.telefono)}`);
+      if (record.email) lines.push(`EMAIL;TYPE=INTERNET:${escapeValue(record.email)}`);
+      if (record.note) lines.push(`NOTE:${escapeValue(record.note)}`);
+      lines.push('END:VCARD');
+    }
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = new VCard();
@@ -7,6 +7,10 @@ import PartnerPage from './pages/PartnerPage';
 import SpedizioniPage from './pages/SpedizioniPage';
 import SettingsPage from './pages/SettingsPage';
 import EliminatiPage from './pages/EliminatiPage';
+import SchedaPage from './pages/SchedaPage';
+import AttivitaPage from './pages/AttivitaPage';
+import ImportazioniPage from './pages/ImportazioniPage';
+import DuplicatiPage from './pages/DuplicatiPage';
 
 /**
  * Componente principale dell'applicazione. Definisce le rotte e
@@ -18,10 +22,15 @@ function App() {
       <Routes>
         <Route path="/" element={<Dashboard />} />
         <Route path="/clienti" element={<ClientiPage />} />
+        <Route path="/clienti/:id" element={<SchedaPage dataType="clienti" />} />
         <Route path="/partner" element={<PartnerPage />} />
+        <Route path="/partner/:id" element={<SchedaPage dataType="partner" />} />
         <Route path="/spedizioni" element={<SpedizioniPage />} />
         <Route path="/settings" element={<SettingsPage />} />
         <Route path="/eliminati" element={<EliminatiPage />} />
+        <Route path="/attivita" element={<AttivitaPage />} />
+        <Route path="/importazioni" element={<ImportazioniPage />} />
+        <Route path="/doppioni" element={<DuplicatiPage />} />
       </Routes>
     </Layout>
   );
@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from 'react';
+import { Alert, Button } from '@mui/material';
+
+// Attesa dopo l'ultima modifica prima di controllare l'indirizzo
+const CHECK_DELAY = 400;
+
+const FIELD_LABELS = {
+  cap: 'CAP',
+  provincia: 'provincia',
+};
+
+/**
+ * Controllo di CAP, provincia e località mostrato nei dialoghi di
+ * modifica di clienti e partner: segnala le incoerenze con l'elenco dei
+ * comuni italiani e propone le correzioni (compresa la provincia scritta
+ * per esteso invece che come sigla), applicate con `onApply(patch)`.
+ */
+const AddressCheck = ({ cap, provincia, localita, onApply }) => {
+  const [check, setCheck] = useState(null);
+
+  useEffect(() => {
+    if (!cap && !provincia && !localita) {
+      setCheck(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const result = await window.api.validateAddresses([{ cap, provincia, localita }]);
+      if (!cancelled) setCheck(result && result.success ? result.data[0] : null);
+    }, CHECK_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [cap, provincia, localita]);
+
+  if (!check) return null;
+  const corrections = Object.entries(check.suggestions);
+  if (check.issues.length === 0 && corrections.length === 0) return null;
+
+  return (
+    <Alert
+      severity={check.issues.length > 0 ? 'warning' : 'info'}
+      sx={{ mt: 2 }}
+      action={
+        corrections.length > 0 && (
+          <Button color="inherit" size="small" onClick={() => onApply(check.suggestions)}>
+            Applica correzione
+          </Button>
+        )
+      }
+    >
+      {check.issues.map((issue) => (
+        <div key={issue.message}>{issue.message}</div>
+      ))}
+      {corrections.length > 0 && (
+        <div>
+          {`Correzione proposta: ${corrections
+            .map(([field, value]) => `${FIELD_LABELS[field]} ${value}`)
+            .join(', ')}`}
+        </div>
+      )}
+    </Alert>
+  );
+};
+
+export default AddressCheck;
@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+
+const FIELD_LABELS = {
+  cap: 'CAP',
+  provincia: 'Provincia',
+};
+
+/**
+ * Controllo di CAP, provincia e località di tutti i record in spedizione:
+ * elenca quelli con incoerenze o con la provincia non scritta come sigla
+ * e applica in un'unica modifica le correzioni proposte selezionate.
+ * Ogni record deve avere `dataType` (clienti/partner).
+ */
+const AddressReviewDialog = ({ open, records, readOnly, onClose, onApplied }) => {
+  const [results, setResults] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    setResults(null);
+    window.api.validateAddresses(records).then((result) => {
+      if (cancelled) return;
+      const checks = result && result.success ? result.data : [];
+      const found = records
+        .map((record, index) => ({ record, ...checks[index] }))
+        .filter((item) => item.issues && (item.issues.length > 0 || Object.keys(item.suggestions).length > 0));
+      setResults(found);
+      setSelected(found.filter((item) => Object.keys(item.suggestions).length > 0).map((item) => item.record));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, records]);
+
+  const toggle = (record) => {
+    setSelected((prev) => (prev.includes(record) ? prev.filter((r) => r !== record) : [...prev, record]));
+  };
+
+  const handleApply = async () => {
+    setSaving(true);
+    const byType = {};
+    for (const item of results) {
+      if (!selected.includes(item.record)) continue;
+      const { dataType, id, version } = item.record;
+      byType[dataType] = byType[dataType] || [];
+      byType[dataType].push({ id, patch: item.suggestions, version });
+    }
+    for (const [dataType, updates] of Object.entries(byType)) {
+      const result = await window.api.updateRecords(dataType, updates, 'address');
+      if (result && result.conflict) {
+        alert(result.error);
+      } else if (!result || !result.success) {
+        alert(`Errore durante il salvataggio: ${result && result.error}`);
+      }
+    }
+    setSaving(false);
+    onApplied();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="lg">
+      <DialogTitle>Verifica indirizzi</DialogTitle>
+      <DialogContent>
+        {!results && <Typography>Controllo in corso...</Typography>}
+        {results && results.length === 0 && (
+          <Alert severity="success">CAP, provincia e località sono coerenti in tutti i record.</Alert>
+        )}
+        {results && results.length > 0 && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox" />
+                <TableCell>Destinatario</TableCell>
+                <TableCell>Indirizzo</TableCell>
+                <TableCell>Problemi</TableCell>
+                <TableCell>Correzione proposta</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {results.map((item) => {
+                const { record } = item;
+                const corrections = Object.entries(item.suggestions);
+                return (
+                  <TableRow key={`${record.dataType}-${record.id}`}>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        checked={selected.includes(record)}
+                        disabled={corrections.length === 0 || readOnly}
+                        onChange={() => toggle(record)}
+                      />
+                    </TableCell>
+                    <TableCell>{[record.azienda, record.nome].filter(Boolean).join(' - ')}</TableCell>
+                    <TableCell>
+                      {[record.cap, record.localita, record.provincia && `(${record.provincia})`]
+                        .filter(Boolean)
+                        .join(' ')}
+                    </TableCell>
+                    <TableCell>
+                      {item.issues.map((issue) => (
+                        <div key={issue.message}>{issue.message}</div>
+                      ))}
+                    </TableCell>
+                    <TableCell>
+                      {corrections.map(([field, value]) => `${FIELD_LABELS[field]} ${value}`).join(', ')}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Chiudi</Button>
+        <Button
+          variant="contained"
+          onClick={handleApply}
+          disabled={readOnly || saving || selected.length === 0}
+        >
+          {`Applica ${selected.length} correzioni`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AddressReviewDialog;
@@ -0,0 +1,34 @@
+import React, { useEffect, useState } from 'react';
+import { Snackbar, Alert } from '@mui/material';
+import { describeChangeAuthor } from '../hooks/useDataChanged';
+
+/**
+ * Avviso mostrato quando i dati vengono modificati fuori da questa
+ * finestra (un'altra postazione sulla cartella condivisa o un altro
+ * programma). Le pagine ricaricano da sole i dati che mostrano; l'avviso
+ * spiega all'utente perché l'elenco è cambiato.
+ */
+const DataChangedNotice = () => {
+  const [change, setChange] = useState(null);
+
+  useEffect(() => window.api.onDataChanged((changed) => setChange(changed)), []);
+
+  return (
+    <Snackbar
+      open={Boolean(change)}
+      autoHideDuration={6000}
+      onClose={() => setChange(null)}
+      anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+    >
+      {change ? (
+        <Alert severity="info" variant="filled" onClose={() => setChange(null)}>
+          {`Dati aggiornati da ${describeChangeAuthor(change)} alle ${new Date(change.at).toLocaleTimeString()}`}
+        </Alert>
+      ) : (
+        <span />
+      )}
+    </Snackbar>
+  );
+};
+
+export default DataChangedNotice;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Alert } from '@mui/material';
+import { describeChangeAuthor } from '../hooks/useDataChanged';
+
+/**
+ * Avviso mostrato nei dialoghi di modifica quando i dati sono stati
+ * cambiati fuori da questa finestra mentre l'utente li stava modificando.
+ * Le modifiche non salvate restano nel modulo; al salvataggio un
+ * eventuale conflitto sul record viene segnalato.
+ */
+const ExternalChangeAlert = ({ change }) => {
+  if (!change) return null;
+  return (
+    <Alert severity="warning" sx={{ mb: 2 }}>
+      {`I dati sono stati modificati da ${describeChangeAuthor(change)} mentre li stavi modificando. `}
+      Le tue modifiche non sono ancora salvate: al salvataggio verrà segnalato se
+      qualcuno ha cambiato gli stessi record.
+    </Alert>
+  );
+};
+
+export default ExternalChangeAlert;
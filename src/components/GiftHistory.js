@@ -0,0 +1,75 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Chip
+} from '@mui/material';
+
+/**
+ * Storico dei regali di un cliente o partner, anno per anno.
+ *
+ * Per ogni campagna (archiviata o corrente) mostra il regalo ricevuto,
+ * chi lo ha consegnato oppure se è stato spedito tramite GLS. I dati
+ * sono forniti da `window.api.getRecordHistory`; gli anni che provengono
+ * da un doppione unito a questo record sono indicati accanto all'anno.
+ */
+const GiftHistory = ({ dataType, id, giftNames = ['Grappa', 'Extra/Altro', 'Nessuno'] }) => {
+  const [timeline, setTimeline] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      const result = await window.api.getRecordHistory(dataType, id);
+      setTimeline(result && result.success ? result.data.timeline : []);
+      setLoading(false);
+    };
+    load();
+  }, [dataType, id]);
+
+  if (loading) {
+    return <Typography variant="body2">Caricamento storico...</Typography>;
+  }
+  if (timeline.length === 0) {
+    return <Typography variant="body2">Nessuno storico disponibile</Typography>;
+  }
+  return (
+    <Box>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Anno</TableCell>
+            <TableCell>Regalo</TableCell>
+            <TableCell>Consegna</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {timeline.map((entry) => (
+            <TableRow key={`${entry.anno}-${entry.unitoDa || ''}`}>
+              <TableCell>
+                {entry.anno}
+                {!entry.archiviata && (
+                  <Chip label="in corso" size="small" color="secondary" sx={{ ml: 1 }} />
+                )}
+                {entry.unitoDa !== undefined && (
+                  <Chip label={`da ${entry.unitoDa || 'record unito'}`} size="small" variant="outlined" sx={{ ml: 1 }} />
+                )}
+              </TableCell>
+              <TableCell>
+                {entry.grappa ? giftNames[0] : entry.extraAltro ? giftNames[1] : giftNames[2]}
+              </TableCell>
+              <TableCell>{entry.gls ? 'GLS' : entry.consegnaSpedizione || '—'}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+export default GiftHistory;
@@ -1,14 +1,18 @@
 import React from 'react';
-import { AppBar, Toolbar, Typography, IconButton, Box } from '@mui/material';
+import { AppBar, Toolbar, Typography, IconButton, Box, Select, MenuItem, Chip } from '@mui/material';
 import MenuIcon from '@mui/icons-material/Menu';
 import HelpOutlineIcon from '@mui/icons-material/HelpOutline';
+import LockIcon from '@mui/icons-material/Lock';
+import { useCampaign } from '../context/CampaignContext';
 
 /**
  * Barra superiore dell'applicazione. Contiene il pulsante per aprire
  * la sidebar e il titolo dell'app. I log sono stati rimossi per
- * mantenere la leggerezza del componente.
+ * mantenere la leggerezza del componente. Il selettore dell'anno
+ * permette di consultare le campagne archiviate in sola lettura.
  */
 const Header = ({ sidebarOpen, toggleSidebar }) => {
+  const { anni, annoSelezionato, setAnnoSelezionato, readOnly } = useCampaign();
   return (
     <AppBar
       position="fixed"
@@ -31,6 +35,32 @@ const Header = ({ sidebarOpen, toggleSidebar }) => {
         <Typography variant="h6" noWrap component="div" sx={{ flexGrow: 1 }}>
           CRM Natale
         </Typography>
+        {readOnly && (
+          <Chip
+            icon={<LockIcon />}
+            label="Sola lettura"
+            color="secondary"
+            size="small"
+            sx={{ mr: 2 }}
+          />
+        )}
+        {anni.length > 0 && (
+          <Select
+            value={anni.includes(annoSelezionato) ? annoSelezionato : ''}
+            onChange={(e) => setAnnoSelezionato(Number(e.target.value))}
+            size="small"
+            variant="standard"
+            disableUnderline
+            sx={{ color: 'inherit', mr: 2, '& .MuiSvgIcon-root': { color: 'inherit' } }}
+            inputProps={{ 'aria-label': 'anno campagna' }}
+          >
+            {anni.map((anno) => (
+              <MenuItem key={anno} value={anno}>
+                {`Campagna ${anno}`}
+              </MenuItem>
+            ))}
+          </Select>
+        )}
         <Box>
           <IconButton color="inherit" aria-label="help">
             <HelpOutlineIcon />
@@ -0,0 +1,273 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { FIELD_OPTIONS } from './ImportWizard';
+
+const fieldLabel = (field) => {
+  const option = FIELD_OPTIONS.find((item) => item.value === field);
+  return option ? option.label : field;
+};
+
+// Lettera della colonna di indice `index` (0 → A, 26 → AA)
+const columnLetter = (index) =>
+  (index >= 26 ? columnLetter(Math.floor(index / 26) - 1) : '') + String.fromCharCode(65 + (index % 26));
+
+// Divide una riga di intestazione incollata da Excel (tabulazioni) o
+// scritta a mano (punto e virgola o virgola)
+const splitHeaderRow = (text) => {
+  const separator = ['\t', ';'].find((candidate) => text.includes(candidate)) || ',';
+  return text.split(separator).map((header) => header.trim());
+};
+
+const MATCH_LABELS = {
+  exact: { label: 'esatta', color: 'success' },
+  partial: { label: 'da verificare', color: 'warning' },
+};
+
+/**
+ * Modifica del dizionario usato dall'importazione per proporre il campo
+ * di ogni colonna: sinonimi delle intestazioni per ogni campo e ordine
+ * delle colonne nei fogli senza intestazione (colonne A, B, C...).  Una
+ * riga di intestazione di esempio può essere provata con il dizionario
+ * modificato prima di salvarlo.
+ */
+const ImportDictionaryDialog = ({ open, dictionary, onClose, onSaved }) => {
+  const [draft, setDraft] = useState(dictionary);
+  const [newAliases, setNewAliases] = useState({});
+  const [sample, setSample] = useState('');
+  const [test, setTest] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setDraft(dictionary);
+    setNewAliases({});
+    setTest(null);
+  }, [open, dictionary]);
+
+  const updateAliases = (field, aliases) => {
+    setDraft((prev) => ({ ...prev, aliases: { ...prev.aliases, [field]: aliases } }));
+    setTest(null);
+  };
+
+  const handleAddAlias = (field) => {
+    const alias = (newAliases[field] || '').trim().toLowerCase();
+    if (!alias) return;
+    if (!draft.aliases[field].includes(alias)) updateAliases(field, [...draft.aliases[field], alias]);
+    setNewAliases((prev) => ({ ...prev, [field]: '' }));
+  };
+
+  const updateColumnOrder = (columnOrder) => {
+    setDraft((prev) => ({ ...prev, columnOrder }));
+    setTest(null);
+  };
+
+  const handleRestoreDefaults = async () => {
+    const result = await window.api.getDefaultImportDictionary();
+    if (result && result.success) {
+      setDraft(result.data);
+      setTest(null);
+    }
+  };
+
+  const handleTest = async () => {
+    const result = await window.api.testImportHeaders(splitHeaderRow(sample), draft);
+    setTest(result && result.success ? result.data : null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await window.api.saveImportDictionary(draft);
+    setSaving(false);
+    if (!result || !result.success) {
+      alert(`Salvataggio non riuscito: ${(result && result.error) || 'errore sconosciuto'}`);
+      return;
+    }
+    onSaved(result.data);
+  };
+
+  // Sinonimi assegnati a più campi: vale il primo campo dell'elenco
+  const shared = draft
+    ? Object.entries(draft.aliases)
+      .flatMap(([field, aliases]) => aliases.map((alias) => ({ field, alias })))
+      .filter((item, index, all) => all.findIndex((other) => other.alias === item.alias) !== index)
+      .map((item) => item.alias)
+    : [];
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Dizionario per l'importazione</DialogTitle>
+      {draft && (
+        <DialogContent>
+          <Typography variant="subtitle1" gutterBottom>
+            Sinonimi delle intestazioni
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Intestazioni di colonna riconosciute per ogni campo, senza distinzione tra maiuscole e minuscole.
+          </Typography>
+          {shared.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 1 }}>
+              {`Sinonimi usati per più campi (vale il primo campo dell'elenco): ${[...new Set(shared)].join(', ')}`}
+            </Alert>
+          )}
+          <Table size="small" sx={{ mb: 3 }}>
+            <TableBody>
+              {FIELD_OPTIONS.map(({ value: field, label }) => (
+                <TableRow key={field}>
+                  <TableCell sx={{ width: 160, verticalAlign: 'top' }}>{label}</TableCell>
+                  <TableCell>
+                    <Box display="flex" flexWrap="wrap" gap={0.5} mb={1}>
+                      {draft.aliases[field].map((alias) => (
+                        <Chip
+                          key={alias}
+                          label={alias}
+                          size="small"
+                          onDelete={() => updateAliases(field, draft.aliases[field].filter((item) => item !== alias))}
+                        />
+                      ))}
+                    </Box>
+                    <Box display="flex" gap={1}>
+                      <TextField
+                        size="small"
+                        placeholder="Nuovo sinonimo"
+                        value={newAliases[field] || ''}
+                        onChange={(e) => setNewAliases((prev) => ({ ...prev, [field]: e.target.value }))}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') handleAddAlias(field);
+                        }}
+                      />
+                      <Button size="small" onClick={() => handleAddAlias(field)} disabled={!(newAliases[field] || '').trim()}>
+                        Aggiungi
+                      </Button>
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          <Typography variant="subtitle1" gutterBottom>
+            Ordine delle colonne senza intestazione
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Campo proposto per ogni colonna quando la prima riga del foglio non contiene intestazioni.
+          </Typography>
+          <Box display="flex" flexWrap="wrap" gap={1} alignItems="center" mb={3}>
+            {draft.columnOrder.map((field, index) => (
+              <Box key={index} display="flex" alignItems="center">
+                <Typography variant="body2" sx={{ mr: 0.5 }}>{columnLetter(index)}</Typography>
+                <Select
+                  size="small"
+                  value={field}
+                  displayEmpty
+                  onChange={(e) =>
+                    updateColumnOrder(draft.columnOrder.map((item, i) => (i === index ? e.target.value : item)))
+                  }
+                  sx={{ minWidth: 150 }}
+                >
+                  <MenuItem value="">
+                    <em>Ignora</em>
+                  </MenuItem>
+                  {FIELD_OPTIONS.map((option) => (
+                    <MenuItem key={option.value} value={option.value}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+                {index === draft.columnOrder.length - 1 && (
+                  <IconButton size="small" onClick={() => updateColumnOrder(draft.columnOrder.slice(0, -1))}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                )}
+              </Box>
+            ))}
+            <Button size="small" onClick={() => updateColumnOrder([...draft.columnOrder, ''])}>
+              Aggiungi colonna
+            </Button>
+          </Box>
+
+          <Typography variant="subtitle1" gutterBottom>
+            Prova
+          </Typography>
+          <Box display="flex" gap={1} mb={2}>
+            <TextField
+              size="small"
+              fullWidth
+              label="Riga di intestazione di esempio"
+              placeholder="Ragione sociale; Referente; Via; CAP; Città"
+              helperText="Incolla la prima riga del file oppure separa le colonne con punto e virgola o virgola"
+              value={sample}
+              onChange={(e) => setSample(e.target.value)}
+            />
+            <Button variant="outlined" onClick={handleTest} disabled={!sample.trim()} sx={{ alignSelf: 'flex-start' }}>
+              Prova
+            </Button>
+          </Box>
+          {test && (
+            <>
+              <Alert severity={test.hasHeaders ? 'success' : 'info'} sx={{ mb: 1 }}>
+                {test.hasHeaders
+                  ? 'La riga verrebbe riconosciuta come intestazione.'
+                  : 'Nessuna intestazione riconosciuta: le colonne seguirebbero l\'ordine predefinito.'}
+              </Alert>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Colonna</TableCell>
+                    <TableCell>Campo proposto</TableCell>
+                    <TableCell>Corrispondenza</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {test.columns.map((column, index) => (
+                    <TableRow key={index}>
+                      <TableCell>{column.header || `Colonna ${columnLetter(index)}`}</TableCell>
+                      <TableCell>{column.field ? fieldLabel(column.field) : '—'}</TableCell>
+                      <TableCell>
+                        {MATCH_LABELS[column.match] ? (
+                          <Chip size="small" {...MATCH_LABELS[column.match]} />
+                        ) : (
+                          <Chip size="small" label="nessuna" />
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </DialogContent>
+      )}
+      <DialogActions>
+        <Button onClick={handleRestoreDefaults} sx={{ mr: 'auto' }}>
+          Ripristina predefiniti
+        </Button>
+        <Button onClick={onClose}>Annulla</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!draft || saving}>
+          Salva
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportDictionaryDialog;
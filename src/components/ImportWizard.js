@@ -0,0 +1,1039 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Stepper,
+  Step,
+  StepLabel,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  TextField,
+  Chip,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Radio,
+  RadioGroup,
+  Autocomplete,
+  LinearProgress
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+
+const STEPS = ['File e foglio', 'Colonne', 'Anteprima', 'Risultato'];
+
+// Campi dei record che possono ricevere una colonna del file
+export const FIELD_OPTIONS = [
+  { value: 'nome', label: 'Nome' },
+  { value: 'azienda', label: 'Azienda' },
+  { value: 'indirizzo', label: 'Indirizzo' },
+  { value: 'civico', label: 'Civico' },
+  { value: 'cap', label: 'CAP' },
+  { value: 'localita', label: 'Località' },
+  { value: 'provincia', label: 'Provincia' },
+  { value: 'telefono', label: 'Telefono' },
+  { value: 'email', label: 'Email' },
+  { value: 'note', label: 'Note' },
+  { value: 'tipologia', label: 'Tipologia' },
+  { value: 'grappa', label: 'Regalo principale' },
+  { value: 'extraAltro', label: 'Extra/Altro' },
+  { value: 'consegnaSpedizione', label: 'Consegna/Spedizione' },
+  { value: 'gls', label: 'GLS' },
+];
+
+// Destinazioni dei fogli nell'importazione di tutti i fogli insieme
+const DATA_TYPE_LABELS = {
+  clienti: 'Clienti',
+  partner: 'Partner',
+};
+
+// Nome dei separatori riconosciuti nei file CSV/TSV
+const DELIMITER_LABELS = {
+  ';': 'punto e virgola',
+  ',': 'virgola',
+  '\t': 'tabulazione',
+  '|': 'barra verticale',
+};
+
+const fieldLabel = (field) => {
+  const option = FIELD_OPTIONS.find((item) => item.value === field);
+  return option ? option.label : field;
+};
+
+// Modi di unire le righe ai record esistenti (vedi dataManager.mergeImportedRows)
+const STRATEGY_OPTIONS = [
+  { value: 'overwrite', label: 'Sovrascrivi i campi diversi' },
+  { value: 'addOnly', label: 'Aggiungi solo i record nuovi' },
+  { value: 'fillEmpty', label: 'Completa solo i campi vuoti' },
+  { value: 'selectedFields', label: 'Sovrascrivi solo i campi scelti' },
+];
+
+// Chiavi con cui riconoscere i record già presenti
+const MATCH_KEY_OPTIONS = [
+  { value: 'nomeAzienda', label: 'Nome e azienda' },
+  { value: 'email', label: 'Email' },
+  { value: 'telefono', label: 'Telefono' },
+  { value: 'codice', label: 'Codice esterno' },
+];
+
+const DEFAULT_MERGE_OPTIONS = { strategy: 'overwrite', matchKey: 'nomeAzienda', codeField: '', fields: [] };
+
+// Le scelte sono complete: colonna del codice e campi da sovrascrivere indicati
+const mergeOptionsReady = (options) =>
+  (options.matchKey !== 'codice' || Boolean(options.codeField)) &&
+  (options.strategy !== 'selectedFields' || options.fields.length > 0);
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+// Scelte della campagna lette da una riga, per le righe senza corrispondenza
+const describeChoices = (record) =>
+  [
+    ...['grappa', 'extraAltro', 'gls'].filter((field) => record[field] === true).map(fieldLabel),
+    record.consegnaSpedizione,
+  ]
+    .filter(Boolean)
+    .join(', ') || 'Nessuna scelta';
+
+/**
+ * Avvisi di una riga dell'anteprima (valori che sembrano nella colonna
+ * sbagliata), che vengono riportati anche nel report dell'importazione.
+ */
+const RowWarnings = ({ warnings }) => (warnings || []).map((warning) => (
+  <Typography key={warning} variant="body2" color="warning.main">
+    {warning}
+  </Typography>
+));
+
+/**
+ * Elenco di righe dell'anteprima con una casella per includerle o
+ * escluderle dall'importazione (tutte insieme dall'intestazione).
+ */
+const PlanSection = ({ title, entries, selectedRows, onToggle, renderDetail }) => {
+  if (entries.length === 0) return null;
+  const rows = entries.map((entry) => entry.row);
+  const checkedCount = rows.filter((row) => selectedRows.has(row)).length;
+  return (
+    <Box mb={3}>
+      <Typography variant="subtitle1" gutterBottom>{`${title} (${entries.length})`}</Typography>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            {onToggle && (
+              <TableCell padding="checkbox">
+                <Checkbox
+                  checked={checkedCount === rows.length}
+                  indeterminate={checkedCount > 0 && checkedCount < rows.length}
+                  onChange={(e) => onToggle(rows, e.target.checked)}
+                />
+              </TableCell>
+            )}
+            <TableCell>Riga</TableCell>
+            <TableCell>Record</TableCell>
+            <TableCell>Dettaglio</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {entries.map((entry) => (
+            <TableRow key={entry.row}>
+              {onToggle && (
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    checked={selectedRows.has(entry.row)}
+                    onChange={(e) => onToggle([entry.row], e.target.checked)}
+                  />
+                </TableCell>
+              )}
+              <TableCell>{entry.row}</TableCell>
+              <TableCell>{[entry.record.nome, entry.record.azienda].filter(Boolean).join(' - ')}</TableCell>
+              <TableCell>{renderDetail(entry)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+/**
+ * Righe di un'importazione dall'anno precedente che non corrispondono a
+ * nessun record: ognuna può essere collegata a mano a un record attuale,
+ * scelto tra quelli più simili o tra tutti.
+ */
+const UnmatchedSection = ({ entries, records, onLink }) => {
+  if (entries.length === 0) return null;
+  const recordLabel = (record) => [record.azienda, record.nome].filter(Boolean).join(' - ');
+  return (
+    <Box mb={3}>
+      <Typography variant="subtitle1" gutterBottom>{`Senza corrispondenza (${entries.length})`}</Typography>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Riga</TableCell>
+            <TableCell>Record</TableCell>
+            <TableCell>Scelte</TableCell>
+            <TableCell>Collega a</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {entries.map((entry) => {
+            const options = [
+              ...entry.candidates.map((candidate) => ({
+                id: candidate.id,
+                label: `${candidate.label} (${candidate.score}%)`,
+                group: 'Record simili',
+              })),
+              ...records.map((record) => ({ id: record.id, label: recordLabel(record), group: 'Tutti i record' })),
+            ];
+            return (
+              <TableRow key={entry.row}>
+                <TableCell>{entry.row}</TableCell>
+                <TableCell>{[entry.record.nome, entry.record.azienda].filter(Boolean).join(' - ')}</TableCell>
+                <TableCell>{describeChoices(entry.record)}</TableCell>
+                <TableCell sx={{ minWidth: 280 }}>
+                  <Autocomplete
+                    size="small"
+                    options={options}
+                    groupBy={(option) => option.group}
+                    value={null}
+                    onChange={(e, option) => option && onLink(entry.row, option.id)}
+                    renderOption={(props, option) => (
+                      <li {...props} key={`${option.group}-${option.id}`}>
+                        {option.label}
+                      </li>
+                    )}
+                    renderInput={(params) => <TextField {...params} placeholder="Non collegata" />}
+                  />
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+/**
+ * Scelta della chiave con cui riconoscere i record già presenti e del
+ * modo di aggiornarli.  `fields` sono i campi letti dal file; il codice
+ * esterno può essere scelto solo tra i campi indicati in `codeFields`.
+ */
+const MergeOptionsPanel = ({ value, onChange, fields, codeFields = [] }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+  return (
+    <Box display="flex" flexWrap="wrap" gap={2} mt={2}>
+      <FormControl size="small" sx={{ minWidth: 220 }}>
+        <InputLabel id="import-match-key-label">Riconosci i record per</InputLabel>
+        <Select
+          labelId="import-match-key-label"
+          value={value.matchKey}
+          label="Riconosci i record per"
+          onChange={(e) => update({ matchKey: e.target.value })}
+        >
+          {MATCH_KEY_OPTIONS.filter((option) => option.value !== 'codice' || codeFields.length > 0).map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      {value.matchKey === 'codice' && (
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel id="import-code-field-label">Colonna del codice</InputLabel>
+          <Select
+            labelId="import-code-field-label"
+            value={value.codeField}
+            label="Colonna del codice"
+            onChange={(e) => update({ codeField: e.target.value })}
+          >
+            {codeFields.map((field) => (
+              <MenuItem key={field} value={field}>
+                {fieldLabel(field)}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+      <FormControl size="small" sx={{ minWidth: 260 }}>
+        <InputLabel id="import-strategy-label">Record già presenti</InputLabel>
+        <Select
+          labelId="import-strategy-label"
+          value={value.strategy}
+          label="Record già presenti"
+          onChange={(e) => update({ strategy: e.target.value })}
+        >
+          {STRATEGY_OPTIONS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      {value.strategy === 'selectedFields' && (
+        <FormControl size="small" sx={{ minWidth: 260 }}>
+          <InputLabel id="import-fields-label">Campi da sovrascrivere</InputLabel>
+          <Select
+            labelId="import-fields-label"
+            multiple
+            value={value.fields}
+            label="Campi da sovrascrivere"
+            onChange={(e) => update({ fields: e.target.value })}
+            renderValue={(selected) => selected.map(fieldLabel).join(', ')}
+          >
+            {fields.map((field) => (
+              <MenuItem key={field} value={field}>
+                <Checkbox size="small" checked={value.fields.includes(field)} />
+                {fieldLabel(field)}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+    </Box>
+  );
+};
+
+const formatCount = (value) => value.toLocaleString('it-IT');
+
+// Testo mostrato nelle fasi senza un conteggio delle righe
+const PHASE_LABELS = {
+  open: 'Apertura del file...',
+  save: 'Salvataggio in corso...'
+};
+
+/**
+ * Avanzamento della lettura del file e del confronto delle righe con i
+ * record attuali, eseguiti dal main process in un worker.
+ */
+const ImportProgress = ({ progress, onCancel }) => {
+  const current = progress[progress.phase];
+  const percent = current && current.total > 0 ? Math.round((current.done / current.total) * 100) : null;
+  const counts = [
+    progress.read && `Righe lette: ${formatCount(progress.read.done)} di ${formatCount(progress.read.total)}`,
+    progress.match && `Righe confrontate: ${formatCount(progress.match.done)} di ${formatCount(progress.match.total)}`,
+  ].filter(Boolean);
+  return (
+    <Box mb={2}>
+      <LinearProgress
+        variant={percent === null ? 'indeterminate' : 'determinate'}
+        value={percent === null ? undefined : percent}
+      />
+      <Box display="flex" alignItems="center" justifyContent="space-between" mt={1}>
+        <Typography variant="body2" color="text.secondary">
+          {counts.length > 0 ? counts.join(' · ') : PHASE_LABELS[progress.phase]}
+        </Typography>
+        {onCancel && (
+          <Button size="small" color="warning" onClick={onCancel}>
+            Interrompi
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+/**
+ * Importazione guidata da Excel, CSV o vCard. Dopo la scelta del file e del foglio
+ * mostra, per ogni colonna, il campo proposto con alcuni valori di
+ * esempio: le proposte incerte sono evidenziate e ogni corrispondenza può
+ * essere cambiata o ignorata. Le corrispondenze possono essere salvate
+ * con un nome e riapplicate ai file con le stesse intestazioni.
+ * Prima di salvare viene mostrato l'esito previsto (record nuovi,
+ * aggiornati campo per campo e righe scartate con il motivo) e le singole
+ * righe possono essere escluse dall'importazione.
+ *
+ * Un file con più fogli può essere importato in un solo passaggio: ogni
+ * foglio va nei clienti o nei partner secondo il nome o la scelta
+ * dell'utente, con le colonne assegnate automaticamente, e l'intera
+ * importazione si annulla con un'unica operazione.
+ *
+ * Con `previousYear` la procedura parte dalla lista dell'anno precedente,
+ * letta da un file o da una campagna archiviata: copia solo regalo,
+ * consegna e spedizione GLS sui record esistenti e permette di collegare
+ * a mano le righe senza corrispondenza.  Altrimenti l'utente sceglie come
+ * riconoscere i record già presenti (nome e azienda, email, telefono o un
+ * codice esterno) e come aggiornarli.
+ *
+ * Durante la lettura del file e il calcolo dell'esito viene mostrato
+ * l'avanzamento (righe lette e confrontate) e l'operazione può essere
+ * interrotta; il salvataggio finale invece non è interrompibile.
+ */
+const ImportWizard = ({ open, dataType, previousYear = false, onClose, onImported }) => {
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [sheetName, setSheetName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [savedMappings, setSavedMappings] = useState([]);
+  const [mappingName, setMappingName] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [selectedRows, setSelectedRows] = useState(new Set());
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+  // Avanzamento per fase ({ phase, read, match }) e salvataggio in corso
+  const [progress, setProgress] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // Importazione dall'anno precedente: origine ('campagna' o 'file'),
+  // campagne archiviate, anno scelto, record attuali e righe collegate a mano
+  const [source, setSource] = useState('campagna');
+  const [campaigns, setCampaigns] = useState([]);
+  const [anno, setAnno] = useState('');
+  const [records, setRecords] = useState([]);
+  const [links, setLinks] = useState({});
+  // Importazione di tutti i fogli insieme: destinazione di ogni foglio
+  // ('' per non importarlo) ed esito previsto per foglio
+  const [allSheets, setAllSheets] = useState(false);
+  const [routes, setRoutes] = useState({});
+  const [workbookPlan, setWorkbookPlan] = useState(null);
+  // Chiave di riconoscimento e strategia per i record già presenti
+  const [mergeOptions, setMergeOptions] = useState(DEFAULT_MERGE_OPTIONS);
+
+  const loadSavedMappings = async () => {
+    const response = await window.api.loadImportMappings();
+    setSavedMappings(response && response.success ? response.data : []);
+  };
+
+  useEffect(() => {
+    if (!open) return undefined;
+    return window.api.onImportProgress((update) => {
+      setProgress((prev) => ({ ...prev, phase: update.phase, [update.phase]: update }));
+    });
+  }, [open]);
+
+  // Inizio di un'operazione eseguita nel worker, con l'avanzamento azzerato
+  const startWork = () => {
+    setProgress(null);
+    setWorking(true);
+    setError('');
+  };
+
+  const handleCancel = () => {
+    window.api.cancelImport();
+  };
+
+  // Chiudendo la procedura si interrompe l'eventuale lettura in corso
+  const handleClose = () => {
+    if (saving) return;
+    if (working) handleCancel();
+    onClose();
+  };
+
+  useEffect(() => {
+    if (!open) return;
+    setStep(0);
+    setFile(null);
+    setSheetName('');
+    setPreview(null);
+    setMapping([]);
+    setMappingName('');
+    setPlan(null);
+    setResult(null);
+    setError('');
+    setLinks({});
+    setAllSheets(false);
+    setWorkbookPlan(null);
+    setMergeOptions(DEFAULT_MERGE_OPTIONS);
+    loadSavedMappings();
+    if (previousYear) {
+      window.api.listCampaigns().then((response) => {
+        const list = response && response.success ? response.data : [];
+        setCampaigns(list);
+        setSource(list.length > 0 ? 'campagna' : 'file');
+        setAnno(list.length > 0 ? list[0].anno : '');
+      });
+      window.api.loadData(dataType).then((response) => {
+        setRecords(response && response.success ? response.data : []);
+      });
+    }
+  }, [open, previousYear, dataType]);
+
+  // Dalla campagna archiviata non ci sono colonne da assegnare
+  const fromCampaign = previousYear && source === 'campagna';
+
+  const handleChooseFile = async () => {
+    startWork();
+    const response = await window.api.chooseImportFile(dataType);
+    setWorking(false);
+    if (response && response.success) {
+      setFile(response.data);
+      setSheetName(response.data.suggested);
+      setAllSheets(false);
+      setRoutes(
+        response.data.sheets.reduce((acc, name) => ({ ...acc, [name]: response.data.routes[name] || '' }), {})
+      );
+    } else if (response && !response.canceled) {
+      setError(response.error || 'Impossibile leggere il file');
+    }
+  };
+
+  // Legge le colonne del foglio; hasHeaders undefined lascia decidere al main process
+  const loadPreview = async (hasHeaders) => {
+    startWork();
+    const response = await window.api.previewImport(sheetName, hasHeaders);
+    setWorking(false);
+    if (response && response.canceled) return null;
+    if (!response || !response.success) {
+      setError((response && response.error) || 'Impossibile leggere il foglio');
+      return null;
+    }
+    setPreview(response.data);
+    setMapping(response.data.columns.map((column) => column.field || column.customField));
+    return response.data;
+  };
+
+  const handleNext = async () => {
+    if (allSheets) {
+      await handlePlanWorkbook();
+    } else if (fromCampaign) {
+      await handlePlan();
+    } else if (await loadPreview(undefined)) {
+      setStep(1);
+    }
+  };
+
+  const handleApplyMapping = async (name) => {
+    const saved = savedMappings.find((item) => item.name === name);
+    if (!saved) return;
+    let current = preview;
+    if (saved.hasHeaders !== preview.hasHeaders) {
+      current = await loadPreview(saved.hasHeaders);
+      if (!current) return;
+    }
+    setMapping(
+      current.columns.map((column) =>
+        saved.columns[column.key] !== undefined ? saved.columns[column.key] : column.field || column.customField
+      )
+    );
+    setMappingName(saved.name);
+  };
+
+  const handleSaveMapping = async () => {
+    const columns = {};
+    preview.columns.forEach((column, index) => {
+      columns[column.key] = mapping[index];
+    });
+    const response = await window.api.saveImportMapping({
+      name: mappingName,
+      dataType,
+      hasHeaders: preview.hasHeaders,
+      columns,
+    });
+    if (response && response.success) {
+      await loadSavedMappings();
+    } else {
+      alert(`Salvataggio non riuscito: ${(response && response.error) || 'errore sconosciuto'}`);
+    }
+  };
+
+  const handleDeleteMapping = async () => {
+    if (!window.confirm(`Eliminare la mappatura "${mappingName}"?`)) return;
+    await window.api.deleteImportMapping(mappingName);
+    setMappingName('');
+    await loadSavedMappings();
+  };
+
+  // Calcola l'esito dell'importazione senza salvare
+  const handlePlan = async (nextLinks = links) => {
+    startWork();
+    const response = await window.api.planImport(dataType, fromCampaign
+      ? { previousYear, anno, links: nextLinks }
+      : { sheetName, hasHeaders: preview.hasHeaders, mapping, previousYear, links: nextLinks, mergeOptions });
+    setWorking(false);
+    if (response && response.canceled) return;
+    if (!response || !response.success) {
+      setError((response && response.error) || 'Impossibile leggere il foglio');
+      return;
+    }
+    setPlan(response.data);
+    setWorkbookPlan(null);
+    setLinks(nextLinks);
+    setSelectedRows(new Set([...response.data.created, ...response.data.updated].map((entry) => entry.row)));
+    setStep(2);
+  };
+
+  // Calcola l'esito dell'importazione di tutti i fogli senza salvare
+  const handlePlanWorkbook = async () => {
+    startWork();
+    const sheets = file.sheets
+      .filter((name) => routes[name])
+      .map((name) => ({ sheetName: name, dataType: routes[name] }));
+    const response = await window.api.planWorkbookImport(sheets, mergeOptions);
+    setWorking(false);
+    if (response && response.canceled) return;
+    if (!response || !response.success) {
+      setError((response && response.error) || 'Impossibile leggere i fogli');
+      return;
+    }
+    setPlan(null);
+    setWorkbookPlan(response.data.sheets);
+    setStep(2);
+  };
+
+  const handleImportWorkbook = async () => {
+    setWorking(true);
+    setSaving(true);
+    const response = await window.api.importWorkbook();
+    setSaving(false);
+    setWorking(false);
+    setResult(response);
+    setStep(3);
+    if (response && response.success && response.data && response.data[dataType]) {
+      onImported(response.data[dataType]);
+    }
+  };
+
+  // Collega (o scollega, con id null) una riga a un record e ricalcola l'esito
+  const handleLink = (row, id) => {
+    const nextLinks = { ...links };
+    if (id === null) delete nextLinks[row];
+    else nextLinks[row] = id;
+    handlePlan(nextLinks);
+  };
+
+  const handleToggleRows = (rows, checked) => {
+    setSelectedRows((prev) => {
+      const next = new Set(prev);
+      rows.forEach((row) => (checked ? next.add(row) : next.delete(row)));
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    setWorking(true);
+    setSaving(true);
+    const response = await window.api.importExcel(dataType, [...selectedRows]);
+    setSaving(false);
+    setWorking(false);
+    setResult(response);
+    setStep(3);
+    if (response && response.success && response.data) {
+      onImported(response.data);
+    }
+  };
+
+  const handleFieldChange = (index) => (event) => {
+    const value = event.target.value;
+    setMapping((prev) => prev.map((field, i) => (i === index ? value : field)));
+  };
+
+  // Campi scelti per più colonne: vale l'ultima colonna
+  const repeatedFields = mapping.filter((field, index) => field && mapping.indexOf(field) !== index);
+  const mappedFields = [...new Set(mapping.filter(Boolean))];
+  const isSavedName = savedMappings.some((item) => item.name === mappingName);
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="md">
+      <DialogTitle>{previousYear ? 'Importa da anno precedente' : 'Importa da Excel, CSV o vCard'}</DialogTitle>
+      <DialogContent>
+        <Stepper activeStep={step} sx={{ mb: 3 }}>
+          {STEPS.map((label) => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+        {working && !saving && progress && <ImportProgress progress={progress} onCancel={handleCancel} />}
+        {saving && <ImportProgress progress={{ phase: 'save' }} />}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {step === 0 && previousYear && (
+          <Box mb={2}>
+            <DialogContentText sx={{ mb: 1 }}>
+              Regalo, consegna e spedizione GLS dell'anno precedente vengono copiati sui record attuali con lo
+              stesso nome e azienda; le righe senza corrispondenza possono essere collegate a mano.
+            </DialogContentText>
+            <RadioGroup row value={source} onChange={(e) => setSource(e.target.value)}>
+              <FormControlLabel
+                value="campagna"
+                control={<Radio />}
+                label="Campagna archiviata"
+                disabled={campaigns.length === 0}
+              />
+              <FormControlLabel value="file" control={<Radio />} label="File Excel dell'anno precedente" />
+            </RadioGroup>
+            {fromCampaign && (
+              <FormControl size="small" sx={{ mt: 1, minWidth: 200 }}>
+                <InputLabel id="import-anno-label">Campagna</InputLabel>
+                <Select
+                  labelId="import-anno-label"
+                  value={anno}
+                  label="Campagna"
+                  onChange={(e) => setAnno(e.target.value)}
+                >
+                  {campaigns.map((campaign) => (
+                    <MenuItem key={campaign.anno} value={campaign.anno}>
+                      {campaign.anno}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+          </Box>
+        )}
+        {step === 0 && !fromCampaign && (
+          <Box display="flex" flexDirection="column" gap={2}>
+            <Box display="flex" alignItems="center" gap={2}>
+              <Button variant="outlined" startIcon={<UploadFileIcon />} onClick={handleChooseFile}>
+                Scegli file
+              </Button>
+              <Typography>{file ? file.fileName : 'Nessun file selezionato'}</Typography>
+            </Box>
+            {file && file.textFormat && (
+              <Typography variant="body2" color="text.secondary">
+                {`File di testo con separatore ${DELIMITER_LABELS[file.textFormat.delimiter] || `"${file.textFormat.delimiter}"`} e codifica ${file.textFormat.encoding}.`}
+              </Typography>
+            )}
+            {file && file.sheets.length > 1 && !previousYear && (
+              <FormControlLabel
+                control={<Checkbox checked={allSheets} onChange={(e) => setAllSheets(e.target.checked)} />}
+                label="Importa tutti i fogli in un solo passaggio"
+              />
+            )}
+            {file && allSheets && (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Foglio</TableCell>
+                    <TableCell>Importa in</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {file.sheets.map((name) => (
+                    <TableRow key={name}>
+                      <TableCell>{name}</TableCell>
+                      <TableCell>
+                        <Select
+                          size="small"
+                          value={routes[name] || ''}
+                          onChange={(e) => setRoutes((prev) => ({ ...prev, [name]: e.target.value }))}
+                          displayEmpty
+                          sx={{ minWidth: 180 }}
+                        >
+                          <MenuItem value="">
+                            <em>Non importare</em>
+                          </MenuItem>
+                          {Object.keys(DATA_TYPE_LABELS).map((type) => (
+                            <MenuItem key={type} value={type}>
+                              {DATA_TYPE_LABELS[type]}
+                            </MenuItem>
+                          ))}
+                        </Select>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+            {file && allSheets && (
+              <MergeOptionsPanel
+                value={mergeOptions}
+                onChange={setMergeOptions}
+                fields={FIELD_OPTIONS.map((option) => option.value)}
+              />
+            )}
+            {file && !allSheets && (
+              <FormControl size="small" sx={{ maxWidth: 300 }}>
+                <InputLabel id="import-sheet-label">Foglio</InputLabel>
+                <Select
+                  labelId="import-sheet-label"
+                  value={sheetName}
+                  label="Foglio"
+                  onChange={(e) => setSheetName(e.target.value)}
+                >
+                  {file.sheets.map((name) => (
+                    <MenuItem key={name} value={name}>
+                      {name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+          </Box>
+        )}
+        {step === 1 && preview && (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              {`${preview.rowCount} righe nel foglio "${sheetName}". Controlla il campo assegnato a ogni colonna: le proposte da verificare sono evidenziate.`}
+            </DialogContentText>
+            <Box display="flex" alignItems="center" flexWrap="wrap" gap={2} mb={2}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={preview.hasHeaders}
+                    onChange={(e) => loadPreview(e.target.checked)}
+                    disabled={working}
+                  />
+                }
+                label="La prima riga contiene le intestazioni"
+              />
+              <FormControl size="small" sx={{ minWidth: 220 }}>
+                <InputLabel id="import-mapping-label">Mappatura salvata</InputLabel>
+                <Select
+                  labelId="import-mapping-label"
+                  value={isSavedName ? mappingName : ''}
+                  label="Mappatura salvata"
+                  onChange={(e) => handleApplyMapping(e.target.value)}
+                  disabled={savedMappings.length === 0}
+                >
+                  {savedMappings.map((item) => (
+                    <MenuItem key={item.name} value={item.name}>
+                      {item.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+            {repeatedFields.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {`Più colonne sono assegnate allo stesso campo (${[...new Set(repeatedFields)].join(', ')}): verrà usata l'ultima.`}
+              </Alert>
+            )}
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Colonna</TableCell>
+                  <TableCell>Esempi</TableCell>
+                  <TableCell>Campo</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {preview.columns.map((column, index) => (
+                  <TableRow key={column.index}>
+                    <TableCell>
+                      {column.header}
+                      {column.match === 'partial' && mapping[index] === column.field && (
+                        <Chip label="da verificare" size="small" color="warning" sx={{ ml: 1 }} />
+                      )}
+                    </TableCell>
+                    <TableCell sx={{ color: 'text.secondary' }}>{column.samples.join(' · ')}</TableCell>
+                    <TableCell>
+                      <Select size="small" value={mapping[index] || ''} onChange={handleFieldChange(index)} displayEmpty sx={{ minWidth: 200 }}>
+                        <MenuItem value="">
+                          <em>Ignora</em>
+                        </MenuItem>
+                        {FIELD_OPTIONS.map((option) => (
+                          <MenuItem key={option.value} value={option.value}>
+                            {option.label}
+                          </MenuItem>
+                        ))}
+                        {!FIELD_OPTIONS.some((option) => option.value === column.customField) && (
+                          <MenuItem value={column.customField}>{`Campo aggiuntivo "${column.customField}"`}</MenuItem>
+                        )}
+                      </Select>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            {!previousYear && (
+              <MergeOptionsPanel
+                value={mergeOptions}
+                onChange={setMergeOptions}
+                fields={mappedFields}
+                codeFields={mappedFields.filter((field) => !FIELD_OPTIONS.some((option) => option.value === field))}
+              />
+            )}
+            <Box display="flex" alignItems="center" gap={1} mt={2}>
+              <TextField
+                label="Nome mappatura"
+                size="small"
+                value={mappingName}
+                onChange={(e) => setMappingName(e.target.value)}
+              />
+              <Button variant="outlined" onClick={handleSaveMapping} disabled={!mappingName.trim()}>
+                Salva mappatura
+              </Button>
+              {isSavedName && (
+                <Button color="error" onClick={handleDeleteMapping}>
+                  Elimina
+                </Button>
+              )}
+            </Box>
+          </>
+        )}
+        {step === 2 && plan && (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              {previousYear
+                ? `Nessun dato è ancora stato salvato: ${plan.updated.length} record da aggiornare, ${plan.unmatched.length} righe senza corrispondenza e ${plan.skipped.length} righe scartate. Togli la spunta alle righe da non importare.`
+                : `Nessun dato è ancora stato salvato: ${plan.created.length} nuovi record, ${plan.updated.length} record da aggiornare e ${plan.skipped.length} righe scartate. Togli la spunta alle righe da non importare.`}
+            </DialogContentText>
+            <PlanSection
+              title="Nuovi record"
+              entries={plan.created}
+              selectedRows={selectedRows}
+              onToggle={handleToggleRows}
+              renderDetail={(entry) => (
+                <>
+                  {entry.record.localita || ''}
+                  <RowWarnings warnings={entry.warnings} />
+                </>
+              )}
+            />
+            <PlanSection
+              title="Record da aggiornare"
+              entries={plan.updated}
+              selectedRows={selectedRows}
+              onToggle={handleToggleRows}
+              renderDetail={(entry) => (
+                <>
+                  {entry.changes.map((change) => (
+                    <div key={change.field}>
+                      {`${fieldLabel(change.field)}: ${formatValue(change.oldValue)} → ${formatValue(change.newValue)}`}
+                    </div>
+                  ))}
+                  {links[entry.row] && (
+                    <Chip
+                      size="small"
+                      label="Collegata a mano"
+                      onDelete={() => handleLink(entry.row, null)}
+                      sx={{ mt: 0.5 }}
+                    />
+                  )}
+                  <RowWarnings warnings={entry.warnings} />
+                </>
+              )}
+            />
+            <UnmatchedSection entries={plan.unmatched} records={records} onLink={handleLink} />
+            <PlanSection
+              title="Righe scartate"
+              entries={plan.skipped}
+              selectedRows={selectedRows}
+              renderDetail={(entry) => entry.reason}
+            />
+          </>
+        )}
+        {step === 2 && workbookPlan && (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              Nessun dato è ancora stato salvato. Le colonne sono assegnate automaticamente; tutti i fogli
+              vengono importati insieme e l'importazione può essere annullata in un'unica operazione dalla
+              pagina Importazioni.
+            </DialogContentText>
+            {workbookPlan.map((sheet) => (
+              <Box key={sheet.sheetName} mb={3}>
+                <Typography variant="h6">{`${sheet.sheetName} → ${DATA_TYPE_LABELS[sheet.dataType]}`}</Typography>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  {`${sheet.created.length} nuovi record, ${sheet.updated.length} da aggiornare, ${sheet.skipped.length} righe scartate. Colonne: ${sheet.columns
+                    .map((column) => `${column.header} → ${column.field ? fieldLabel(column.field) : 'ignorata'}${column.match === 'partial' ? ' (da verificare)' : ''}`)
+                    .join(', ')}`}
+                </Typography>
+                <PlanSection
+                  title="Nuovi record"
+                  entries={sheet.created}
+                  selectedRows={new Set()}
+                  renderDetail={(entry) => (
+                    <>
+                      {entry.record.localita || ''}
+                      <RowWarnings warnings={entry.warnings} />
+                    </>
+                  )}
+                />
+                <PlanSection
+                  title="Record da aggiornare"
+                  entries={sheet.updated}
+                  selectedRows={new Set()}
+                  renderDetail={(entry) => (
+                    <>
+                      {entry.changes.map((change) => (
+                        <div key={change.field}>
+                          {`${fieldLabel(change.field)}: ${formatValue(change.oldValue)} → ${formatValue(change.newValue)}`}
+                        </div>
+                      ))}
+                      <RowWarnings warnings={entry.warnings} />
+                    </>
+                  )}
+                />
+                <PlanSection
+                  title="Righe scartate"
+                  entries={sheet.skipped}
+                  selectedRows={new Set()}
+                  renderDetail={(entry) => entry.reason}
+                />
+              </Box>
+            ))}
+          </>
+        )}
+        {step === 3 && result && (
+          <Alert
+            severity={result.success ? 'success' : 'error'}
+            action={result.batchId && (
+              <Button color="inherit" size="small" onClick={() => window.api.exportImportReport(result.batchId)}>
+                Scarica report
+              </Button>
+            )}
+          >
+            {result.message || result.error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {step < 3 && <Button onClick={handleClose} disabled={saving}>Annulla</Button>}
+        {step === 0 && (
+          <Button
+            variant="contained"
+            onClick={handleNext}
+            disabled={
+              (fromCampaign ? !anno : !file || !sheetName) ||
+              (allSheets && (!Object.values(routes).some(Boolean) || !mergeOptionsReady(mergeOptions))) ||
+              working
+            }
+          >
+            Avanti
+          </Button>
+        )}
+        {step === 1 && (
+          <>
+            <Button onClick={() => setStep(0)}>Indietro</Button>
+            <Button
+              variant="contained"
+              onClick={() => handlePlan()}
+              disabled={working || !mapping.some(Boolean) || (!previousYear && !mergeOptionsReady(mergeOptions))}
+            >
+              Avanti
+            </Button>
+          </>
+        )}
+        {step === 2 && workbookPlan && (
+          <>
+            <Button onClick={() => setStep(0)}>Indietro</Button>
+            <Button variant="contained" onClick={handleImportWorkbook} disabled={working}>
+              {`Importa ${workbookPlan.length} fogli`}
+            </Button>
+          </>
+        )}
+        {step === 2 && !workbookPlan && (
+          <>
+            <Button onClick={() => setStep(fromCampaign ? 0 : 1)}>Indietro</Button>
+            <Button variant="contained" onClick={handleImport} disabled={working || selectedRows.size === 0}>
+              {`Importa ${selectedRows.size} righe`}
+            </Button>
+          </>
+        )}
+        {step === 3 && (
+          <Button variant="contained" onClick={onClose}>
+            Chiudi
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportWizard;
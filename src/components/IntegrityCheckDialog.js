@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+
+// Numero massimo di record mostrati per ogni problema
+const MAX_RECORDS = 50;
+
+/**
+ * Dialogo "Verifica dati": all'apertura esegue la verifica della
+ * cartella dati e mostra, per ogni classe di problema, il numero di
+ * record interessati, l'elenco dei record e la riparazione proposta.
+ * Le riparazioni possono essere applicate singolarmente o tutte insieme;
+ * prima di ogni riparazione viene creato un backup dei dati.
+ */
+const IntegrityCheckDialog = ({ open, onClose }) => {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    const check = async () => {
+      setReport(null);
+      setError('');
+      const result = await window.api.checkIntegrity();
+      if (result && result.success) {
+        setReport(result.data);
+      } else {
+        setError((result && result.error) || 'Verifica non riuscita');
+      }
+    };
+    check();
+  }, [open]);
+
+  const repair = async (codes) => {
+    setWorking(true);
+    const result = await window.api.repairIntegrity(codes);
+    setWorking(false);
+    if (result && result.success) {
+      setReport(result.data);
+    } else {
+      alert(`Riparazione non riuscita: ${(result && result.error) || 'errore sconosciuto'}`);
+    }
+  };
+
+  const repairable = report ? report.issues.filter((issue) => issue.repair) : [];
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Verifica dati</DialogTitle>
+      <DialogContent>
+        {error && <Typography color="error">{error}</Typography>}
+        {!error && !report && <Typography>Verifica in corso...</Typography>}
+        {report && (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              {`Verificati ${report.totals.clienti} clienti, ${report.totals.partner} partner e ${report.totals.eliminati} eliminati il ${new Date(report.checkedAt).toLocaleString()}.`}
+              {report.issues.length === 0 && ' Nessun problema rilevato.'}
+            </DialogContentText>
+            {report.issues.map((issue) => (
+              <Box key={issue.code} sx={{ mb: 3 }}>
+                <Box display="flex" alignItems="center" gap={1} mb={1}>
+                  <Typography variant="subtitle1">{issue.title}</Typography>
+                  <Chip label={issue.count} size="small" color="warning" />
+                  <Box flexGrow={1} />
+                  {issue.repair && (
+                    <Button size="small" variant="outlined" disabled={working} onClick={() => repair([issue.code])}>
+                      Ripara
+                    </Button>
+                  )}
+                </Box>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                  {issue.repair || 'Non riparabile automaticamente: ripristinare un backup dalle Impostazioni.'}
+                </Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Tipo</TableCell>
+                      <TableCell>ID</TableCell>
+                      <TableCell>Record</TableCell>
+                      <TableCell>Dettaglio</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {issue.records.slice(0, MAX_RECORDS).map((record, index) => (
+                      <TableRow key={`${record.dataType}-${record.id}-${index}`}>
+                        <TableCell>{record.dataType}</TableCell>
+                        <TableCell>{record.id === null ? '' : String(record.id)}</TableCell>
+                        <TableCell>{record.label}</TableCell>
+                        <TableCell>{record.detail}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+                {issue.records.length > MAX_RECORDS && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    {`... e altri ${issue.records.length - MAX_RECORDS} record`}
+                  </Typography>
+                )}
+              </Box>
+            ))}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Chiudi</Button>
+        {repairable.length > 0 && (
+          <Button
+            variant="contained"
+            disabled={working}
+            onClick={() => repair(repairable.map((issue) => issue.code))}
+          >
+            Ripara tutto
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default IntegrityCheckDialog;
@@ -0,0 +1,171 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Radio,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+
+// Campi proposti nell'unione, nell'ordine in cui vengono mostrati
+const FIELD_OPTIONS = [
+  { value: 'nome', label: 'Nome' },
+  { value: 'azienda', label: 'Azienda' },
+  { value: 'indirizzo', label: 'Indirizzo' },
+  { value: 'civico', label: 'Civico' },
+  { value: 'cap', label: 'CAP' },
+  { value: 'localita', label: 'Località' },
+  { value: 'provincia', label: 'Provincia' },
+  { value: 'telefono', label: 'Telefono' },
+  { value: 'email', label: 'Email' },
+  { value: 'note', label: 'Note' },
+  { value: 'tipologia', label: 'Tipologia' },
+  { value: 'grappa', label: 'Regalo principale' },
+  { value: 'extraAltro', label: 'Extra/Altro' },
+  { value: 'consegnaSpedizione', label: 'Consegna/Spedizione' },
+  { value: 'gls', label: 'GLS' },
+];
+
+// Metadati che non vengono scelti campo per campo
+const META_FIELDS = ['id', 'tipo', 'eliminato', 'eliminatoIl', 'createdAt', 'lastUpdate', 'version', 'mergedIds'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const formatValue = (value) => {
+  if (isEmpty(value)) return '—';
+  if (typeof value === 'boolean') return value ? 'Sì' : 'No';
+  return String(value);
+};
+
+const recordLabel = (entry) =>
+  `${entry.dataType === 'partner' ? 'Partner' : 'Cliente'}: ${entry.record.azienda || entry.record.nome || ''}`;
+
+/**
+ * Dialogo di unione di due doppioni.  Si sceglie quale record conservare
+ * (il suo ID resta, l'altro viene rimosso) e, per ogni campo in cui i
+ * due record differiscono, quale valore tenere.  Lo storico dei regali di
+ * entrambi i record resta consultabile dalla scheda del record conservato.
+ */
+const MergeDuplicatesDialog = ({ open, pair, onClose, onMerged }) => {
+  // Lato del record da conservare ('a' o 'b') e lato scelto per ogni campo
+  const [keepSide, setKeepSide] = useState('a');
+  const [choices, setChoices] = useState({});
+  const [working, setWorking] = useState(false);
+
+  // Campi noti più gli eventuali campi personalizzati dei due record
+  const fields = useMemo(() => {
+    if (!pair) return [];
+    const known = FIELD_OPTIONS.map((option) => option.value);
+    const extra = [...new Set([...Object.keys(pair.a.record), ...Object.keys(pair.b.record)])]
+      .filter((field) => !known.includes(field) && !META_FIELDS.includes(field));
+    return [...FIELD_OPTIONS, ...extra.map((field) => ({ value: field, label: field }))]
+      .filter((option) => !isEmpty(pair.a.record[option.value]) || !isEmpty(pair.b.record[option.value]));
+  }, [pair]);
+
+  // Per default ogni campo prende il valore del record conservato, se presente
+  useEffect(() => {
+    if (!pair) return;
+    const otherSide = keepSide === 'a' ? 'b' : 'a';
+    setChoices(fields.reduce((acc, option) => {
+      acc[option.value] = isEmpty(pair[keepSide].record[option.value]) ? otherSide : keepSide;
+      return acc;
+    }, {}));
+  }, [pair, fields, keepSide]);
+
+  useEffect(() => {
+    if (open) setKeepSide('a');
+  }, [open, pair]);
+
+  const merge = async () => {
+    const keep = pair[keepSide];
+    const remove = pair[keepSide === 'a' ? 'b' : 'a'];
+    const values = fields.reduce((acc, option) => {
+      const value = pair[choices[option.value] || keepSide].record[option.value];
+      acc[option.value] = value === undefined ? '' : value;
+      return acc;
+    }, {});
+    setWorking(true);
+    const result = await window.api.mergeRecords(
+      { dataType: keep.dataType, id: keep.record.id, version: keep.record.version },
+      { dataType: remove.dataType, id: remove.record.id, version: remove.record.version },
+      values
+    );
+    setWorking(false);
+    if (result && result.success) {
+      onMerged(result.data);
+    } else if (result && result.conflict) {
+      alert(result.error);
+      onMerged(null);
+    } else {
+      alert(`Unione non riuscita: ${(result && result.error) || 'errore sconosciuto'}`);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Unisci doppioni</DialogTitle>
+      {pair && (
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Scegli il record da conservare e, per ogni campo, il valore da tenere. L'altro record viene rimosso; lo storico dei regali di entrambi resta nella scheda del record conservato.
+          </DialogContentText>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Campo</TableCell>
+                {['a', 'b'].map((side) => (
+                  <TableCell key={side}>
+                    <Radio
+                      size="small"
+                      checked={keepSide === side}
+                      onChange={() => setKeepSide(side)}
+                    />
+                    {recordLabel(pair[side])}
+                    {keepSide === side ? ' (conservato)' : ''}
+                  </TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {fields.map((option) => {
+                const same = formatValue(pair.a.record[option.value]) === formatValue(pair.b.record[option.value]);
+                return (
+                  <TableRow key={option.value}>
+                    <TableCell>{option.label}</TableCell>
+                    {['a', 'b'].map((side) => (
+                      <TableCell key={side}>
+                        {!same && (
+                          <Radio
+                            size="small"
+                            checked={choices[option.value] === side}
+                            onChange={() => setChoices((prev) => ({ ...prev, [option.value]: side }))}
+                          />
+                        )}
+                        {formatValue(pair[side].record[option.value])}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </DialogContent>
+      )}
+      <DialogActions>
+        <Button onClick={onClose}>Annulla</Button>
+        <Button variant="contained" disabled={working || !pair} onClick={merge}>
+          Unisci
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MergeDuplicatesDialog;
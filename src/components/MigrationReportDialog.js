@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+
+/**
+ * Dialogo mostrato una sola volta dopo l'aggiornamento del formato dei
+ * file dati. Elenca, per ogni tipo di dati, le migrazioni eseguite e il
+ * numero di record modificati (le operazioni che non cambiano il formato,
+ * come la correzione degli ID duplicati, non hanno versione). Alla chiusura il resoconto viene segnato
+ * come letto e non verrà più riproposto.
+ */
+const MigrationReportDialog = () => {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      const result = await window.api.getMigrationReport();
+      if (result && result.success && result.data) {
+        setReport(result.data);
+      }
+    };
+    load();
+  }, []);
+
+  const handleClose = async () => {
+    setReport(null);
+    await window.api.ackMigrationReport();
+  };
+
+  return (
+    <Dialog open={Boolean(report)} onClose={handleClose} fullWidth maxWidth="sm">
+      <DialogTitle>Dati aggiornati</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          I file dati sono stati aggiornati al nuovo formato. Una copia dei
+          file precedenti è disponibile tra i backup nelle Impostazioni.
+        </DialogContentText>
+        {report && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Tipo</TableCell>
+                <TableCell>Versione</TableCell>
+                <TableCell>Operazione</TableCell>
+                <TableCell align="right">Record modificati</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {report.entries.map((entry) =>
+                entry.steps.map((step) => (
+                  <TableRow key={`${entry.dataType}-${step.version}`}>
+                    <TableCell>{entry.dataType}</TableCell>
+                    <TableCell>{step.version ? `${step.version - 1} → ${step.version}` : '—'}</TableCell>
+                    <TableCell>{step.description}</TableCell>
+                    <TableCell align="right">{`${step.changed} / ${entry.records}`}</TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button variant="contained" onClick={handleClose}>
+          Ho capito
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MigrationReportDialog;
@@ -18,6 +18,9 @@ import SettingsIcon from '@mui/icons-material/Settings';
 import DeleteIcon from '@mui/icons-material/Delete';
 import CardGiftcardIcon from '@mui/icons-material/CardGiftcard';
 import LocalShippingIcon from '@mui/icons-material/LocalShipping';
+import ManageHistoryIcon from '@mui/icons-material/ManageHistory';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import MergeTypeIcon from '@mui/icons-material/MergeType';
 
 // Larghezza della sidebar
 const drawerWidth = 240;
@@ -59,6 +62,21 @@ const Sidebar = ({ open }) => {
       path: '/eliminati',
       icon: <DeleteIcon />,
     },
+    {
+      text: 'Attività',
+      path: '/attivita',
+      icon: <ManageHistoryIcon />,
+    },
+    {
+      text: 'Importazioni',
+      path: '/importazioni',
+      icon: <UploadFileIcon />,
+    },
+    {
+      text: 'Doppioni',
+      path: '/doppioni',
+      icon: <MergeTypeIcon />,
+    },
   ];
   return (
     <Drawer
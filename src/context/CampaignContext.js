@@ -0,0 +1,73 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import useDataChanged from '../hooks/useDataChanged';
+
+/**
+ * Contesto della campagna natalizia visualizzata.
+ *
+ * Espone l'anno corrente (dalle impostazioni), l'elenco degli anni
+ * disponibili (corrente più quelli archiviati) e l'anno selezionato
+ * nell'Header. Le campagne archiviate sono in sola lettura: le pagine
+ * usano `readOnly` per disabilitare inserimenti, modifiche ed
+ * eliminazioni, e passano `annoArchivio` a `loadData` (null per l'anno
+ * corrente, così vengono caricati i dati attuali).
+ */
+const CampaignContext = createContext({
+  annoCorrente: new Date().getFullYear(),
+  annoSelezionato: new Date().getFullYear(),
+  anni: [],
+  readOnly: false,
+  annoArchivio: null,
+  setAnnoSelezionato: () => {},
+  refreshCampaigns: async () => {},
+});
+
+export const CampaignProvider = ({ children }) => {
+  const [annoCorrente, setAnnoCorrente] = useState(new Date().getFullYear());
+  const [annoSelezionato, setAnnoSelezionato] = useState(null);
+  const [anni, setAnni] = useState([]);
+
+  // Ricarica anno corrente e campagne archiviate, ad esempio dopo la
+  // chiusura di una campagna o la modifica delle impostazioni.
+  const refreshCampaigns = useCallback(async () => {
+    const [settingsRes, campaignsRes] = await Promise.all([
+      window.api.loadSettings(),
+      window.api.listCampaigns()
+    ]);
+    const corrente = settingsRes && settingsRes.success
+      ? Number(settingsRes.data.annoCorrente)
+      : new Date().getFullYear();
+    const archiviati = campaignsRes && campaignsRes.success
+      ? campaignsRes.data.map((c) => Number(c.anno)).filter((anno) => anno !== corrente)
+      : [];
+    setAnnoCorrente(corrente);
+    setAnni([corrente, ...archiviati].sort((a, b) => b - a));
+    // Se l'anno selezionato non esiste più si torna all'anno corrente
+    setAnnoSelezionato((prev) => (prev === null || !archiviati.includes(prev) ? corrente : prev));
+  }, []);
+
+  useEffect(() => {
+    refreshCampaigns();
+  }, [refreshCampaigns]);
+
+  // Anno corrente o campagne cambiati da un'altra postazione
+  useDataChanged(['settings', 'campagne'], () => refreshCampaigns());
+
+  const anno = annoSelezionato === null ? annoCorrente : annoSelezionato;
+  const value = {
+    annoCorrente,
+    annoSelezionato: anno,
+    anni,
+    readOnly: anno !== annoCorrente,
+    annoArchivio: anno !== annoCorrente ? anno : null,
+    setAnnoSelezionato,
+    refreshCampaigns,
+  };
+  return <CampaignContext.Provider value={value}>{children}</CampaignContext.Provider>;
+};
+
+/**
+ * Hook per accedere alla campagna selezionata.
+ */
+export const useCampaign = () => useContext(CampaignContext);
+
+export default CampaignContext;
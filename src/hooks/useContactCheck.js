@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+
+// Attesa dopo l'ultima modifica prima di controllare i contatti
+const CHECK_DELAY = 300;
+
+/**
+ * Controlla telefono ed email dei record indicati (vedi
+ * window.api.validateContacts) e restituisce, nello stesso ordine, i
+ * valori non validi e la forma normalizzata di quelli validi.  Il
+ * controllo viene ripetuto quando cambia l'array dei record, che va
+ * quindi memorizzato dalla pagina.
+ *
+ * @param {Array<Object>} records Record con i campi telefono ed email
+ * @returns {Array<{issues, normalized}>} Vuoto finché il controllo dei record attuali
+ *   non è finito
+ */
+const useContactCheck = (records) => {
+  // Risultato del controllo insieme ai record a cui si riferisce
+  const [checked, setChecked] = useState({ records: null, data: [] });
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const result = await window.api.validateContacts(
+        records.map((record) => ({ telefono: record.telefono, email: record.email }))
+      );
+      if (!cancelled) setChecked({ records, data: result && result.success ? result.data : [] });
+    }, CHECK_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [records]);
+
+  // Finché i record nuovi non sono controllati i risultati vecchi non valgono
+  return checked.records === records ? checked.data : [];
+};
+
+export default useContactCheck;
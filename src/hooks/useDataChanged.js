@@ -0,0 +1,38 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Descrive chi ha modificato i dati: l'utente e la postazione se la
+ * modifica è stata fatta da questa applicazione su un'altra postazione,
+ * altrimenti un generico "un altro programma" (script, editor...).
+ */
+export const describeChangeAuthor = (change) => {
+  if (!change || !change.host) return 'un altro programma';
+  return change.utente ? `${change.utente} (${change.host})` : change.host;
+};
+
+/**
+ * Chiama `onChange` quando i file dati di uno dei tipi indicati vengono
+ * modificati fuori da questa finestra (altra postazione sulla cartella
+ * condivisa, script, editor). Le pagine lo usano per ricaricare i dati
+ * senza perdere selezione e posizione di scorrimento.
+ *
+ * @param {Array<string>} dataTypes Tipi di dati mostrati dalla pagina
+ * @param {Function} onChange       Riceve { dataTypes, host, utente, at }
+ */
+const useDataChanged = (dataTypes, onChange) => {
+  // La callback più recente, così che veda lo stato attuale della pagina
+  const callbackRef = useRef(onChange);
+  callbackRef.current = onChange;
+  const key = dataTypes.join(',');
+
+  useEffect(() => {
+    const watched = key.split(',');
+    return window.api.onDataChanged((change) => {
+      if (change.dataTypes.some((dataType) => watched.includes(dataType))) {
+        callbackRef.current(change);
+      }
+    });
+  }, [key]);
+};
+
+export default useDataChanged;
@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+
+// Etichette leggibili delle origini registrate dal main process
+const ORIGIN_LABELS = {
+  dialog: 'Modifica singola',
+  bulk: 'Modifica multipla',
+  import: 'Importazione',
+  delete: 'Eliminazione',
+  restore: 'Ripristino eliminato',
+  backup: 'Ripristino backup',
+  settings: 'Impostazioni',
+  campaign: 'Chiusura campagna',
+  repair: 'Riparazione dati',
+  rollback: 'Annullamento importazione',
+  merge: 'Unione doppioni',
+  address: 'Correzione indirizzi',
+};
+
+const AZIONE_LABELS = {
+  creazione: 'Creato',
+  modifica: 'Modificato',
+  rimozione: 'Rimosso',
+};
+
+/**
+ * Pagina "Attività": elenca il registro delle modifiche a clienti,
+ * partner, eliminati e impostazioni. Le voci possono essere filtrate
+ * per tipo di dati, origine, testo e intervallo di date ed esportate in
+ * Excel con gli stessi filtri.
+ */
+const AttivitaPage = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ dataType: '', origin: '', text: '', from: '', to: '' });
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+
+  // Converte i filtri del form nel formato atteso dal main process
+  const toApiFilters = (f) => ({
+    dataType: f.dataType || undefined,
+    origin: f.origin || undefined,
+    text: f.text || undefined,
+    from: f.from ? new Date(`${f.from}T00:00:00`).getTime() : undefined,
+    to: f.to ? new Date(`${f.to}T23:59:59.999`).getTime() : undefined,
+  });
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      const result = await window.api.loadAudit(toApiFilters(filters));
+      setEntries(result && result.success ? result.data : []);
+      setPage(0);
+      setLoading(false);
+    };
+    load();
+  }, [filters]);
+
+  const handleFilterChange = (field) => (event) => {
+    const value = event.target.value;
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleExport = async () => {
+    const result = await window.api.exportAudit(toApiFilters(filters));
+    if (result && result.message) {
+      alert(result.message);
+    }
+  };
+
+  const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+  return (
+    <Box p={3}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4">Attività</Typography>
+        <Button
+          variant="contained"
+          startIcon={<DownloadIcon />}
+          onClick={handleExport}
+          disabled={entries.length === 0}
+        >
+          Esporta XLSX
+        </Button>
+      </Box>
+      <Box display="flex" alignItems="center" flexWrap="wrap" gap={2} mb={2}>
+        <FormControl size="small" sx={{ minWidth: 150 }}>
+          <InputLabel id="attivita-tipo-label">Tipo</InputLabel>
+          <Select
+            labelId="attivita-tipo-label"
+            value={filters.dataType}
+            label="Tipo"
+            onChange={handleFilterChange('dataType')}
+          >
+            <MenuItem value="">Tutti</MenuItem>
+            <MenuItem value="clienti">Clienti</MenuItem>
+            <MenuItem value="partner">Partner</MenuItem>
+            <MenuItem value="eliminati">Eliminati</MenuItem>
+            <MenuItem value="settings">Impostazioni</MenuItem>
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel id="attivita-origine-label">Origine</InputLabel>
+          <Select
+            labelId="attivita-origine-label"
+            value={filters.origin}
+            label="Origine"
+            onChange={handleFilterChange('origin')}
+          >
+            <MenuItem value="">Tutte</MenuItem>
+            {Object.entries(ORIGIN_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>
+                {label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          label="Cerca record, campo, valore o utente"
+          size="small"
+          value={filters.text}
+          onChange={handleFilterChange('text')}
+          sx={{ width: 300 }}
+        />
+        <TextField
+          label="Dal"
+          type="date"
+          size="small"
+          value={filters.from}
+          onChange={handleFilterChange('from')}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="Al"
+          type="date"
+          size="small"
+          value={filters.to}
+          onChange={handleFilterChange('to')}
+          InputLabelProps={{ shrink: true }}
+        />
+      </Box>
+      {loading ? (
+        <Typography>Caricamento in corso...</Typography>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Data</TableCell>
+                  <TableCell>Utente</TableCell>
+                  <TableCell>Tipo</TableCell>
+                  <TableCell>Record</TableCell>
+                  <TableCell>Azione</TableCell>
+                  <TableCell>Campo</TableCell>
+                  <TableCell>Valore precedente</TableCell>
+                  <TableCell>Nuovo valore</TableCell>
+                  <TableCell>Origine</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {entries
+                  .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
+                  .map((entry, index) => (
+                    <TableRow key={`${entry.timestamp}-${index}`} hover>
+                      <TableCell>{new Date(entry.timestamp).toLocaleString()}</TableCell>
+                      <TableCell>{entry.utente || ''}</TableCell>
+                      <TableCell>{entry.dataType}</TableCell>
+                      <TableCell>{entry.recordLabel || entry.recordId}</TableCell>
+                      <TableCell>{AZIONE_LABELS[entry.azione] || entry.azione}</TableCell>
+                      <TableCell>{entry.field || ''}</TableCell>
+                      <TableCell>{formatValue(entry.oldValue)}</TableCell>
+                      <TableCell>{formatValue(entry.newValue)}</TableCell>
+                      <TableCell>{ORIGIN_LABELS[entry.origin] || entry.origin}</TableCell>
+                    </TableRow>
+                  ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={entries.length}
+            page={page}
+            onPageChange={(e, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+            rowsPerPageOptions={[25, 50, 100]}
+            labelRowsPerPage="Righe per pagina"
+          />
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default AttivitaPage;
@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import {
   Box,
   Typography,
@@ -21,17 +21,66 @@ import {
   FormControl,
   InputLabel,
   Select,
-  MenuItem
+  MenuItem,
+  Alert,
+  Tooltip
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import UploadFileIcon from '@mui/icons-material/UploadFile';
+import EventRepeatIcon from '@mui/icons-material/EventRepeat';
 import DownloadIcon from '@mui/icons-material/Download';
+import ContactPhoneIcon from '@mui/icons-material/ContactPhone';
 import ViewColumnIcon from '@mui/icons-material/ViewColumn';
 import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
 import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import HistoryIcon from '@mui/icons-material/History';
+import WarningAmberIcon from '@mui/icons-material/WarningAmber';
+import { Link } from 'react-router-dom';
 import SortableTableCell from '../components/SortableTableCell';
+import GiftHistory from '../components/GiftHistory';
+import { useCampaign } from '../context/CampaignContext';
+import useDataChanged from '../hooks/useDataChanged';
+import useContactCheck from '../hooks/useContactCheck';
+import ExternalChangeAlert from '../components/ExternalChangeAlert';
+import AddressCheck from '../components/AddressCheck';
+import ImportWizard, { FIELD_OPTIONS } from '../components/ImportWizard';
+
+// Campi del dialog cambiati rispetto al record, confrontati nella forma
+// usata per riempire il dialog (stringa vuota o false se assenti)
+const changedFields = (record, form) =>
+  Object.keys(form).reduce((patch, field) => {
+    const same = typeof form[field] === 'boolean'
+      ? (record[field] === true) === form[field]
+      : String(record[field] ?? '') === String(form[field]);
+    return same ? patch : { ...patch, [field]: form[field] };
+  }, {});
+
+// Valori del dialog per un record
+const recordForm = (record) => ({
+  nome: record.nome || '',
+  azienda: record.azienda || '',
+  indirizzo: record.indirizzo || '',
+  civico: record.civico || '',
+  cap: record.cap || '',
+  localita: record.localita || '',
+  provincia: record.provincia || '',
+  telefono: record.telefono || '',
+  email: record.email || '',
+  note: record.note || '',
+  grappa: record.grappa === true,
+  extraAltro: record.extraAltro === true,
+  gls: record.gls === true,
+  consegnaSpedizione: record.consegnaSpedizione || '',
+  tipologia: record.tipologia || ''
+});
+
+// Etichetta di un campo del dialog, per i messaggi all'utente
+const fieldLabel = (field) => {
+  const option = FIELD_OPTIONS.find((item) => item.value === field);
+  return option ? option.label : field;
+};
 
 /**
  * Pagina per la gestione dei clienti.
@@ -45,15 +94,23 @@ import SortableTableCell from '../components/SortableTableCell';
  */
 const ClientiPage = () => {
   const [clienti, setClienti] = useState([]);
+  // Campagna selezionata: gli anni archiviati sono in sola lettura
+  const { readOnly, annoArchivio, annoSelezionato } = useCampaign();
   const [loading, setLoading] = useState(true);
   const [deliverers, setDeliverers] = useState([]);
   const [search, setSearch] = useState('');
+  // Mostra solo i record con telefono o email non validi
+  const [onlyInvalidContacts, setOnlyInvalidContacts] = useState(false);
   const [order, setOrder] = useState('asc');
   const [orderBy, setOrderBy] = useState('nome');
   // Gestione selezione multipla
   const [selected, setSelected] = useState([]);
   // Gestione dialog di aggiornamento massivo
   const [bulkDialogOpen, setBulkDialogOpen] = useState(false);
+  // Importazione guidata da Excel
+  const [importOpen, setImportOpen] = useState(false);
+  // L'importazione guidata riporta le scelte dell'anno precedente
+  const [importPreviousYear, setImportPreviousYear] = useState(false);
   const [bulkForm, setBulkForm] = useState({
     consegna: '',
     regalo: '',
@@ -93,6 +150,8 @@ const ClientiPage = () => {
     }
   }, []);
   const [dialogOpen, setDialogOpen] = useState(false);
+  // Modifica esterna arrivata mentre un dialogo di modifica era aperto
+  const [externalChange, setExternalChange] = useState(null);
   const [editingClient, setEditingClient] = useState(null);
   const [formData, setFormData] = useState({
     nome: '',
@@ -112,28 +171,38 @@ const ClientiPage = () => {
     tipologia: ''
   });
 
-  // Carica i dati e le impostazioni all'avvio
+  // Carica i dati e le impostazioni (all'avvio e dopo modifiche esterne)
+  const load = useCallback(async () => {
+    const [clientiRes, settingsRes] = await Promise.all([
+      window.api.loadData('clienti', false, annoArchivio),
+      window.api.loadSettings()
+    ]);
+    if (clientiRes && clientiRes.success) {
+      setClienti(clientiRes.data);
+      // La selezione resta valida per i record ancora presenti
+      setSelected((prev) => prev.filter((id) => clientiRes.data.some((r) => r.id === id)));
+    }
+    if (settingsRes && settingsRes.success) {
+      const c = settingsRes.data.consegnatari || [];
+      setDeliverers(Array.isArray(c) ? c : []);
+      const gifts = Array.isArray(settingsRes.data.giftNames) && settingsRes.data.giftNames.length === 3
+        ? settingsRes.data.giftNames
+        : ['Grappa', 'Extra/Altro', 'Nessuno'];
+      setGiftNames(gifts);
+    }
+    setLoading(false);
+  }, [annoArchivio]);
+
   useEffect(() => {
-    const load = async () => {
-      const [clientiRes, settingsRes] = await Promise.all([
-        window.api.loadData('clienti'),
-        window.api.loadSettings()
-      ]);
-      if (clientiRes && clientiRes.success) {
-        setClienti(clientiRes.data);
-      }
-      if (settingsRes && settingsRes.success) {
-        const c = settingsRes.data.consegnatari || [];
-        setDeliverers(Array.isArray(c) ? c : []);
-        const gifts = Array.isArray(settingsRes.data.giftNames) && settingsRes.data.giftNames.length === 3
-          ? settingsRes.data.giftNames
-          : ['Grappa', 'Extra/Altro', 'Nessuno'];
-        setGiftNames(gifts);
-      }
-      setLoading(false);
-    };
     load();
-  }, []);
+  }, [load]);
+
+  // Ricarica quando i dati vengono modificati fuori da questa finestra;
+  // con un dialogo aperto avvisa che le modifiche non sono ancora salvate
+  useDataChanged(['clienti', 'settings'], (change) => {
+    load();
+    if (dialogOpen || bulkDialogOpen) setExternalChange(change);
+  });
 
   // Gestione ordinamento colonne
   const handleRequestSort = (property) => {
@@ -143,6 +212,16 @@ const ClientiPage = () => {
   };
 
   // Ricerca e ordinamento combinati
+  // Telefoni ed email non validi, per id del record
+  const contactChecks = useContactCheck(clienti);
+  const contactIssues = useMemo(() => {
+    const issues = new Map();
+    contactChecks.forEach((check, index) => {
+      if (check.issues.length > 0) issues.set(clienti[index].id, check.issues);
+    });
+    return issues;
+  }, [clienti, contactChecks]);
+
   const filteredClienti = useMemo(() => {
     let data = clienti;
     if (search) {
@@ -160,6 +239,9 @@ const ClientiPage = () => {
         );
       });
     }
+    if (onlyInvalidContacts) {
+      data = data.filter((c) => contactIssues.has(c.id));
+    }
     return data
       .slice()
       .sort((a, b) => {
@@ -169,7 +251,7 @@ const ClientiPage = () => {
         if (aVal > bVal) return order === 'asc' ? 1 : -1;
         return 0;
       });
-  }, [clienti, search, order, orderBy]);
+  }, [clienti, search, onlyInvalidContacts, contactIssues, order, orderBy]);
 
   // Controlla se una riga è selezionata
   const isSelected = (id) => selected.indexOf(id) !== -1;
@@ -262,6 +344,7 @@ const ClientiPage = () => {
 
   const openBulkDialog = () => {
     setBulkForm({ consegna: '', regalo: '', gls: '' });
+    setExternalChange(null);
     setBulkDialogOpen(true);
   };
 
@@ -269,45 +352,58 @@ const ClientiPage = () => {
     setBulkDialogOpen(false);
   };
 
+  // Sostituisce nella lista i record ritornati dal main process
+  const replaceRecords = (records) => {
+    const byId = new Map(records.map((r) => [r.id, r]));
+    setClienti((prev) => prev.map((c) => byId.get(c.id) || c));
+  };
+
   // Salva le modifiche massime sui record selezionati
   const handleBulkSave = async () => {
     const { consegna, regalo, gls: glsVal } = bulkForm;
-    let updatedList = clienti.map((c) => {
-      if (!selected.includes(c.id)) return c;
-      const updated = { ...c };
+    const updates = clienti.filter((c) => selected.includes(c.id)).map((c) => {
+      const patch = {};
       // Aggiorna consegna
       if (consegna !== '') {
-        updated.consegnaSpedizione = consegna;
+        patch.consegnaSpedizione = consegna;
         // Se assegniamo una consegna interna, togli GLS
-        updated.gls = false;
+        patch.gls = false;
       }
       // Aggiorna regalo
       if (regalo !== '') {
         if (regalo === 'grappa') {
-          updated.grappa = true;
-          updated.extraAltro = false;
+          patch.grappa = true;
+          patch.extraAltro = false;
         } else if (regalo === 'extra') {
-          updated.grappa = false;
-          updated.extraAltro = true;
+          patch.grappa = false;
+          patch.extraAltro = true;
         } else if (regalo === 'nessuno') {
-          updated.grappa = false;
-          updated.extraAltro = false;
+          patch.grappa = false;
+          patch.extraAltro = false;
         }
       }
       // Aggiorna GLS
       if (glsVal !== '') {
         if (glsVal === 'true') {
-          updated.gls = true;
+          patch.gls = true;
           // quando GLS è attivo, rimuoviamo consegna interna
-          updated.consegnaSpedizione = '';
+          patch.consegnaSpedizione = '';
         } else if (glsVal === 'false') {
-          updated.gls = false;
+          patch.gls = false;
         }
       }
-      return updated;
+      return { id: c.id, patch, version: c.version };
     });
-    setClienti(updatedList);
-    await window.api.saveData('clienti', updatedList);
+    const result = await window.api.updateRecords('clienti', updates);
+    if (result && result.success) {
+      replaceRecords(result.data);
+    } else if (result && result.conflict) {
+      alert(result.error);
+      replaceRecords(result.data);
+    } else {
+      alert(`Errore durante il salvataggio: ${result && result.error}`);
+      return;
+    }
     setBulkDialogOpen(false);
     setSelected([]);
   };
@@ -332,84 +428,82 @@ const ClientiPage = () => {
       consegnaSpedizione: '',
       tipologia: ''
     });
+    setExternalChange(null);
     setDialogOpen(true);
   };
 
   // Gestisce l'apertura del dialog per modifica
   const handleEditClick = (client) => {
     setEditingClient(client);
-    setFormData({
-      nome: client.nome || '',
-      azienda: client.azienda || '',
-      indirizzo: client.indirizzo || '',
-      civico: client.civico || '',
-      cap: client.cap || '',
-      localita: client.localita || '',
-      provincia: client.provincia || '',
-      telefono: client.telefono || '',
-      email: client.email || '',
-      note: client.note || '',
-      grappa: client.grappa === true || client.grappa === '1',
-      extraAltro: client.extraAltro === true || client.extraAltro === '1',
-      gls: client.gls === true || client.gls === '1',
-      consegnaSpedizione: client.consegnaSpedizione || '',
-      tipologia: client.tipologia || ''
-    });
+    setFormData(recordForm(client));
+    setExternalChange(null);
     setDialogOpen(true);
   };
 
   // Elimina un record spostandolo negli eliminati
   const handleDeleteClick = async (client) => {
-    await window.api.moveToEliminati('clienti', client.id);
-    setClienti(clienti.filter((c) => c.id !== client.id));
+    const result = await window.api.deleteRecord('clienti', client.id, client.version);
+    if (result && result.success) {
+      setClienti(clienti.filter((c) => c.id !== client.id));
+    } else if (result && result.conflict) {
+      alert(result.error);
+      replaceRecords([result.data]);
+    } else {
+      alert(`Errore durante l'eliminazione: ${result && result.error}`);
+    }
   };
 
   // Gestisce il salvataggio del dialog
   const handleDialogSave = async () => {
-    let updatedList;
-    if (editingClient) {
-      // Modifica esistente
-      updatedList = clienti.map((c) =>
-        c.id === editingClient.id
-          ? {
-              ...c,
-              ...formData,
-              id: editingClient.id,
-              grappa: formData.grappa,
-              extraAltro: formData.extraAltro,
-              gls: formData.gls,
-              lastUpdate: Date.now()
-            }
-          : c
-      );
-    } else {
-      // Aggiunta nuovo record
-      const newRecord = {
-        ...formData,
-        id: Date.now(),
-        tipo: 'clienti',
-        eliminato: false,
-        createdAt: Date.now()
-      };
-      updatedList = [...clienti, newRecord];
-    }
     // Verifica che se non si spedisce con GLS ci sia un consegnatario
-    if (!(formData.gls === true || formData.gls === '1') && (!formData.consegnaSpedizione || formData.consegnaSpedizione === '')) {
+    if (!formData.gls && (!formData.consegnaSpedizione || formData.consegnaSpedizione === '')) {
       alert('È necessario selezionare un consegnatario per le consegne interne');
       return;
     }
-    setClienti(updatedList);
-    await window.api.saveData('clienti', updatedList);
-    setDialogOpen(false);
+    // Il main process salva solo i campi modificati e rifiuta la
+    // modifica se nel frattempo il record è stato cambiato da un altro utente
+    const patch = editingClient ? changedFields(editingClient, formData) : null;
+    if (patch && Object.keys(patch).length === 0) {
+      setDialogOpen(false);
+      return;
+    }
+    const result = editingClient
+      ? await window.api.updateRecord('clienti', editingClient.id, patch, editingClient.version)
+      : await window.api.createRecord('clienti', formData);
+    if (result && result.success) {
+      if (editingClient) {
+        replaceRecords([result.data]);
+      } else {
+        setClienti((prev) => [...prev, result.data]);
+      }
+      setDialogOpen(false);
+    } else if (result && result.conflict) {
+      // Riporta le modifiche dell'utente sulla versione aggiornata, lasciando
+      // aperto il dialog: il salvataggio successivo scrive solo quelle e non
+      // annulla le modifiche fatte nel frattempo da altri
+      const fresh = recordForm(result.data);
+      const clashing = Object.keys(changedFields(editingClient, fresh)).filter((field) => field in patch);
+      replaceRecords([result.data]);
+      setEditingClient(result.data);
+      setFormData({ ...fresh, ...patch });
+      alert(clashing.length > 0
+        ? `${result.error}\n\nCampi modificati anche dall'altro utente (verrà salvato il tuo valore): ${clashing.map(fieldLabel).join(', ')}`
+        : `${result.error}\n\nLe tue modifiche sono state riportate sulla versione aggiornata.`);
+    } else {
+      alert(`Errore durante il salvataggio: ${result && result.error}`);
+    }
   };
 
-  // Importa dati da Excel
-  const handleImport = async () => {
-    const result = await window.api.importExcel('clienti');
-    if (result && result.success && result.data) {
-      // Sostituisci la lista attuale con quella restituita
-      setClienti(result.data);
-    }
+  // Importa dati da Excel tramite l'importazione guidata
+  const handleImport = () => {
+    setImportPreviousYear(false);
+    setImportOpen(true);
+  };
+
+  // Copia regali e consegne dell'anno precedente sui record attuali
+  const handleImportPreviousYear = () => {
+    setImportPreviousYear(true);
+    setImportOpen(true);
   };
 
   // Esporta dati per GLS
@@ -417,6 +511,14 @@ const ClientiPage = () => {
     await window.api.exportGLS();
   };
 
+  // Esporta i record selezionati come contatti vCard
+  const handleExportVCard = async () => {
+    const result = await window.api.exportVCard('clienti', selected, annoArchivio);
+    if (result && !result.success && !result.canceled) {
+      alert(result.message || 'Esportazione non riuscita');
+    }
+  };
+
   // Aggiorna il form al cambiamento dei valori
   const handleChange = (field) => (event) => {
     const value =
@@ -424,12 +526,40 @@ const ClientiPage = () => {
     setFormData((prev) => ({ ...prev, [field]: value }));
   };
 
+  // Controllo di telefono ed email mentre vengono scritti nel dialogo
+  const formContacts = useMemo(
+    () => [{ telefono: formData.telefono, email: formData.email }],
+    [formData.telefono, formData.email]
+  );
+  const [formContactCheck] = useContactCheck(formContacts);
+  const contactError = (field) => {
+    const issue = formContactCheck && formContactCheck.issues.find((item) => item.field === field);
+    return issue ? issue.message : '';
+  };
+
+  // All'uscita dal campo un telefono o un'email validi vengono riscritti
+  // in forma normalizzata (+39..., minuscolo)
+  const handleContactBlur = (field) => async () => {
+    const value = formData[field];
+    if (!value) return;
+    const result = await window.api.validateContacts([{ [field]: value }]);
+    const normalized = result && result.success && result.data[0].normalized[field];
+    if (normalized) {
+      setFormData((prev) => (prev[field] === value ? { ...prev, [field]: normalized } : prev));
+    }
+  };
+
   return (
     <>
     <Box p={3}>
       <Typography variant="h4" gutterBottom>
         Clienti
       </Typography>
+      {readOnly && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          {`Campagna ${annoSelezionato} archiviata: i dati sono in sola lettura.`}
+        </Alert>
+      )}
       <Box display="flex" alignItems="center" flexWrap="wrap" mb={2}>
         <TextField
           label="Cerca per nome, cognome o azienda"
@@ -439,10 +569,21 @@ const ClientiPage = () => {
           onChange={(e) => setSearch(e.target.value)}
           sx={{ mr: 2, width: '40%', mb: { xs: 1, sm: 0 } }}
         />
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={onlyInvalidContacts}
+              onChange={(e) => setOnlyInvalidContacts(e.target.checked)}
+            />
+          }
+          label={`Contatti non validi (${contactIssues.size})`}
+          sx={{ mr: 2, mb: { xs: 1, sm: 0 } }}
+        />
         <Button
           variant="contained"
           startIcon={<AddIcon />}
           onClick={handleAddClick}
+          disabled={readOnly}
           sx={{ mr: 1, mb: { xs: 1, sm: 0 } }}
         >
           Nuovo
@@ -451,22 +592,42 @@ const ClientiPage = () => {
           variant="outlined"
           startIcon={<UploadFileIcon />}
           onClick={handleImport}
+          disabled={readOnly}
           sx={{ mr: 1, mb: { xs: 1, sm: 0 } }}
         >
           Importa
         </Button>
+        <Button
+          variant="outlined"
+          startIcon={<EventRepeatIcon />}
+          onClick={handleImportPreviousYear}
+          disabled={readOnly}
+          sx={{ mr: 1, mb: { xs: 1, sm: 0 } }}
+        >
+          Importa da anno precedente
+        </Button>
         <Button
           variant="outlined"
           startIcon={<DownloadIcon />}
           onClick={handleExportGLS}
+          disabled={readOnly}
           sx={{ mr: 1, mb: { xs: 1, sm: 0 } }}
         >
           Esporta GLS
         </Button>
         <Button
           variant="outlined"
-          onClick={openBulkDialog}
+          startIcon={<ContactPhoneIcon />}
+          onClick={handleExportVCard}
           disabled={selected.length === 0}
+          sx={{ mr: 1, mb: { xs: 1, sm: 0 } }}
+        >
+          Esporta vCard
+        </Button>
+        <Button
+          variant="outlined"
+          onClick={openBulkDialog}
+          disabled={readOnly || selected.length === 0}
           sx={{ mb: { xs: 1, sm: 0 } }}
         >
           Modifica selezionati
@@ -542,7 +703,16 @@ const ClientiPage = () => {
                             </TableCell>
                           );
                         case 'nome':
-                          return <TableCell key={col.id}>{client.nome}</TableCell>;
+                          return (
+                            <TableCell key={col.id}>
+                              {client.nome}
+                              {contactIssues.has(client.id) && (
+                                <Tooltip title={contactIssues.get(client.id).map((issue) => issue.message).join(' · ')}>
+                                  <WarningAmberIcon fontSize="small" color="warning" sx={{ ml: 0.5, verticalAlign: 'middle' }} />
+                                </Tooltip>
+                              )}
+                            </TableCell>
+                          );
                         case 'azienda':
                           return <TableCell key={col.id}>{client.azienda}</TableCell>;
                         case 'localita':
@@ -554,7 +724,7 @@ const ClientiPage = () => {
                         case 'consegna':
                           return (
                             <TableCell key={col.id}>
-                              {client.gls && (client.gls === true || client.gls === '1' || client.gls === 1)
+                              {client.gls === true
                                 ? 'GLS'
                                 : client.consegnaSpedizione || ''}
                             </TableCell>
@@ -574,10 +744,19 @@ const ClientiPage = () => {
                         case 'azioni':
                           return (
                             <TableCell key={col.id} align="right">
+                              <IconButton
+                                size="small"
+                                component={Link}
+                                to={`/clienti/${client.id}`}
+                                title="Scheda e storico"
+                              >
+                                <HistoryIcon />
+                              </IconButton>
                               <IconButton
                                 size="small"
                                 color="primary"
                                 onClick={() => handleEditClick(client)}
+                                disabled={readOnly}
                               >
                                 <EditIcon />
                               </IconButton>
@@ -585,6 +764,7 @@ const ClientiPage = () => {
                                 size="small"
                                 color="error"
                                 onClick={() => handleDeleteClick(client)}
+                                disabled={readOnly}
                               >
                                 <DeleteIcon />
                               </IconButton>
@@ -605,6 +785,7 @@ const ClientiPage = () => {
       <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} fullWidth maxWidth="md">
         <DialogTitle>{editingClient ? 'Modifica Cliente' : 'Nuovo Cliente'}</DialogTitle>
         <DialogContent sx={{ pt: 1 }}>
+          <ExternalChangeAlert change={externalChange} />
           <Box display="flex" flexWrap="wrap" gap={2}>
             <TextField
               label="Nome"
@@ -652,12 +833,18 @@ const ClientiPage = () => {
               label="Telefono"
               value={formData.telefono}
               onChange={handleChange('telefono')}
+              onBlur={handleContactBlur('telefono')}
+              error={Boolean(contactError('telefono'))}
+              helperText={contactError('telefono')}
               fullWidth
             />
             <TextField
               label="Email"
               value={formData.email}
               onChange={handleChange('email')}
+              onBlur={handleContactBlur('email')}
+              error={Boolean(contactError('email'))}
+              helperText={contactError('email')}
               fullWidth
             />
             <TextField
@@ -722,6 +909,21 @@ const ClientiPage = () => {
               label="Spedizione GLS"
             />
           </Box>
+          <AddressCheck
+            cap={formData.cap}
+            provincia={formData.provincia}
+            localita={formData.localita}
+            onApply={(patch) => setFormData((prev) => ({ ...prev, ...patch }))}
+          />
+          {/* Storico dei regali degli anni precedenti */}
+          {editingClient && (
+            <Box mt={3}>
+              <Typography variant="subtitle1" gutterBottom>
+                Storico regali
+              </Typography>
+              <GiftHistory dataType="clienti" id={editingClient.id} giftNames={giftNames} />
+            </Box>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setDialogOpen(false)}>Annulla</Button>
@@ -773,6 +975,7 @@ const ClientiPage = () => {
     <Dialog open={bulkDialogOpen} onClose={closeBulkDialog} fullWidth maxWidth="sm">
       <DialogTitle>Aggiornamento multiplo</DialogTitle>
       <DialogContent>
+        <ExternalChangeAlert change={externalChange} />
         <FormControl fullWidth margin="dense">
           <InputLabel>Consegna</InputLabel>
           <Select
@@ -821,6 +1024,13 @@ const ClientiPage = () => {
         </Button>
       </DialogActions>
     </Dialog>
+    <ImportWizard
+      open={importOpen}
+      dataType="clienti"
+      previousYear={importPreviousYear}
+      onClose={() => setImportOpen(false)}
+      onImported={setClienti}
+    />
     </>
   );
 };
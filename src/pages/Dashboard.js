@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import {
   Box,
   Grid,
@@ -15,6 +15,8 @@ import LocalShippingIcon from '@mui/icons-material/LocalShipping';
 import CardGiftcardIcon from '@mui/icons-material/CardGiftcard';
 import LocalBarIcon from '@mui/icons-material/LocalBar';
 import PersonIcon from '@mui/icons-material/Person';
+import { useCampaign } from '../context/CampaignContext';
+import useDataChanged from '../hooks/useDataChanged';
 
 /**
  * Pagina della dashboard.
@@ -27,46 +29,45 @@ import PersonIcon from '@mui/icons-material/Person';
  * viene visualizzato un indicatore di caricamento.
  */
 const Dashboard = () => {
+  const { annoArchivio, annoSelezionato } = useCampaign();
   const [clienti, setClienti] = useState([]);
   const [partner, setPartner] = useState([]);
   const [settings, setSettings] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  // Carica dati e impostazioni all'avvio
+  // Carica dati e impostazioni (all'avvio e dopo modifiche esterne)
+  const loadData = useCallback(async () => {
+    try {
+      const [clientiRes, partnerRes, settingsRes] = await Promise.all([
+        window.api.loadData('clienti', false, annoArchivio),
+        window.api.loadData('partner', false, annoArchivio),
+        window.api.loadSettings()
+      ]);
+      if (clientiRes && clientiRes.success) setClienti(clientiRes.data);
+      if (partnerRes && partnerRes.success) setPartner(partnerRes.data);
+      if (settingsRes && settingsRes.success) setSettings(settingsRes.data);
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [annoArchivio]);
+
   useEffect(() => {
-    const loadData = async () => {
-      try {
-        const [clientiRes, partnerRes, settingsRes] = await Promise.all([
-          window.api.loadData('clienti'),
-          window.api.loadData('partner'),
-          window.api.loadSettings()
-        ]);
-        if (clientiRes && clientiRes.success) setClienti(clientiRes.data);
-        if (partnerRes && partnerRes.success) setPartner(partnerRes.data);
-        if (settingsRes && settingsRes.success) setSettings(settingsRes.data);
-      } catch (err) {
-        console.error(err);
-      } finally {
-        setLoading(false);
-      }
-    };
     loadData();
-  }, []);
+  }, [loadData]);
+
+  // Aggiorna i contatori quando i dati vengono modificati fuori da questa finestra
+  useDataChanged(['clienti', 'partner', 'settings'], () => loadData());
 
   // Calcola i totali e statistiche
   const totalClienti = clienti.length;
   const totalPartner = partner.length;
   const allRecords = [...clienti, ...partner];
-  const totalGLS = allRecords.filter(
-    (rec) => rec.gls && (rec.gls === true || rec.gls === '1' || rec.gls === 1)
-  ).length;
+  const totalGLS = allRecords.filter((rec) => rec.gls === true).length;
   // Conteggio regali (booleani grappa/extraAltro)
-  const totalGrappa = allRecords.filter(
-    (rec) => rec.grappa && (rec.grappa === true || rec.grappa === '1' || rec.grappa === 1)
-  ).length;
-  const totalExtra = allRecords.filter(
-    (rec) => rec.extraAltro && (rec.extraAltro === true || rec.extraAltro === '1' || rec.extraAltro === 1)
-  ).length;
+  const totalGrappa = allRecords.filter((rec) => rec.grappa === true).length;
+  const totalExtra = allRecords.filter((rec) => rec.extraAltro === true).length;
   const totalNoGift = allRecords.length - totalGrappa - totalExtra;
   // Conteggio consegnatari
   const consegnatariCounts = {};
@@ -74,7 +75,7 @@ const Dashboard = () => {
     settings.consegnatari.forEach((name) => {
       consegnatariCounts[name] = allRecords.filter(
         (rec) =>
-          !(rec.gls && (rec.gls === true || rec.gls === '1' || rec.gls === 1)) &&
+          rec.gls !== true &&
           rec.consegnaSpedizione &&
           rec.consegnaSpedizione.toLowerCase() === name.toLowerCase()
       ).length;
@@ -111,7 +112,7 @@ const Dashboard = () => {
   ) : (
     <Box p={3}>
       <Typography variant="h4" gutterBottom>
-        Dashboard
+        {`Dashboard ${annoSelezionato}`}
       </Typography>
       <Grid container spacing={2}>
         <Grid item xs={12} sm={6} md={4}>
@@ -0,0 +1,158 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Button,
+  Chip,
+  TextField,
+  MenuItem
+} from '@mui/material';
+import MergeTypeIcon from '@mui/icons-material/MergeType';
+import MergeDuplicatesDialog from '../components/MergeDuplicatesDialog';
+import useDataChanged from '../hooks/useDataChanged';
+
+// Soglie di somiglianza selezionabili
+const MIN_SCORES = [60, 70, 80, 90];
+
+const CRITERIA_LABELS = {
+  azienda: 'Azienda',
+  nome: 'Nome',
+  indirizzo: 'Indirizzo',
+  telefono: 'Telefono',
+  email: 'Email',
+};
+
+const describe = (entry) => {
+  const { record } = entry;
+  const place = [record.indirizzo, record.civico, record.localita].filter(Boolean).join(' ');
+  return (
+    <>
+      <Typography variant="body2">
+        {[record.azienda, record.nome].filter(Boolean).join(' - ')}
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        {[entry.dataType === 'partner' ? 'Partner' : 'Cliente', place, record.telefono, record.email]
+          .filter(Boolean)
+          .join(' · ')}
+      </Typography>
+    </>
+  );
+};
+
+/**
+ * Pagina "Doppioni": elenca le coppie di clienti e partner che
+ * probabilmente sono la stessa persona o azienda (stessa azienda a meno
+ * della forma societaria, nome e cognome invertiti, stesso telefono o
+ * email...), dalla più simile, e permette di unirle campo per campo.
+ */
+const DuplicatiPage = () => {
+  const [pairs, setPairs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [minScore, setMinScore] = useState(70);
+  const [selected, setSelected] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    const result = await window.api.findDuplicates(minScore);
+    setPairs(result && result.success ? result.data : []);
+    setLoading(false);
+  }, [minScore]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Ricarica quando i dati vengono modificati fuori da questa finestra
+  useDataChanged(['clienti', 'partner'], () => load());
+
+  const handleMerged = () => {
+    setSelected(null);
+    load();
+  };
+
+  return (
+    <Box p={3}>
+      <Box display="flex" alignItems="center" mb={2}>
+        <Typography variant="h4" sx={{ flexGrow: 1 }}>
+          Doppioni
+        </Typography>
+        <TextField
+          select
+          size="small"
+          label="Somiglianza minima"
+          value={minScore}
+          onChange={(e) => setMinScore(e.target.value)}
+          sx={{ minWidth: 180 }}
+        >
+          {MIN_SCORES.map((score) => (
+            <MenuItem key={score} value={score}>{`${score}%`}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+      {loading ? (
+        <Typography>Ricerca in corso...</Typography>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Somiglianza</TableCell>
+                <TableCell>Primo record</TableCell>
+                <TableCell>Secondo record</TableCell>
+                <TableCell>Criteri</TableCell>
+                <TableCell>Azioni</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {pairs.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={5}>Nessun possibile doppione trovato.</TableCell>
+                </TableRow>
+              )}
+              {pairs.map((pair) => (
+                <TableRow key={`${pair.a.dataType}-${pair.a.record.id}-${pair.b.dataType}-${pair.b.record.id}`} hover>
+                  <TableCell>
+                    <Chip size="small" color={pair.score >= 90 ? 'error' : 'warning'} label={`${pair.score}%`} />
+                  </TableCell>
+                  <TableCell>{describe(pair.a)}</TableCell>
+                  <TableCell>{describe(pair.b)}</TableCell>
+                  <TableCell>
+                    {pair.criteria.map((item) => (
+                      <Chip
+                        key={item.field}
+                        size="small"
+                        variant="outlined"
+                        label={`${CRITERIA_LABELS[item.field]} ${item.similarity}%`}
+                        sx={{ mr: 0.5, mb: 0.5 }}
+                      />
+                    ))}
+                  </TableCell>
+                  <TableCell>
+                    <Button size="small" startIcon={<MergeTypeIcon />} onClick={() => setSelected(pair)}>
+                      Unisci
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+      <MergeDuplicatesDialog
+        open={Boolean(selected)}
+        pair={selected}
+        onClose={() => setSelected(null)}
+        onMerged={handleMerged}
+      />
+    </Box>
+  );
+};
+
+export default DuplicatiPage;
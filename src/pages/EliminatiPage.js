@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useMemo } from 'react';
+import React, { useCallback, useEffect, useState, useMemo } from 'react';
 import {
   Box,
   Typography,
@@ -11,41 +11,49 @@ import {
   Paper,
   Button
 } from '@mui/material';
+import { useCampaign } from '../context/CampaignContext';
+import useDataChanged from '../hooks/useDataChanged';
 
 /**
  * Pagina che visualizza i record eliminati (soft-delete) e permette
  * il loro ripristino. I dati vengono caricati dal file "eliminati"
  * tramite l'API `loadData('eliminati')`. Per ripristinare si usa
  * `restoreFromEliminati(id)`. La tabella mostra alcune colonne
- * essenziali.
+ * essenziali. Gli eliminati non sono suddivisi per anno; consultando una
+ * campagna archiviata il ripristino è disabilitato.
  */
 const EliminatiPage = () => {
+  const { readOnly } = useCampaign();
   const [eliminati, setEliminati] = useState([]);
   const [loading, setLoading] = useState(true);
   // Nomi dei regali presi dalle impostazioni. Default fallback se non caricati.
   const [giftNames, setGiftNames] = useState(['Grappa', 'Extra/Altro', 'Nessuno']);
 
+  const load = useCallback(async () => {
+    // Carica i record eliminati
+    const [elimRes, settingsRes] = await Promise.all([
+      window.api.loadData('eliminati', true),
+      window.api.loadSettings()
+    ]);
+    if (elimRes && elimRes.success) {
+      setEliminati(elimRes.data);
+    }
+    if (settingsRes && settingsRes.success) {
+      const gifts =
+        Array.isArray(settingsRes.data.giftNames) && settingsRes.data.giftNames.length === 3
+          ? settingsRes.data.giftNames
+          : ['Grappa', 'Extra/Altro', 'Nessuno'];
+      setGiftNames(gifts);
+    }
+    setLoading(false);
+  }, []);
+
   useEffect(() => {
-    const load = async () => {
-      // Carica i record eliminati
-      const [elimRes, settingsRes] = await Promise.all([
-        window.api.loadData('eliminati', true),
-        window.api.loadSettings()
-      ]);
-      if (elimRes && elimRes.success) {
-        setEliminati(elimRes.data);
-      }
-      if (settingsRes && settingsRes.success) {
-        const gifts =
-          Array.isArray(settingsRes.data.giftNames) && settingsRes.data.giftNames.length === 3
-            ? settingsRes.data.giftNames
-            : ['Grappa', 'Extra/Altro', 'Nessuno'];
-        setGiftNames(gifts);
-      }
-      setLoading(false);
-    };
     load();
-  }, []);
+  }, [load]);
+
+  // Ricarica quando i dati vengono modificati fuori da questa finestra
+  useDataChanged(['eliminati', 'settings'], () => load());
 
   const handleRestore = async (id) => {
     await window.api.restoreFromEliminati(id);
@@ -94,14 +102,14 @@ const EliminatiPage = () => {
                   <TableCell>{item.provincia || ''}</TableCell>
                   <TableCell>{item.telefono || ''}</TableCell>
                   <TableCell>
-                    {item.grappa && (item.grappa === true || item.grappa === '1' || item.grappa === 1)
+                    {item.grappa === true
                       ? giftNames[0]
-                      : item.extraAltro && (item.extraAltro === true || item.extraAltro === '1' || item.extraAltro === 1)
+                      : item.extraAltro === true
                       ? giftNames[1]
                       : giftNames[2]}
                   </TableCell>
                   <TableCell>
-                    {item.gls && (item.gls === true || item.gls === '1' || item.gls === 1)
+                    {item.gls === true
                       ? 'GLS'
                       : item.consegnaSpedizione || ''}
                   </TableCell>
@@ -115,6 +123,7 @@ const EliminatiPage = () => {
                       size="small"
                       variant="outlined"
                       onClick={() => handleRestore(item.id)}
+                      disabled={readOnly}
                     >
                       Ripristina
                     </Button>
@@ -0,0 +1,186 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import UndoIcon from '@mui/icons-material/Undo';
+import DownloadIcon from '@mui/icons-material/Download';
+import useDataChanged from '../hooks/useDataChanged';
+
+// File importato con il foglio o, per le importazioni di più fogli, i fogli
+const describeSource = (batch) => {
+  const sheets = batch.sheets ? batch.sheets.map((sheet) => sheet.sheetName) : [batch.sheetName].filter(Boolean);
+  return sheets.length > 0 ? `${batch.fileName} (${sheets.join(', ')})` : batch.fileName;
+};
+
+/**
+ * Pagina "Importazioni": elenca le importazioni da Excel eseguite, con il
+ * numero di record creati e aggiornati, permette di scaricarne il report
+ * riga per riga e di annullarne una in un'unica operazione. Se i record interessati sono stati modificati dopo
+ * l'importazione viene chiesta una conferma, perché quelle modifiche
+ * andrebbero perse.
+ */
+const ImportazioniPage = () => {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // Importazione da annullare e, dopo il primo tentativo, record modificati nel frattempo
+  const [rollback, setRollback] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const load = useCallback(async () => {
+    const result = await window.api.listImports();
+    setBatches(result && result.success ? result.data : []);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Ricarica quando i dati vengono modificati fuori da questa finestra
+  useDataChanged(['importazioni'], () => load());
+
+  const handleReport = async (batch) => {
+    const result = await window.api.exportImportReport(batch.id);
+    if (result && !result.success && !result.canceled) {
+      alert(result.message || 'Esportazione non riuscita');
+    }
+  };
+
+  const runRollback = async (force) => {
+    setWorking(true);
+    const result = await window.api.rollbackImport(rollback.batch.id, force);
+    setWorking(false);
+    if (result && result.success) {
+      setRollback(null);
+      load();
+    } else if (result && result.conflict) {
+      setRollback((prev) => ({ ...prev, edited: result.data }));
+    } else {
+      setRollback(null);
+      alert(`Annullamento non riuscito: ${(result && result.error) || 'errore sconosciuto'}`);
+    }
+  };
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" gutterBottom>
+        Importazioni
+      </Typography>
+      {loading ? (
+        <Typography>Caricamento in corso...</Typography>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Data</TableCell>
+                <TableCell>Tipo</TableCell>
+                <TableCell>File</TableCell>
+                <TableCell align="right">Nuovi</TableCell>
+                <TableCell align="right">Aggiornati</TableCell>
+                <TableCell>Stato</TableCell>
+                <TableCell>Azioni</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {batches.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7}>Nessuna importazione registrata.</TableCell>
+                </TableRow>
+              )}
+              {batches.map((batch) => (
+                <TableRow key={batch.id} hover>
+                  <TableCell>{new Date(batch.importedAt).toLocaleString()}</TableCell>
+                  <TableCell>{(batch.dataTypes || [batch.dataType]).join(', ')}</TableCell>
+                  <TableCell>{describeSource(batch)}</TableCell>
+                  <TableCell align="right">{batch.created.length}</TableCell>
+                  <TableCell align="right">{batch.updated.length}</TableCell>
+                  <TableCell>
+                    {batch.rolledBackAt ? (
+                      <Chip size="small" label={`Annullata il ${new Date(batch.rolledBackAt).toLocaleString()}`} />
+                    ) : (
+                      <Chip size="small" color="success" label="Applicata" />
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Button
+                      size="small"
+                      startIcon={<DownloadIcon />}
+                      disabled={!batch.report}
+                      onClick={() => handleReport(batch)}
+                    >
+                      Report
+                    </Button>
+                    <Button
+                      size="small"
+                      startIcon={<UndoIcon />}
+                      disabled={Boolean(batch.rolledBackAt) || batch.created.length + batch.updated.length === 0}
+                      onClick={() => setRollback({ batch, edited: null })}
+                    >
+                      Annulla
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+      <Dialog open={Boolean(rollback)} onClose={() => setRollback(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Annulla importazione</DialogTitle>
+        {rollback && (
+          <DialogContent>
+            <DialogContentText>
+              {`Verranno rimossi ${rollback.batch.created.length} record creati dall'importazione e ripristinati i valori precedenti di ${rollback.batch.updated.length} record aggiornati.`}
+            </DialogContentText>
+            {rollback.edited && (
+              <>
+                <DialogContentText color="error" sx={{ mt: 2, mb: 1 }}>
+                  Questi record sono stati modificati dopo l'importazione: annullandola, le loro modifiche ai campi importati andranno perse.
+                </DialogContentText>
+                <Table size="small">
+                  <TableBody>
+                    {rollback.edited.map((record) => (
+                      <TableRow key={String(record.id)}>
+                        <TableCell>{record.label || String(record.id)}</TableCell>
+                        <TableCell>{record.reason}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setRollback(null)}>Chiudi</Button>
+          <Button
+            variant="contained"
+            color={rollback && rollback.edited ? 'error' : 'primary'}
+            disabled={working}
+            onClick={() => runRollback(Boolean(rollback && rollback.edited))}
+          >
+            {rollback && rollback.edited ? 'Annulla comunque' : 'Annulla importazione'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ImportazioniPage;
@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import {
   Box,
   Typography,
@@ -21,17 +21,66 @@ import {
   FormControl,
   InputLabel,
   Select,
-  MenuItem
+  MenuItem,
+  Alert,
+  Tooltip
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import UploadFileIcon from '@mui/icons-material/UploadFile';
+import EventRepeatIcon from '@mui/icons-material/EventRepeat';
 import DownloadIcon from '@mui/icons-material/Download';
+import ContactPhoneIcon from '@mui/icons-material/ContactPhone';
 import ViewColumnIcon from '@mui/icons-material/ViewColumn';
 import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
 import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import HistoryIcon from '@mui/icons-material/History';
+import WarningAmberIcon from '@mui/icons-material/WarningAmber';
+import { Link } from 'react-router-dom';
 import SortableTableCell from '../components/SortableTableCell';
+import GiftHistory from '../components/GiftHistory';
+import { useCampaign } from '../context/CampaignContext';
+import useDataChanged from '../hooks/useDataChanged';
+import useContactCheck from '../hooks/useContactCheck';
+import ExternalChangeAlert from '../components/ExternalChangeAlert';
+import AddressCheck from '../components/AddressCheck';
+import ImportWizard, { FIELD_OPTIONS } from '../components/ImportWizard';
+
+// Campi del dialog cambiati rispetto al record, confrontati nella forma
+// usata per riempire il dialog (stringa vuota o false se assenti)
+const changedFields = (record, form) =>
+  Object.keys(form).reduce((patch, field) => {
+    const same = typeof form[field] === 'boolean'
+      ? (record[field] === true) === form[field]
+      : String(record[field] ?? '') === String(form[field]);
+    return same ? patch : { ...patch, [field]: form[field] };
+  }, {});
+
+// Valori del dialog per un record
+const recordForm = (record) => ({
+  nome: record.nome || '',
+  azienda: record.azienda || '',
+  indirizzo: record.indirizzo || '',
+  civico: record.civico || '',
+  cap: record.cap || '',
+  localita: record.localita || '',
+  provincia: record.provincia || '',
+  telefono: record.telefono || '',
+  email: record.email || '',
+  note: record.note || '',
+  grappa: record.grappa === true,
+  extraAltro: record.extraAltro === true,
+  gls: record.gls === true,
+  consegnaSpedizione: record.consegnaSpedizione || '',
+  tipologia: record.tipologia || ''
+});
+
+// Etichetta di un campo del dialog, per i messaggi all'utente
+const fieldLabel = (field) => {
+  const option = FIELD_OPTIONS.find((item) => item.value === field);
+  return option ? option.label : field;
+};
 
 /**
  * Pagina per la gestione dei partner.
@@ -42,14 +91,22 @@ import SortableTableCell from '../components/SortableTableCell';
  */
 const PartnerPage = () => {
   const [partnerList, setPartnerList] = useState([]);
+  // Campagna selezionata: gli anni archiviati sono in sola lettura
+  const { readOnly, annoArchivio, annoSelezionato } = useCampaign();
   const [loading, setLoading] = useState(true);
   const [deliverers, setDeliverers] = useState([]);
   const [search, setSearch] = useState('');
+  // Mostra solo i record con telefono o email non validi
+  const [onlyInvalidContacts, setOnlyInvalidContacts] = useState(false);
   const [order, setOrder] = useState('asc');
   const [orderBy, setOrderBy] = useState('nome');
   // Gestione selezione multipla e dialogo bulk
   const [selected, setSelected] = useState([]);
   const [bulkDialogOpen, setBulkDialogOpen] = useState(false);
+  // Importazione guidata da Excel
+  const [importOpen, setImportOpen] = useState(false);
+  // L'importazione guidata riporta le scelte dell'anno precedente
+  const [importPreviousYear, setImportPreviousYear] = useState(false);
   const [bulkForm, setBulkForm] = useState({
     consegna: '',
     regalo: '',
@@ -89,6 +146,8 @@ const PartnerPage = () => {
     }
   }, []);
   const [dialogOpen, setDialogOpen] = useState(false);
+  // Modifica esterna arrivata mentre un dialogo di modifica era aperto
+  const [externalChange, setExternalChange] = useState(null);
   const [editingPartner, setEditingPartner] = useState(null);
   const [formData, setFormData] = useState({
     nome: '',
@@ -108,25 +167,37 @@ const PartnerPage = () => {
     tipologia: ''
   });
 
+  const load = useCallback(async () => {
+    const [partnerRes, settingsRes] = await Promise.all([
+      window.api.loadData('partner', false, annoArchivio),
+      window.api.loadSettings()
+    ]);
+    if (partnerRes && partnerRes.success) {
+      setPartnerList(partnerRes.data);
+      // La selezione resta valida per i record ancora presenti
+      setSelected((prev) => prev.filter((id) => partnerRes.data.some((r) => r.id === id)));
+    }
+    if (settingsRes && settingsRes.success) {
+      const c = settingsRes.data.consegnatari || [];
+      setDeliverers(Array.isArray(c) ? c : []);
+      const gifts = Array.isArray(settingsRes.data.giftNames) && settingsRes.data.giftNames.length === 3
+        ? settingsRes.data.giftNames
+        : ['Grappa', 'Extra/Altro', 'Nessuno'];
+      setGiftNames(gifts);
+    }
+    setLoading(false);
+  }, [annoArchivio]);
+
   useEffect(() => {
-    const load = async () => {
-      const [partnerRes, settingsRes] = await Promise.all([
-        window.api.loadData('partner'),
-        window.api.loadSettings()
-      ]);
-      if (partnerRes && partnerRes.success) setPartnerList(partnerRes.data);
-      if (settingsRes && settingsRes.success) {
-        const c = settingsRes.data.consegnatari || [];
-        setDeliverers(Array.isArray(c) ? c : []);
-        const gifts = Array.isArray(settingsRes.data.giftNames) && settingsRes.data.giftNames.length === 3
-          ? settingsRes.data.giftNames
-          : ['Grappa', 'Extra/Altro', 'Nessuno'];
-        setGiftNames(gifts);
-      }
-      setLoading(false);
-    };
     load();
-  }, []);
+  }, [load]);
+
+  // Ricarica quando i dati vengono modificati fuori da questa finestra;
+  // con un dialogo aperto avvisa che le modifiche non sono ancora salvate
+  useDataChanged(['partner', 'settings'], (change) => {
+    load();
+    if (dialogOpen || bulkDialogOpen) setExternalChange(change);
+  });
 
   const handleRequestSort = (property) => {
     const isAsc = orderBy === property && order === 'asc';
@@ -134,6 +205,16 @@ const PartnerPage = () => {
     setOrderBy(property);
   };
 
+  // Telefoni ed email non validi, per id del record
+  const contactChecks = useContactCheck(partnerList);
+  const contactIssues = useMemo(() => {
+    const issues = new Map();
+    contactChecks.forEach((check, index) => {
+      if (check.issues.length > 0) issues.set(partnerList[index].id, check.issues);
+    });
+    return issues;
+  }, [partnerList, contactChecks]);
+
   const filteredPartner = useMemo(() => {
     let data = partnerList;
     if (search) {
@@ -151,6 +232,9 @@ const PartnerPage = () => {
         );
       });
     }
+    if (onlyInvalidContacts) {
+      data = data.filter((c) => contactIssues.has(c.id));
+    }
     return data
       .slice()
       .sort((a, b) => {
@@ -160,7 +244,7 @@ const PartnerPage = () => {
         if (aVal > bVal) return order === 'asc' ? 1 : -1;
         return 0;
       });
-  }, [partnerList, search, order, orderBy]);
+  }, [partnerList, search, onlyInvalidContacts, contactIssues, order, orderBy]);
 
   // Selezione righe
   const isSelected = (id) => selected.indexOf(id) !== -1;
@@ -243,44 +327,58 @@ const PartnerPage = () => {
   };
   const openBulkDialog = () => {
     setBulkForm({ consegna: '', regalo: '', gls: '' });
+    setExternalChange(null);
     setBulkDialogOpen(true);
   };
   const closeBulkDialog = () => {
     setBulkDialogOpen(false);
   };
+  // Sostituisce nella lista i record ritornati dal main process
+  const replaceRecords = (records) => {
+    const byId = new Map(records.map((r) => [r.id, r]));
+    setPartnerList((prev) => prev.map((c) => byId.get(c.id) || c));
+  };
+
   const handleBulkSave = async () => {
     const { consegna, regalo, gls: glsVal } = bulkForm;
-    const updatedList = partnerList.map((c) => {
-      if (!selected.includes(c.id)) return c;
-      const updated = { ...c };
+    const updates = partnerList.filter((c) => selected.includes(c.id)).map((c) => {
+      const patch = {};
       if (consegna !== '') {
-        updated.consegnaSpedizione = consegna;
-        updated.gls = false;
+        patch.consegnaSpedizione = consegna;
+        patch.gls = false;
       }
       if (regalo !== '') {
         if (regalo === 'grappa') {
-          updated.grappa = true;
-          updated.extraAltro = false;
+          patch.grappa = true;
+          patch.extraAltro = false;
         } else if (regalo === 'extra') {
-          updated.grappa = false;
-          updated.extraAltro = true;
+          patch.grappa = false;
+          patch.extraAltro = true;
         } else if (regalo === 'nessuno') {
-          updated.grappa = false;
-          updated.extraAltro = false;
+          patch.grappa = false;
+          patch.extraAltro = false;
         }
       }
       if (glsVal !== '') {
         if (glsVal === 'true') {
-          updated.gls = true;
-          updated.consegnaSpedizione = '';
+          patch.gls = true;
+          patch.consegnaSpedizione = '';
         } else if (glsVal === 'false') {
-          updated.gls = false;
+          patch.gls = false;
         }
       }
-      return updated;
+      return { id: c.id, patch, version: c.version };
     });
-    setPartnerList(updatedList);
-    await window.api.saveData('partner', updatedList);
+    const result = await window.api.updateRecords('partner', updates);
+    if (result && result.success) {
+      replaceRecords(result.data);
+    } else if (result && result.conflict) {
+      alert(result.error);
+      replaceRecords(result.data);
+    } else {
+      alert(`Errore durante il salvataggio: ${result && result.error}`);
+      return;
+    }
     setBulkDialogOpen(false);
     setSelected([]);
   };
@@ -304,95 +402,132 @@ const PartnerPage = () => {
       consegnaSpedizione: '',
       tipologia: ''
     });
+    setExternalChange(null);
     setDialogOpen(true);
   };
 
   const handleEditClick = (partner) => {
     setEditingPartner(partner);
-    setFormData({
-      nome: partner.nome || '',
-      azienda: partner.azienda || '',
-      indirizzo: partner.indirizzo || '',
-      civico: partner.civico || '',
-      cap: partner.cap || '',
-      localita: partner.localita || '',
-      provincia: partner.provincia || '',
-      telefono: partner.telefono || '',
-      email: partner.email || '',
-      note: partner.note || '',
-      grappa: partner.grappa === true || partner.grappa === '1',
-      extraAltro: partner.extraAltro === true || partner.extraAltro === '1',
-      gls: partner.gls === true || partner.gls === '1',
-      consegnaSpedizione: partner.consegnaSpedizione || '',
-      tipologia: partner.tipologia || ''
-    });
+    setFormData(recordForm(partner));
+    setExternalChange(null);
     setDialogOpen(true);
   };
 
   const handleDeleteClick = async (partner) => {
-    await window.api.moveToEliminati('partner', partner.id);
-    setPartnerList(partnerList.filter((c) => c.id !== partner.id));
+    const result = await window.api.deleteRecord('partner', partner.id, partner.version);
+    if (result && result.success) {
+      setPartnerList(partnerList.filter((c) => c.id !== partner.id));
+    } else if (result && result.conflict) {
+      alert(result.error);
+      replaceRecords([result.data]);
+    } else {
+      alert(`Errore durante l'eliminazione: ${result && result.error}`);
+    }
   };
 
   const handleDialogSave = async () => {
-    let updatedList;
-    if (editingPartner) {
-      updatedList = partnerList.map((c) =>
-        c.id === editingPartner.id
-          ? {
-              ...c,
-              ...formData,
-              id: editingPartner.id,
-              grappa: formData.grappa,
-              extraAltro: formData.extraAltro,
-              gls: formData.gls,
-              lastUpdate: Date.now()
-            }
-          : c
-      );
-    } else {
-      const newRecord = {
-        ...formData,
-        id: Date.now(),
-        tipo: 'partner',
-        eliminato: false,
-        createdAt: Date.now()
-      };
-      updatedList = [...partnerList, newRecord];
-    }
     // Verifica che se non si spedisce con GLS ci sia un consegnatario
-    if (!(formData.gls === true || formData.gls === '1') && (!formData.consegnaSpedizione || formData.consegnaSpedizione === '')) {
+    if (!formData.gls && (!formData.consegnaSpedizione || formData.consegnaSpedizione === '')) {
       alert('È necessario selezionare un consegnatario per le consegne interne');
       return;
     }
-    setPartnerList(updatedList);
-    await window.api.saveData('partner', updatedList);
-    setDialogOpen(false);
+    // Il main process salva solo i campi modificati e rifiuta la
+    // modifica se nel frattempo il record è stato cambiato da un altro utente
+    const patch = editingPartner ? changedFields(editingPartner, formData) : null;
+    if (patch && Object.keys(patch).length === 0) {
+      setDialogOpen(false);
+      return;
+    }
+    const result = editingPartner
+      ? await window.api.updateRecord('partner', editingPartner.id, patch, editingPartner.version)
+      : await window.api.createRecord('partner', formData);
+    if (result && result.success) {
+      if (editingPartner) {
+        replaceRecords([result.data]);
+      } else {
+        setPartnerList((prev) => [...prev, result.data]);
+      }
+      setDialogOpen(false);
+    } else if (result && result.conflict) {
+      // Riporta le modifiche dell'utente sulla versione aggiornata, lasciando
+      // aperto il dialog: il salvataggio successivo scrive solo quelle e non
+      // annulla le modifiche fatte nel frattempo da altri
+      const fresh = recordForm(result.data);
+      const clashing = Object.keys(changedFields(editingPartner, fresh)).filter((field) => field in patch);
+      replaceRecords([result.data]);
+      setEditingPartner(result.data);
+      setFormData({ ...fresh, ...patch });
+      alert(clashing.length > 0
+        ? `${result.error}\n\nCampi modificati anche dall'altro utente (verrà salvato il tuo valore): ${clashing.map(fieldLabel).join(', ')}`
+        : `${result.error}\n\nLe tue modifiche sono state riportate sulla versione aggiornata.`);
+    } else {
+      alert(`Errore durante il salvataggio: ${result && result.error}`);
+    }
   };
 
-  const handleImport = async () => {
-    const result = await window.api.importExcel('partner');
-    if (result && result.success && result.data) {
-      setPartnerList(result.data);
-    }
+  const handleImport = () => {
+    setImportPreviousYear(false);
+    setImportOpen(true);
+  };
+
+  // Copia regali e consegne dell'anno precedente sui record attuali
+  const handleImportPreviousYear = () => {
+    setImportPreviousYear(true);
+    setImportOpen(true);
   };
 
   const handleExportGLS = async () => {
     await window.api.exportGLS();
   };
 
+  // Esporta i record selezionati come contatti vCard
+  const handleExportVCard = async () => {
+    const result = await window.api.exportVCard('partner', selected, annoArchivio);
+    if (result && !result.success && !result.canceled) {
+      alert(result.message || 'Esportazione non riuscita');
+    }
+  };
+
   const handleChange = (field) => (event) => {
     const value =
       event.target.type === 'checkbox' ? event.target.checked : event.target.value;
     setFormData((prev) => ({ ...prev, [field]: value }));
   };
 
+  // Controllo di telefono ed email mentre vengono scritti nel dialogo
+  const formContacts = useMemo(
+    () => [{ telefono: formData.telefono, email: formData.email }],
+    [formData.telefono, formData.email]
+  );
+  const [formContactCheck] = useContactCheck(formContacts);
+  const contactError = (field) => {
+    const issue = formContactCheck && formContactCheck.issues.find((item) => item.field === field);
+    return issue ? issue.message : '';
+  };
+
+  // All'uscita dal campo un telefono o un'email validi vengono riscritti
+  // in forma normalizzata (+39..., minuscolo)
+  const handleContactBlur = (field) => async () => {
+    const value = formData[field];
+    if (!value) return;
+    const result = await window.api.validateContacts([{ [field]: value }]);
+    const normalized = result && result.success && result.data[0].normalized[field];
+    if (normalized) {
+      setFormData((prev) => (prev[field] === value ? { ...prev, [field]: normalized } : prev));
+    }
+  };
+
   return (
     <>
     <Box p={3}>
       <Typography variant="h4" gutterBottom>
         Partner
       </Typography>
+      {readOnly && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          {`Campagna ${annoSelezionato} archiviata: i dati sono in sola lettura.`}
+        </Alert>
+      )}
       <Box display="flex" alignItems="center" flexWrap="wrap" mb={2}>
         <TextField
           label="Cerca per nome, cognome o azienda"
@@ -402,10 +537,21 @@ const PartnerPage = () => {
           onChange={(e) => setSearch(e.target.value)}
           sx={{ mr: 2, width: '40%', mb: { xs: 1, sm: 0 } }}
         />
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={onlyInvalidContacts}
+              onChange={(e) => setOnlyInvalidContacts(e.target.checked)}
+            />
+          }
+          label={`Contatti non validi (${contactIssues.size})`}
+          sx={{ mr: 2, mb: { xs: 1, sm: 0 } }}
+        />
         <Button
           variant="contained"
           startIcon={<AddIcon />}
           onClick={handleAddClick}
+          disabled={readOnly}
           sx={{ mr: 1, mb: { xs: 1, sm: 0 } }}
         >
           Nuovo
@@ -414,22 +560,42 @@ const PartnerPage = () => {
           variant="outlined"
           startIcon={<UploadFileIcon />}
           onClick={handleImport}
+          disabled={readOnly}
           sx={{ mr: 1, mb: { xs: 1, sm: 0 } }}
         >
           Importa
         </Button>
+        <Button
+          variant="outlined"
+          startIcon={<EventRepeatIcon />}
+          onClick={handleImportPreviousYear}
+          disabled={readOnly}
+          sx={{ mr: 1, mb: { xs: 1, sm: 0 } }}
+        >
+          Importa da anno precedente
+        </Button>
         <Button
           variant="outlined"
           startIcon={<DownloadIcon />}
           onClick={handleExportGLS}
+          disabled={readOnly}
           sx={{ mr: 1, mb: { xs: 1, sm: 0 } }}
         >
           Esporta GLS
         </Button>
         <Button
           variant="outlined"
-          onClick={openBulkDialog}
+          startIcon={<ContactPhoneIcon />}
+          onClick={handleExportVCard}
           disabled={selected.length === 0}
+          sx={{ mr: 1, mb: { xs: 1, sm: 0 } }}
+        >
+          Esporta vCard
+        </Button>
+        <Button
+          variant="outlined"
+          onClick={openBulkDialog}
+          disabled={readOnly || selected.length === 0}
           sx={{ mb: { xs: 1, sm: 0 } }}
         >
           Modifica selezionati
@@ -504,7 +670,16 @@ const PartnerPage = () => {
                             </TableCell>
                           );
                         case 'nome':
-                          return <TableCell key={col.id}>{partner.nome}</TableCell>;
+                          return (
+                            <TableCell key={col.id}>
+                              {partner.nome}
+                              {contactIssues.has(partner.id) && (
+                                <Tooltip title={contactIssues.get(partner.id).map((issue) => issue.message).join(' · ')}>
+                                  <WarningAmberIcon fontSize="small" color="warning" sx={{ ml: 0.5, verticalAlign: 'middle' }} />
+                                </Tooltip>
+                              )}
+                            </TableCell>
+                          );
                         case 'azienda':
                           return <TableCell key={col.id}>{partner.azienda}</TableCell>;
                         case 'localita':
@@ -516,7 +691,7 @@ const PartnerPage = () => {
                         case 'consegna':
                           return (
                             <TableCell key={col.id}>
-                              {partner.gls && (partner.gls === true || partner.gls === '1' || partner.gls === 1)
+                              {partner.gls === true
                                 ? 'GLS'
                                 : partner.consegnaSpedizione || ''}
                             </TableCell>
@@ -536,10 +711,19 @@ const PartnerPage = () => {
                         case 'azioni':
                           return (
                             <TableCell key={col.id} align="right">
+                              <IconButton
+                                size="small"
+                                component={Link}
+                                to={`/partner/${partner.id}`}
+                                title="Scheda e storico"
+                              >
+                                <HistoryIcon />
+                              </IconButton>
                               <IconButton
                                 size="small"
                                 color="primary"
                                 onClick={() => handleEditClick(partner)}
+                                disabled={readOnly}
                               >
                                 <EditIcon />
                               </IconButton>
@@ -547,6 +731,7 @@ const PartnerPage = () => {
                                 size="small"
                                 color="error"
                                 onClick={() => handleDeleteClick(partner)}
+                                disabled={readOnly}
                               >
                                 <DeleteIcon />
                               </IconButton>
@@ -566,6 +751,7 @@ const PartnerPage = () => {
       <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} fullWidth maxWidth="md">
         <DialogTitle>{editingPartner ? 'Modifica Partner' : 'Nuovo Partner'}</DialogTitle>
         <DialogContent sx={{ pt: 1 }}>
+          <ExternalChangeAlert change={externalChange} />
           <Box display="flex" flexWrap="wrap" gap={2}>
             <TextField
               label="Nome"
@@ -613,12 +799,18 @@ const PartnerPage = () => {
               label="Telefono"
               value={formData.telefono}
               onChange={handleChange('telefono')}
+              onBlur={handleContactBlur('telefono')}
+              error={Boolean(contactError('telefono'))}
+              helperText={contactError('telefono')}
               fullWidth
             />
             <TextField
               label="Email"
               value={formData.email}
               onChange={handleChange('email')}
+              onBlur={handleContactBlur('email')}
+              error={Boolean(contactError('email'))}
+              helperText={contactError('email')}
               fullWidth
             />
             <TextField
@@ -683,6 +875,21 @@ const PartnerPage = () => {
               label="Spedizione GLS"
             />
           </Box>
+          <AddressCheck
+            cap={formData.cap}
+            provincia={formData.provincia}
+            localita={formData.localita}
+            onApply={(patch) => setFormData((prev) => ({ ...prev, ...patch }))}
+          />
+          {/* Storico dei regali degli anni precedenti */}
+          {editingPartner && (
+            <Box mt={3}>
+              <Typography variant="subtitle1" gutterBottom>
+                Storico regali
+              </Typography>
+              <GiftHistory dataType="partner" id={editingPartner.id} giftNames={giftNames} />
+            </Box>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setDialogOpen(false)}>Annulla</Button>
@@ -734,6 +941,7 @@ const PartnerPage = () => {
     <Dialog open={bulkDialogOpen} onClose={closeBulkDialog} fullWidth maxWidth="sm">
       <DialogTitle>Aggiornamento multiplo</DialogTitle>
       <DialogContent>
+        <ExternalChangeAlert change={externalChange} />
         <FormControl fullWidth margin="dense">
           <InputLabel>Consegna</InputLabel>
           <Select
@@ -782,6 +990,13 @@ const PartnerPage = () => {
         </Button>
       </DialogActions>
     </Dialog>
+    <ImportWizard
+      open={importOpen}
+      dataType="partner"
+      previousYear={importPreviousYear}
+      onClose={() => setImportOpen(false)}
+      onImported={setPartnerList}
+    />
     </>
   );
 };
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Grid,
+  Divider
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import GiftHistory from '../components/GiftHistory';
+
+/**
+ * Scheda di dettaglio di un cliente o partner (rotte `/clienti/:id` e
+ * `/partner/:id`). Mostra i dati anagrafici e lo storico dei regali
+ * ricevuti negli anni. Se il record non è più presente nei dati
+ * correnti viene mostrata l'ultima copia archiviata.
+ */
+const SchedaPage = ({ dataType }) => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [record, setRecord] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [giftNames, setGiftNames] = useState(['Grappa', 'Extra/Altro', 'Nessuno']);
+
+  useEffect(() => {
+    const load = async () => {
+      const [historyRes, settingsRes] = await Promise.all([
+        window.api.getRecordHistory(dataType, id),
+        window.api.loadSettings()
+      ]);
+      if (historyRes && historyRes.success) {
+        setRecord(historyRes.data.record);
+      } else {
+        setError((historyRes && historyRes.error) || 'Record non trovato');
+      }
+      if (settingsRes && settingsRes.success && Array.isArray(settingsRes.data.giftNames)
+        && settingsRes.data.giftNames.length === 3) {
+        setGiftNames(settingsRes.data.giftNames);
+      }
+      setLoading(false);
+    };
+    load();
+  }, [dataType, id]);
+
+  const fields = record
+    ? [
+        ['Nome', record.nome],
+        ['Azienda', record.azienda],
+        ['Indirizzo', `${record.indirizzo || ''} ${record.civico || ''}`.trim()],
+        ['Località', [record.cap, record.localita, record.provincia && `(${record.provincia})`].filter(Boolean).join(' ')],
+        ['Telefono', record.telefono],
+        ['Email', record.email],
+        ['Tipologia', record.tipologia],
+        ['Note', record.note],
+      ]
+    : [];
+
+  return (
+    <Box p={3}>
+      <Button startIcon={<ArrowBackIcon />} onClick={() => navigate(-1)} sx={{ mb: 2 }}>
+        Indietro
+      </Button>
+      {loading ? (
+        <Typography>Caricamento in corso...</Typography>
+      ) : error ? (
+        <Typography color="error">{error}</Typography>
+      ) : (
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h5" gutterBottom>
+            {record.azienda || record.nome}
+          </Typography>
+          {record.eliminato && (
+            <Typography variant="body2" color="error" gutterBottom>
+              Record eliminato
+            </Typography>
+          )}
+          <Grid container spacing={2} sx={{ mb: 2 }}>
+            {fields.map(([label, value]) => (
+              <Grid item xs={12} sm={6} key={label}>
+                <Typography variant="caption" color="text.secondary">
+                  {label}
+                </Typography>
+                <Typography variant="body1">{value || '—'}</Typography>
+              </Grid>
+            ))}
+          </Grid>
+          <Divider sx={{ mb: 2 }} />
+          <Typography variant="h6" gutterBottom>
+            Storico regali
+          </Typography>
+          <GiftHistory dataType={dataType} id={id} giftNames={giftNames} />
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default SchedaPage;
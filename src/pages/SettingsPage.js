@@ -9,8 +9,29 @@ import {
   InputLabel,
   FormControl,
   Chip,
-  Stack
+  Stack,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  FormControlLabel,
+  Checkbox
 } from '@mui/material';
+import RestoreIcon from '@mui/icons-material/Restore';
+import EventRepeatIcon from '@mui/icons-material/EventRepeat';
+import FolderOpenIcon from '@mui/icons-material/FolderOpen';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import ListAltIcon from '@mui/icons-material/ListAlt';
+import IntegrityCheckDialog from '../components/IntegrityCheckDialog';
+import ImportDictionaryDialog from '../components/ImportDictionaryDialog';
+import { useCampaign } from '../context/CampaignContext';
 
 /**
  * Pagina per la gestione delle impostazioni generali.
@@ -19,6 +40,31 @@ import {
  * l'elenco dei consegnatari. L'elenco dei consegnatari è
  * rappresentato come una lista di nomi separati da virgola. La
  * persistenza avviene tramite le API esposte in preload.
+ *
+ * "Chiudi campagna e apri nuovo anno" archivia le scelte dell'anno
+ * corrente (consultabili dal selettore dell'anno nell'Header) e passa
+ * all'anno successivo.
+ *
+ * "Archivio dati" sceglie dove sono conservati clienti, partner ed
+ * eliminati (file JSON o database SQLite): al cambio i dati vengono
+ * copiati nel nuovo archivio.
+ *
+ * "Importazione" modifica il dizionario con cui vengono riconosciute le
+ * colonne dei file importati: sinonimi delle intestazioni per ogni campo
+ * e ordine delle colonne dei fogli senza intestazione.
+ *
+ * "Cartella dati" permette di spostare i dati in un'altra cartella o di
+ * usare una cartella di rete condivisa con altre postazioni. La scelta
+ * è ricordata nel profilo dell'utente.
+ *
+ * "Verifica dati" controlla la coerenza di clienti, partner ed eliminati
+ * (ID duplicati, record fuori posto...) e propone le riparazioni.
+ *
+ * La sezione "Ripristina backup" elenca le copie di sicurezza create
+ * automaticamente prima dei salvataggi (al più una ogni intervallo
+ * impostato, o a ogni salvataggio con intervallo 0) e permette di
+ * ripristinarne una dopo aver confrontato il numero di record con i dati
+ * attuali.
  */
 const SettingsPage = () => {
   const [settings, setSettings] = useState({
@@ -27,9 +73,27 @@ const SettingsPage = () => {
     consegnatari: [],
     // Nomina personalizzata dei regali. Indice 0 = regalo principale, 1 = extra/altro, 2 = nessuno.
     giftNames: ['Grappa', 'Extra/Altro', 'Nessuno'],
+    backupRetention: 10,
+    backupInterval: 5,
+    storageBackend: 'json',
   });
   const [inputConsegnatari, setInputConsegnatari] = useState('');
   const [loading, setLoading] = useState(true);
+  // Gestione del ripristino dei backup
+  const [backupDialogOpen, setBackupDialogOpen] = useState(false);
+  const [backups, setBackups] = useState([]);
+  const [backupToRestore, setBackupToRestore] = useState(null);
+  const [currentRecords, setCurrentRecords] = useState(null);
+  // Chiusura della campagna corrente
+  const { refreshCampaigns } = useCampaign();
+  const [closeDialogOpen, setCloseDialogOpen] = useState(false);
+  const [resetAssignments, setResetAssignments] = useState(false);
+  // Cartella dati in uso e cartella scelta in attesa di conferma
+  const [dataFolder, setDataFolder] = useState('');
+  const [pendingFolder, setPendingFolder] = useState(null);
+  const [moveExisting, setMoveExisting] = useState(true);
+  const [integrityDialogOpen, setIntegrityDialogOpen] = useState(false);
+  const [dictionaryDialogOpen, setDictionaryDialogOpen] = useState(false);
   // I nomi dei regali vengono caricati dalle impostazioni e possono essere modificati.
 
   useEffect(() => {
@@ -46,6 +110,10 @@ const SettingsPage = () => {
         setSettings(loaded);
         setInputConsegnatari((loaded.consegnatari || []).join(', '));
       }
+      const folderRes = await window.api.getDataFolder();
+      if (folderRes && folderRes.success) {
+        setDataFolder(folderRes.data);
+      }
       setLoading(false);
     };
     load();
@@ -66,11 +134,83 @@ const SettingsPage = () => {
         .filter((s) => s),
     };
     // Salva le impostazioni tramite l'API
-    await window.api.saveSettings(updated);
+    const result = await window.api.saveSettings(updated);
+    if (!result || !result.success) {
+      alert(`Salvataggio non riuscito: ${(result && result.error) || 'errore sconosciuto'}`);
+      return;
+    }
     setSettings(updated);
+    await refreshCampaigns();
     alert('Impostazioni salvate');
   };
 
+  const handleCloseCampaign = async () => {
+    setCloseDialogOpen(false);
+    const result = await window.api.closeCampaign(resetAssignments);
+    if (!result || !result.success) {
+      alert(`Chiusura non riuscita: ${(result && result.error) || 'errore sconosciuto'}`);
+      return;
+    }
+    setSettings((prev) => ({ ...prev, annoCorrente: result.data.annoCorrente }));
+    await refreshCampaigns();
+    alert(`Campagna ${result.data.annoChiuso} archiviata. Anno corrente: ${result.data.annoCorrente}`);
+  };
+
+  const chooseDataFolder = async () => {
+    const result = await window.api.chooseDataFolder();
+    if (result && result.success && result.data && result.data.path !== dataFolder) {
+      setMoveExisting(!result.data.hasData);
+      setPendingFolder(result.data);
+    }
+  };
+
+  // Cambia cartella e ricarica l'applicazione per leggere i nuovi dati
+  const handleChangeDataFolder = async () => {
+    const folder = pendingFolder;
+    setPendingFolder(null);
+    const result = await window.api.setDataFolder(folder.path, moveExisting && !folder.hasData);
+    if (!result || !result.success) {
+      alert(`Cambio cartella non riuscito: ${(result && result.error) || 'errore sconosciuto'}`);
+      return;
+    }
+    window.location.reload();
+  };
+
+  const openBackupDialog = async () => {
+    const result = await window.api.listBackups();
+    setBackups(result && result.success ? result.data : []);
+    setBackupDialogOpen(true);
+  };
+
+  // Prima del ripristino conta i record attuali da confrontare con il backup
+  const askRestore = async (backup) => {
+    setCurrentRecords(null);
+    setBackupToRestore(backup);
+    if (backup.dataType !== 'settings') {
+      const result = await window.api.loadData(backup.dataType, true);
+      setCurrentRecords(result && result.success ? result.data.length : null);
+    }
+  };
+
+  const handleRestore = async () => {
+    const backup = backupToRestore;
+    setBackupToRestore(null);
+    const result = await window.api.restoreBackup(backup.dataType, backup.fileName);
+    if (!result || !result.success) {
+      alert(`Ripristino non riuscito: ${(result && result.error) || 'errore sconosciuto'}`);
+      return;
+    }
+    if (backup.dataType === 'settings') {
+      const settingsRes = await window.api.loadSettings();
+      if (settingsRes && settingsRes.success) {
+        setSettings((prev) => ({ ...prev, ...settingsRes.data }));
+        setInputConsegnatari((settingsRes.data.consegnatari || []).join(', '));
+      }
+    }
+    setBackupDialogOpen(false);
+    alert('Backup ripristinato');
+  };
+
   return (
     <Box p={3}>
       <Typography variant="h4" gutterBottom>
@@ -167,11 +307,235 @@ const SettingsPage = () => {
               ))}
             </Stack>
           )}
+          {/* Numero di backup conservati per ogni tipo di dati */}
+          <TextField
+            label="Backup da conservare per tipo di dati"
+            type="number"
+            value={settings.backupRetention}
+            onChange={handleChange('backupRetention')}
+            inputProps={{ min: 1 }}
+            fullWidth
+            sx={{ mb: 2 }}
+          />
+          {/* Minuti minimi tra due backup dello stesso tipo di dati */}
+          <TextField
+            label="Minuti tra due backup (0 = a ogni salvataggio)"
+            type="number"
+            value={settings.backupInterval}
+            onChange={handleChange('backupInterval')}
+            inputProps={{ min: 0 }}
+            fullWidth
+            sx={{ mb: 2 }}
+          />
+          {/* Archivio di clienti, partner ed eliminati */}
+          <FormControl fullWidth sx={{ mb: 2 }}>
+            <InputLabel id="storage-backend-label">Archivio dati</InputLabel>
+            <Select
+              labelId="storage-backend-label"
+              value={settings.storageBackend}
+              label="Archivio dati"
+              onChange={handleChange('storageBackend')}
+            >
+              <MenuItem value="json">File JSON</MenuItem>
+              <MenuItem value="sqlite">Database SQLite (consigliato con molti contatti)</MenuItem>
+            </Select>
+          </FormControl>
           <Button variant="contained" onClick={handleSave}>
             Salva
           </Button>
+          <Divider sx={{ my: 3 }} />
+          <Typography variant="h6" gutterBottom>
+            Campagna
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Archivia regali, consegne e spedizioni GLS del {settings.annoCorrente} e
+            apre la campagna dell'anno successivo. Le campagne archiviate restano
+            consultabili dal selettore dell'anno in alto.
+          </Typography>
+          <Button
+            variant="outlined"
+            startIcon={<EventRepeatIcon />}
+            onClick={() => {
+              setResetAssignments(false);
+              setCloseDialogOpen(true);
+            }}
+          >
+            Chiudi campagna e apri nuovo anno
+          </Button>
+          <Divider sx={{ my: 3 }} />
+          <Typography variant="h6" gutterBottom>
+            Importazione
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Intestazioni riconosciute per ogni campo e ordine delle colonne dei fogli
+            senza intestazione: aggiungendo i nomi usati da un nuovo fornitore le
+            colonne dei suoi file vengono assegnate automaticamente.
+          </Typography>
+          <Button variant="outlined" startIcon={<ListAltIcon />} onClick={() => setDictionaryDialogOpen(true)}>
+            Dizionario intestazioni
+          </Button>
+          <Divider sx={{ my: 3 }} />
+          <Typography variant="h6" gutterBottom>
+            Cartella dati
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            I dati possono trovarsi anche in una cartella di rete condivisa da più
+            postazioni: le modifiche fatte dalle altre postazioni vengono segnalate.
+          </Typography>
+          <Typography variant="body2" sx={{ mb: 2, wordBreak: 'break-all' }}>
+            {dataFolder}
+          </Typography>
+          <Button variant="outlined" startIcon={<FolderOpenIcon />} onClick={chooseDataFolder}>
+            Cambia cartella...
+          </Button>
+          <Divider sx={{ my: 3 }} />
+          <Typography variant="h6" gutterBottom>
+            Backup
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Ad ogni salvataggio viene conservata una copia dei dati precedenti.
+            Da qui è possibile ripristinare una di queste copie.
+          </Typography>
+          <Button variant="outlined" startIcon={<RestoreIcon />} onClick={openBackupDialog}>
+            Ripristina backup
+          </Button>
+          <Divider sx={{ my: 3 }} />
+          <Typography variant="h6" gutterBottom>
+            Verifica dati
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Controlla che non ci siano ID duplicati, record presenti sia nell'elenco
+            sia negli eliminati o eliminati senza tipo, e ripara i problemi trovati.
+          </Typography>
+          <Button variant="outlined" startIcon={<FactCheckIcon />} onClick={() => setIntegrityDialogOpen(true)}>
+            Verifica dati
+          </Button>
         </Box>
       )}
+      {/* Conferma della chiusura della campagna */}
+      <Dialog open={closeDialogOpen} onClose={() => setCloseDialogOpen(false)}>
+        <DialogTitle>{`Chiudere la campagna ${settings.annoCorrente}?`}</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {`Le scelte attuali verranno archiviate come campagna ${settings.annoCorrente} e l'anno corrente diventerà il ${Number(settings.annoCorrente) + 1}.`}
+          </DialogContentText>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={resetAssignments}
+                onChange={(e) => setResetAssignments(e.target.checked)}
+              />
+            }
+            label="Azzera regali, consegne e GLS per il nuovo anno"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCloseDialogOpen(false)}>Annulla</Button>
+          <Button variant="contained" onClick={handleCloseCampaign}>
+            Chiudi campagna
+          </Button>
+        </DialogActions>
+      </Dialog>
+      <IntegrityCheckDialog open={integrityDialogOpen} onClose={() => setIntegrityDialogOpen(false)} />
+      <ImportDictionaryDialog
+        open={dictionaryDialogOpen}
+        dictionary={settings.importDictionary}
+        onClose={() => setDictionaryDialogOpen(false)}
+        onSaved={(importDictionary) => {
+          setSettings((prev) => ({ ...prev, importDictionary }));
+          setDictionaryDialogOpen(false);
+        }}
+      />
+      {/* Conferma del cambio di cartella dati */}
+      <Dialog open={Boolean(pendingFolder)} onClose={() => setPendingFolder(null)}>
+        <DialogTitle>Cambiare cartella dati?</DialogTitle>
+        <DialogContent>
+          {pendingFolder && (
+            <DialogContentText>
+              {`La nuova cartella dati sarà ${pendingFolder.path}.`}
+              {pendingFolder.hasData
+                ? ' La cartella contiene già dei dati (ad esempio condivisi da altre postazioni), che verranno usati al posto di quelli attuali.'
+                : ''}
+            </DialogContentText>
+          )}
+          {pendingFolder && !pendingFolder.hasData && (
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={moveExisting}
+                  onChange={(e) => setMoveExisting(e.target.checked)}
+                />
+              }
+              label="Sposta i dati attuali nella nuova cartella"
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingFolder(null)}>Annulla</Button>
+          <Button variant="contained" onClick={handleChangeDataFolder}>
+            Cambia cartella
+          </Button>
+        </DialogActions>
+      </Dialog>
+      {/* Elenco dei backup disponibili */}
+      <Dialog open={backupDialogOpen} onClose={() => setBackupDialogOpen(false)} fullWidth maxWidth="md">
+        <DialogTitle>Ripristina backup</DialogTitle>
+        <DialogContent>
+          {backups.length === 0 ? (
+            <Typography>Nessun backup disponibile</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Tipo</TableCell>
+                  <TableCell>Data</TableCell>
+                  <TableCell>Record</TableCell>
+                  <TableCell align="right">Azioni</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {backups.map((backup) => (
+                  <TableRow key={`${backup.dataType}-${backup.fileName}`} hover>
+                    <TableCell>{backup.dataType}</TableCell>
+                    <TableCell>{new Date(backup.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>
+                      {backup.dataType === 'settings' || backup.records === null ? '' : backup.records}
+                    </TableCell>
+                    <TableCell align="right">
+                      <Button size="small" variant="outlined" onClick={() => askRestore(backup)}>
+                        Ripristina
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBackupDialogOpen(false)}>Chiudi</Button>
+        </DialogActions>
+      </Dialog>
+      {/* Conferma del ripristino con confronto dei record */}
+      <Dialog open={Boolean(backupToRestore)} onClose={() => setBackupToRestore(null)}>
+        <DialogTitle>Confermi il ripristino?</DialogTitle>
+        <DialogContent>
+          {backupToRestore && (
+            <DialogContentText>
+              {backupToRestore.dataType === 'settings'
+                ? `Le impostazioni verranno sostituite con quelle salvate il ${new Date(backupToRestore.createdAt).toLocaleString()}.`
+                : `Il backup "${backupToRestore.dataType}" del ${new Date(backupToRestore.createdAt).toLocaleString()} contiene ${backupToRestore.records ?? '?'} record; attualmente ne sono presenti ${currentRecords ?? '?'}.`}
+              {' '}I dati attuali verranno a loro volta salvati come backup.
+            </DialogContentText>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBackupToRestore(null)}>Annulla</Button>
+          <Button variant="contained" color="warning" onClick={handleRestore}>
+            Ripristina
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useMemo } from 'react';
+import React, { useCallback, useEffect, useState, useMemo } from 'react';
 // Material UI components
 import {
   Box,
@@ -21,7 +21,11 @@ import {
   DialogActions
 } from '@mui/material';
 import SortableTableCell from '../components/SortableTableCell';
+import AddressReviewDialog from '../components/AddressReviewDialog';
+import { useCampaign } from '../context/CampaignContext';
+import useDataChanged from '../hooks/useDataChanged';
 import ViewColumnIcon from '@mui/icons-material/ViewColumn';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
 import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
 import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
 
@@ -29,9 +33,12 @@ import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
  * Pagina che elenca tutti i record (clienti e partner) marcati per
  * spedizione GLS. I record vengono caricati dai rispettivi file
  * tramite l'API loadData. Un pulsante permette di esportare tutti
- * i record GLS in un file Excel (tramite l'API exportGLS).
+ * i record GLS in un file Excel (tramite l'API exportGLS), un altro
+ * controlla CAP, provincia e località prima della spedizione.
  */
 const SpedizioniPage = () => {
+  // Campagna selezionata: negli anni archiviati l'esportazione è disabilitata
+  const { readOnly, annoArchivio } = useCampaign();
   // Lista di record con spedizione GLS
   const [records, setRecords] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -54,26 +61,42 @@ const SpedizioniPage = () => {
   // Dialog temporaneo per riordino/nascondi colonne
   const [columnDialogOpen, setColumnDialogOpen] = useState(false);
   const [tempColumns, setTempColumns] = useState([]);
+  // Dialogo di verifica degli indirizzi
+  const [addressDialogOpen, setAddressDialogOpen] = useState(false);
+
+  const load = useCallback(async () => {
+    const clientiRes = await window.api.loadData('clienti', false, annoArchivio);
+    const partnerRes = await window.api.loadData('partner', false, annoArchivio);
+    // Ogni record ricorda il proprio tipo per poterlo correggere
+    let list = [];
+    if (clientiRes && clientiRes.success) {
+      list = list.concat(clientiRes.data.map((item) => ({ ...item, dataType: 'clienti' })));
+    }
+    if (partnerRes && partnerRes.success) {
+      list = list.concat(partnerRes.data.map((item) => ({ ...item, dataType: 'partner' })));
+    }
+    // Filtra solo record con gls vero
+    list = list.filter((item) => item.gls === true);
+    setRecords(list);
+    setLoading(false);
+  }, [annoArchivio]);
 
   useEffect(() => {
-    const load = async () => {
-      const clientiRes = await window.api.loadData('clienti');
-      const partnerRes = await window.api.loadData('partner');
-      let list = [];
-      if (clientiRes && clientiRes.success) list = list.concat(clientiRes.data);
-      if (partnerRes && partnerRes.success) list = list.concat(partnerRes.data);
-      // Filtra solo record con gls vero
-      list = list.filter((item) => item.gls && (item.gls === true || item.gls === '1' || item.gls === 1));
-      setRecords(list);
-      setLoading(false);
-    };
     load();
-  }, []);
+  }, [load]);
+
+  // Ricarica quando i dati vengono modificati fuori da questa finestra
+  useDataChanged(['clienti', 'partner'], () => load());
 
   const handleExport = async () => {
     await window.api.exportGLS();
   };
 
+  const handleAddressesApplied = () => {
+    setAddressDialogOpen(false);
+    load();
+  };
+
   // Colonne: apertura del dialogo
   const openColumnDialogFn = () => {
     setTempColumns(columns.map((c) => ({ ...c })));
@@ -156,9 +179,18 @@ const SpedizioniPage = () => {
         <Typography variant="h4">Spedizioni GLS</Typography>
         {/* Barra di azioni: esporta e gestione colonne */}
         <Box>
-          <Button variant="contained" onClick={handleExport} sx={{ mr: 1 }}>
+          <Button variant="contained" onClick={handleExport} disabled={readOnly} sx={{ mr: 1 }}>
             Esporta XLSX
           </Button>
+          <Button
+            variant="outlined"
+            startIcon={<FactCheckIcon />}
+            onClick={() => setAddressDialogOpen(true)}
+            disabled={records.length === 0}
+            sx={{ mr: 1 }}
+          >
+            Verifica indirizzi
+          </Button>
           {/* Pulsante per configurare la visibilità e l'ordine delle colonne */}
           <IconButton onClick={openColumnDialogFn} color="primary">
             <ViewColumnIcon />
@@ -217,6 +249,13 @@ const SpedizioniPage = () => {
           </Table>
         </TableContainer>
       )}
+      <AddressReviewDialog
+        open={addressDialogOpen}
+        records={records}
+        readOnly={readOnly}
+        onClose={() => setAddressDialogOpen(false)}
+        onApplied={handleAddressesApplied}
+      />
       {/* Dialog per personalizzare l'ordine e la visibilità delle colonne */}
       <Dialog open={columnDialogOpen} onClose={closeColumnDialog} maxWidth="sm" fullWidth>
         <DialogTitle>Configura colonne</DialogTitle>